@@ -0,0 +1,372 @@
+// ============================================================================
+// ThreadJS Sample Mod — Game Test Harness for 1.21.11
+// ============================================================================
+//
+// Runs JS-authored tests on the Fabric GameTest framework in a headless
+// server:
+//
+//   ./gradlew runGametest
+//
+// Tests live in tests/*.test.js next to this file. Each file is evaluated
+// once at startup with test() in scope:
+//
+//   test("home set and go", function(t) {
+//       var player = t.player({ at: [1, 2, 1] });
+//       t.expectSuccess(t.command(player, "js home set base"));
+//       t.teleport(player, [5, 2, 5]);
+//       t.expectChat(t.command(player, "js home go base"), "Teleported to home 'base'");
+//       t.expectAt(player, [1, 2, 1]);
+//   });
+//
+// A test passes when its function (and every t.after() callback) returns
+// without throwing, and fails on the first expectation that doesn't hold.
+// Each test gets its own empty structure, and [x, y, z] positions are
+// relative to its corner.
+//
+// This file is only part of the gametest source set and never ships in the
+// mod jar.
+//
+// ============================================================================
+
+
+
+// ── 1. IMPORTING JAVA CLASSES ──────────────────────────────────────────────
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest-gametest");
+
+// ── Java Standard Library ──
+var Files = Java.type("java.nio.file.Files");
+var UUID = Java.type("java.util.UUID");
+var Consumer = Java.type("java.util.function.Consumer");
+
+// ── Minecraft ──
+var Registry = Java.type("net.minecraft.registry.Registry");
+var Registries = Java.type("net.minecraft.registry.Registries");
+var RegistryKey = Java.type("net.minecraft.registry.RegistryKey");
+var RegistryKeys = Java.type("net.minecraft.registry.RegistryKeys");
+var Identifier = Java.type("net.minecraft.util.Identifier");
+var BlockPos = Java.type("net.minecraft.util.math.BlockPos");
+var ItemStack = Java.type("net.minecraft.item.ItemStack");
+var Hand = Java.type("net.minecraft.util.Hand");
+var CommandOutput = Java.type("net.minecraft.server.command.CommandOutput");
+var ReturnValueConsumer = Java.type("net.minecraft.command.ReturnValueConsumer");
+var FunctionTestInstance = Java.type("net.minecraft.test.FunctionTestInstance");
+var TestData = Java.type("net.minecraft.test.TestData");
+var GameProfile = Java.type("com.mojang.authlib.GameProfile");
+
+// ── Fabric API ──
+var FabricLoader = Java.type("net.fabricmc.loader.api.FabricLoader");
+var FakePlayer = Java.type("net.fabricmc.fabric.api.entity.FakePlayer");
+var DynamicRegistrySetupCallback = Java.type("net.fabricmc.fabric.api.event.registry.DynamicRegistrySetupCallback");
+var RegistryEntryAddedCallback = Java.type("net.fabricmc.fabric.api.event.registry.RegistryEntryAddedCallback");
+
+
+// ── 2. TEST CONTEXT ────────────────────────────────────────────────────────
+//
+// What a test function gets as t:
+//
+//   t.player({ at: [1, 2, 1], op: true, name: "Alex", dimension: "minecraft:the_nether" })
+//   t.player({ as: player, dimension: "minecraft:the_nether" })  // the same player, in another world
+//   t.command(player, "js warp set spawn")   // -> { success, value, messages: ["..."] }
+//   t.pos(x, y, z)                            // structure-relative -> absolute BlockPos
+//   t.teleport(player, [x, y, z])
+//   t.give(player, "minecraft:stone", 16)     // into the main hand
+//   t.after(ticks, function() { ... })        // later checks, e.g. after a warmup
+//
+//   t.expect(condition, message)
+//   t.expectEqual(actual, expected, what)
+//   t.expectSuccess(result) / t.expectFailure(result)
+//   t.expectChat(result, "text")              // some message contains the text
+//   t.expectAt(player, [x, y, z])             // standing in that block
+//   t.expectItem(player, "minecraft:emerald", 3)
+//   t.expectEffect(player, "minecraft:speed")
+//   t.expectBlock([x, y, z], "minecraft:stone")
+//
+// A command succeeded when it ran and returned more than 0; c.fail(), a
+// cooldown refusal, a missing permission or a syntax error all count as
+// failures, and their message is in result.messages.
+//
+// Mock players are Fabric FakePlayers with a fresh UUID each, so stores
+// keyed by UUID (homes, cooldowns, balances) start empty in every test; as:
+// reuses another mock player's UUID and name, for one player in two worlds. They
+// are not in the player list, never receive packets and aren't ticked, so
+// they stay exactly where they are put. Check what a command said through the
+// result of t.command(), not the player's chat. op: true runs their commands
+// at op level 4, like an operator at the console.
+
+function TestFailure(message) {
+    this.name = "TestFailure";
+    this.message = message;
+}
+TestFailure.prototype = Object.create(Error.prototype);
+TestFailure.prototype.constructor = TestFailure;
+
+var CapturingOutput = Java.extend(CommandOutput);
+var ResultConsumer = Java.extend(ReturnValueConsumer);
+
+function fail(message) {
+    throw new TestFailure(message);
+}
+
+function formatPos(pos) {
+    return "[" + pos.getX() + ", " + pos.getY() + ", " + pos.getZ() + "]";
+}
+
+function createContext(context, finished) {
+    var world = context.getWorld();
+    var server = world.getServer();
+    var ops = {};               // uuid -> true for players made with op: true
+    var pending = 0;
+
+    function blockPos(at) {
+        return t.pos(at[0], at[1], at[2]);
+    }
+
+    function registryEntry(registry, id, what) {
+        var entry = registry.getEntry(Identifier.of(id));
+        if (!entry.isPresent()) fail("Unknown " + what + " " + id);
+        return entry.get();
+    }
+
+    var t = {
+        context: context,
+        world: world,
+        server: server,
+
+        pos: function(x, y, z) {
+            return context.getAbsolutePos(new BlockPos(x, y, z));
+        },
+
+        player: function(options) {
+            options = options || {};
+            var playerWorld = world;
+            if (options.dimension !== undefined) {
+                playerWorld = server.getWorld(RegistryKey.of(RegistryKeys.WORLD, Identifier.of(options.dimension)));
+                if (playerWorld === null) fail("Dimension " + options.dimension + " is not loaded");
+            }
+            var profile = options.as !== undefined ? options.as.getGameProfile()
+                : new GameProfile(UUID.randomUUID(), options.name || "Tester" + Math.floor(Math.random() * 10000));
+            var player = FakePlayer.get(playerWorld, profile);
+            if (options.op) ops[player.getUuid().toString()] = true;
+
+            // In the test structure by default; absolute coordinates in
+            // other dimensions, where there is no structure.
+            var at = options.at || [1, 2, 1];
+            var pos = options.dimension === undefined ? blockPos(at) : new BlockPos(at[0], at[1], at[2]);
+            player.refreshPositionAndAngles(pos.getX() + 0.5, pos.getY(), pos.getZ() + 0.5, 0.0, 0.0);
+            return player;
+        },
+
+        // Runs a command as the player, with or without the leading slash.
+        command: function(player, command) {
+            var result = { success: false, value: 0, messages: [] };
+            var output = new CapturingOutput({
+                sendMessage: function(message) {
+                    result.messages.push(message.getString());
+                },
+                shouldReceiveFeedback: function() { return true; },
+                shouldTrackOutput: function() { return true; },
+                shouldBroadcastConsoleToOps: function() { return false; }
+            });
+            var source = player.getCommandSource()
+                .withOutput(output)
+                .withReturnValueConsumer(new ResultConsumer({
+                    onResult: function(successful, returnValue) {
+                        result.success = successful && returnValue > 0;
+                        result.value = returnValue;
+                    }
+                }));
+            if (ops[player.getUuid().toString()]) source = source.withLevel(4);
+            server.getCommandManager().executeWithPrefix(source, command.replace(/^\//, ""));
+            return result;
+        },
+
+        teleport: function(player, at) {
+            var pos = blockPos(at);
+            player.refreshPositionAndAngles(pos.getX() + 0.5, pos.getY(), pos.getZ() + 0.5, player.getYaw(), player.getPitch());
+        },
+
+        give: function(player, item, count) {
+            var stack = new ItemStack(registryEntry(Registries.ITEM, item, "item"), count || 1);
+            player.setStackInHand(Hand.MAIN_HAND, stack);
+            return stack;
+        },
+
+        // Runs fn after the given number of ticks. The test ends once every
+        // callback has run.
+        after: function(ticks, fn) {
+            pending++;
+            context.waitAndRun(ticks, function() {
+                fn();
+                pending--;
+                if (pending === 0) finished();
+            });
+        },
+
+        expect: function(condition, message) {
+            if (!condition) fail(message);
+        },
+
+        expectEqual: function(actual, expected, what) {
+            if (actual !== expected) fail((what || "Value") + " was " + actual + ", expected " + expected);
+        },
+
+        expectSuccess: function(result) {
+            if (!result.success) fail("Command failed: " + (result.messages.join(" | ") || "no output"));
+        },
+
+        expectFailure: function(result) {
+            if (result.success) fail("Command succeeded: " + (result.messages.join(" | ") || "no output"));
+        },
+
+        expectChat: function(result, text) {
+            for (var i = 0; i < result.messages.length; i++) {
+                if (result.messages[i].indexOf(text) >= 0) return;
+            }
+            fail("No message containing '" + text + "' in: " + (result.messages.join(" | ") || "no output"));
+        },
+
+        expectAt: function(player, at) {
+            var expected = blockPos(at);
+            var actual = player.getBlockPos();
+            if (!actual.equals(expected)) fail(player.getName().getString() + " is at " + formatPos(actual) + ", expected " + formatPos(expected));
+        },
+
+        expectItem: function(player, item, count) {
+            var expected = registryEntry(Registries.ITEM, item, "item").value();
+            var inventory = player.getInventory();
+            var total = 0;
+            for (var i = 0; i < inventory.size(); i++) {
+                var stack = inventory.getStack(i);
+                if (stack.isOf(expected)) total += stack.getCount();
+            }
+            if (total !== count) fail(player.getName().getString() + " has " + total + " " + item + ", expected " + count);
+        },
+
+        expectEffect: function(player, effect) {
+            if (!player.hasStatusEffect(registryEntry(Registries.STATUS_EFFECT, effect, "effect"))) {
+                fail(player.getName().getString() + " does not have " + effect);
+            }
+        },
+
+        expectBlock: function(at, block) {
+            var state = world.getBlockState(blockPos(at));
+            var id = Registries.BLOCK.getId(state.getBlock()).toString();
+            if (id !== block) fail("Block at " + formatPos(blockPos(at)) + " is " + id + ", expected " + block);
+        },
+
+        // Used by the runner: true when no t.after() callback is waiting.
+        settled: function() {
+            return pending === 0;
+        }
+    };
+
+    return t;
+}
+
+
+// ── 3. TEST REGISTRY ───────────────────────────────────────────────────────
+//
+// Each test becomes a test function (a static registry, so before the
+// server starts) and a test instance pointing at it (a dynamic registry,
+// filled when the server loads its data packs). Test ids are
+// threadjstest-gametest:<file>/<name>, e.g. .../home/set_and_go.
+
+var GameTests = (function() {
+    var MOD_ID = "threadjstest-gametest";
+    var STRUCTURE = Identifier.of("fabric-gametest-api-v1", "empty");
+    var DEFAULT_ENVIRONMENT = RegistryKey.of(RegistryKeys.TEST_ENVIRONMENT, Identifier.ofVanilla("default"));
+    var TestFunction = Java.extend(Consumer);
+    var RegistrySetup = Java.extend(DynamicRegistrySetupCallback);
+    var EntryAdded = Java.extend(RegistryEntryAddedCallback);
+    var tests = [];             // [{ id, maxTicks }]
+
+    function slug(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+    }
+
+    function run(fn, context) {
+        var done = false;
+        var finished = function() {
+            if (done) return;
+            done = true;
+            context.complete();
+        };
+        var t = createContext(context, finished);
+        fn(t);
+        if (t.settled()) finished();
+    }
+
+    function registerInstances(registryView) {
+        registryView.registerEntryAdded(RegistryKeys.TEST_ENVIRONMENT, new EntryAdded({
+            onEntryAdded: function(rawId, id, environment) {
+                if (!id.equals(DEFAULT_ENVIRONMENT.getValue())) return;
+                var environments = registryView.getOptional(RegistryKeys.TEST_ENVIRONMENT).orElseThrow();
+                var instances = registryView.getOptional(RegistryKeys.TEST_INSTANCE).orElseThrow();
+                var entry = environments.getOrThrow(DEFAULT_ENVIRONMENT);
+                tests.forEach(function(test) {
+                    Registry.register(instances, test.id, new FunctionTestInstance(
+                        RegistryKey.of(RegistryKeys.TEST_FUNCTION, test.id),
+                        new TestData(entry, STRUCTURE, test.maxTicks, 0, true)));
+                });
+            }
+        }));
+    }
+
+    var api = {
+        // options: maxTicks (default 100), the time limit including t.after().
+        test: function(file, name, options, fn) {
+            if (typeof options === "function") {
+                fn = options;
+                options = {};
+            }
+            var id = Identifier.of(MOD_ID, slug(file) + "/" + slug(name));
+            if (tests.some(function(test) { return test.id.equals(id); })) throw new Error("Duplicate test " + id);
+            Registry.register(Registries.TEST_FUNCTION, id, new TestFunction({
+                accept: function(context) {
+                    run(fn, context);
+                }
+            }));
+            tests.push({ id: id, maxTicks: options.maxTicks || 100 });
+        },
+
+        // Evaluates every tests/*.test.js in this mod.
+        load: function() {
+            var dir = FabricLoader.getInstance().getModContainer(MOD_ID).get().findPath("tests").orElse(null);
+            if (dir === null) throw new Error("No tests folder in " + MOD_ID);
+            var paths = [];
+            Files.list(dir).forEach(function(path) {
+                if (String(path.getFileName()).match(/\.test\.js$/)) paths.push(path);
+            });
+            paths.sort(function(a, b) { return String(a).localeCompare(String(b)); });
+
+            paths.forEach(function(path) {
+                var file = String(path.getFileName()).replace(/\.test\.js$/, "");
+                var factory = new Function("test", String(Files.readString(path)));
+                factory(function(name, options, fn) {
+                    api.test(file, name, options, fn);
+                });
+            });
+
+            DynamicRegistrySetupCallback.EVENT.register(new RegistrySetup({
+                onRegistrySetup: registerInstances
+            }));
+            return tests.length;
+        }
+    };
+
+    return api;
+})();
+
+
+// ============================================================================
+// ── 4. ENTRYPOINT ──────────────────────────────────────────────────────────
+// ============================================================================
+
+module.exports = {
+    onInitialize: function() {
+        var count = GameTests.load();
+        LOGGER.info("Registered {} JS game tests", count);
+    }
+};
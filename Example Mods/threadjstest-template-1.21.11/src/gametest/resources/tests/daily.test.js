@@ -0,0 +1,28 @@
+// /js daily, with the default daily.rewards and cooldown
+
+test("hands out the rewards", function(t) {
+    var player = t.player();
+    var result = t.command(player, "js daily");
+    t.expectSuccess(result);
+    t.expectChat(result, "Daily reward claimed!");
+    t.expectItem(player, "minecraft:emerald", 3);
+    t.expectItem(player, "minecraft:golden_apple", 1);
+});
+
+test("only once per cooldown", function(t) {
+    var player = t.player();
+    t.expectSuccess(t.command(player, "js daily"));
+
+    var again = t.command(player, "js daily");
+    t.expectFailure(again);
+    t.expectChat(again, "Daily reward available in");
+    t.expectItem(player, "minecraft:emerald", 3);
+});
+
+test("cooldowns are per player", function(t) {
+    var first = t.player();
+    var second = t.player();
+    t.expectSuccess(t.command(first, "js daily"));
+    t.expectSuccess(t.command(second, "js daily"));
+    t.expectItem(second, "minecraft:emerald", 3);
+});
@@ -0,0 +1,71 @@
+// Commands run from the Nether act in the Nether, not the Overworld, and
+// homes and warps take players across dimensions.
+//
+// Nether positions are absolute coordinates, as there is no test structure
+// in the Nether; Overworld ones are relative to the structure as usual.
+
+var NETHER = "minecraft:the_nether";
+
+function dimensionOf(player) {
+    return player.getEntityWorld().getRegistryKey().getValue().toString();
+}
+
+function netherPlayer(t) {
+    return t.player({ op: true, dimension: NETHER, at: [0, 64, 0] });
+}
+
+test("tp stays in the caller's world", function(t) {
+    var player = netherPlayer(t);
+    t.expectSuccess(t.command(player, "js tp 8 70 8"));
+    t.expectEqual(dimensionOf(player), NETHER, "Dimension");
+    t.expectEqual(player.getBlockX(), 8, "x");
+    t.expectEqual(player.getBlockZ(), 8, "z");
+});
+
+test("top stays under the Nether roof", function(t) {
+    var player = netherPlayer(t);
+    var result = t.command(player, "js top");
+    t.expectSuccess(result);
+    t.expectEqual(dimensionOf(player), NETHER, "Dimension");
+
+    var world = player.getEntityWorld();
+    var feet = player.getBlockPos();
+    t.expect(feet.getY() < 128, "Landed on the Nether roof at y=" + feet.getY());
+    t.expect(!world.getBlockState(feet.down()).isAir(), "Nothing to stand on at y=" + feet.getY());
+});
+
+test("heal, boom and particles run in the Nether", function(t) {
+    var player = netherPlayer(t);
+    player.setHealth(4.0);
+    t.expectSuccess(t.command(player, "js heal"));
+    t.expectEqual(player.getHealth(), player.getMaxHealth(), "Health");
+
+    t.expectChat(t.command(player, "js boom"), "Boom!");
+    t.expectChat(t.command(player, "js particles"), "Particles spawned!");
+    t.expectEqual(dimensionOf(player), NETHER, "Dimension");
+});
+
+test("home go returns to another dimension", function(t) {
+    var player = t.player({ at: [1, 2, 1] });
+    t.expectSuccess(t.command(player, "js home set base"));
+
+    var inNether = t.player({ as: player, dimension: NETHER, at: [0, 64, 0] });
+    var result = t.command(inNether, "js home go base");
+    t.expectSuccess(result);
+    t.expectEqual(dimensionOf(inNether), "minecraft:overworld", "Dimension");
+    t.expectAt(inNether, [1, 2, 1]);
+});
+
+test("warp go crosses dimensions", function(t) {
+    var name = "gt" + Math.floor(Math.random() * 1000000);
+    var admin = t.player({ op: true, dimension: NETHER, at: [4, 70, 4] });
+    t.expectSuccess(t.command(admin, "js warp set " + name));
+
+    var player = t.player({ at: [2, 2, 2] });
+    t.expectSuccess(t.command(player, "js warp go " + name));
+    t.expectEqual(dimensionOf(player), NETHER, "Dimension");
+    t.expectEqual(player.getBlockX(), 4, "x");
+    t.expectEqual(player.getBlockY(), 70, "y");
+    t.expectEqual(player.getBlockZ(), 4, "z");
+    t.expectSuccess(t.command(admin, "js warp remove " + name));
+});
@@ -0,0 +1,48 @@
+// /js home set|go|info|clear
+
+test("set and go", function(t) {
+    var player = t.player({ at: [1, 2, 1] });
+    t.expectChat(t.command(player, "js home set base"), "Home 'base' set");
+
+    t.teleport(player, [5, 2, 5]);
+    var result = t.command(player, "js home go base");
+    t.expectSuccess(result);
+    t.expectChat(result, "Teleported to home 'base'");
+    t.expectAt(player, [1, 2, 1]);
+});
+
+test("go to the default home", function(t) {
+    var player = t.player({ at: [2, 2, 3] });
+    t.expectChat(t.command(player, "js home set"), "Home 'home' set");
+
+    t.teleport(player, [6, 2, 6]);
+    t.expectSuccess(t.command(player, "js home go"));
+    t.expectAt(player, [2, 2, 3]);
+});
+
+test("go to a missing home", function(t) {
+    var player = t.player({ at: [3, 2, 3] });
+    var result = t.command(player, "js home go nowhere");
+    t.expectFailure(result);
+    t.expectChat(result, "No home named 'nowhere'");
+    t.expectAt(player, [3, 2, 3]);
+});
+
+test("info lists every home", function(t) {
+    var player = t.player();
+    t.expectSuccess(t.command(player, "js home set mine"));
+    t.expectSuccess(t.command(player, "js home set farm"));
+
+    var result = t.command(player, "js home info");
+    t.expectChat(result, "Homes (2/");
+    t.expectChat(result, "farm");
+    t.expectChat(result, "mine");
+});
+
+test("clear removes the home", function(t) {
+    var player = t.player();
+    t.expectSuccess(t.command(player, "js home set base"));
+    t.expectChat(t.command(player, "js home clear base"), "Home 'base' cleared");
+    t.expectFailure(t.command(player, "js home go base"));
+    t.expectFailure(t.command(player, "js home clear base"));
+});
@@ -0,0 +1,33 @@
+// /js stack <amount>
+
+test("sets the held stack", function(t) {
+    var player = t.player({ op: true });
+    t.give(player, "minecraft:stone", 1);
+
+    var result = t.command(player, "js stack 42");
+    t.expectSuccess(result);
+    t.expectChat(result, "Set stack to 42");
+    t.expectItem(player, "minecraft:stone", 42);
+});
+
+test("needs an item in hand", function(t) {
+    var player = t.player({ op: true });
+    var result = t.command(player, "js stack 10");
+    t.expectFailure(result);
+    t.expectChat(result, "Hold an item first!");
+});
+
+test("rejects amounts outside 1-64", function(t) {
+    var player = t.player({ op: true });
+    t.give(player, "minecraft:stone", 5);
+    t.expectFailure(t.command(player, "js stack 0"));
+    t.expectFailure(t.command(player, "js stack 65"));
+    t.expectItem(player, "minecraft:stone", 5);
+});
+
+test("needs op", function(t) {
+    var player = t.player();
+    t.give(player, "minecraft:stone", 5);
+    t.expectFailure(t.command(player, "js stack 64"));
+    t.expectItem(player, "minecraft:stone", 5);
+});
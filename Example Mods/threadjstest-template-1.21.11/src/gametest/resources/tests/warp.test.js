@@ -0,0 +1,42 @@
+// /js warp set|go|list|remove
+//
+// Warps are shared by everyone, so each test uses a name of its own.
+
+function warpName() {
+    return "gt" + Math.floor(Math.random() * 1000000);
+}
+
+test("set, go and remove", function(t) {
+    var name = warpName();
+    var admin = t.player({ op: true, at: [2, 2, 2] });
+    t.expectChat(t.command(admin, "js warp set " + name), "Warp '" + name + "' set");
+
+    var player = t.player({ at: [6, 2, 6] });
+    var result = t.command(player, "js warp go " + name);
+    t.expectSuccess(result);
+    t.expectChat(result, "Warped to " + name);
+    t.expectAt(player, [2, 2, 2]);
+
+    t.expectChat(t.command(player, "js warp list"), name);
+    t.expectChat(t.command(admin, "js warp remove " + name), "Removed warp " + name);
+    t.expectFailure(t.command(player, "js warp go " + name));
+});
+
+test("unknown warp", function(t) {
+    var player = t.player({ at: [4, 2, 4] });
+    var result = t.command(player, "js warp go nowhere_at_all");
+    t.expectFailure(result);
+    t.expectChat(result, "Unknown warp: nowhere_at_all");
+    t.expectAt(player, [4, 2, 4]);
+});
+
+test("set and remove need op", function(t) {
+    var name = warpName();
+    var player = t.player();
+    t.expectFailure(t.command(player, "js warp set " + name));
+
+    var admin = t.player({ op: true });
+    t.expectSuccess(t.command(admin, "js warp set " + name));
+    t.expectFailure(t.command(player, "js warp remove " + name));
+    t.expectSuccess(t.command(admin, "js warp remove " + name));
+});
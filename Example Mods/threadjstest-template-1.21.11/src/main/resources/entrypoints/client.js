@@ -0,0 +1,305 @@
+// ============================================================================
+// ThreadJS Sample Mod — Client Entrypoint for 1.21.11
+// ============================================================================
+//
+// Loaded only on the client, through the "client" entrypoint in
+// fabric.mod.json, after main.js. It demonstrates:
+//
+//   1. Keybindings registered through Fabric's KeyBindingHelper
+//   2. HUD overlays drawn from a JS render callback (HudElementRegistry)
+//   3. Client-side commands (/jsc) that work on any server, even vanilla ones
+//   4. Client tick events
+//
+// The example is a coordinate and compass overlay in the top-left corner,
+// toggled with H (rebindable under Options → Controls → ThreadJS Sample
+// Mod) or /jsc hud.
+//
+// A dedicated server never loads this file, so server code stays in main.js
+// and this file may use client-only classes freely. It is not hot-reloaded
+// like main.js; restart the client to pick up changes.
+//
+// ============================================================================
+
+
+
+// ── 1. IMPORTING JAVA CLASSES ──────────────────────────────────────────────
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var FabricLoader = Java.type("net.fabricmc.loader.api.FabricLoader");
+var System = Java.type("java.lang.System");
+var Files = Java.type("java.nio.file.Files");
+var Paths = Java.type("java.nio.file.Paths");
+
+// ── Module loader and name remapping ──
+// A copy of main.js's module loader setup; keep the two in sync. require()
+// reads lib/ and the rest from the mod's resources (see lib/modules.js), and
+// Mappings.install() makes the Yarn names below work in a production jar
+// (see lib/mappings.js).
+var Resources = {
+    path: function(id) {
+        var override = System.getProperty("threadjstest.scriptPath");
+        if (override !== null) return Paths.get(override).toAbsolutePath().getParent().getParent().resolve(id);
+        return FabricLoader.getInstance().getModContainer("threadjstest").get().findPath(id).orElse(null);
+    },
+
+    read: function(id) {
+        var path = Resources.path(id);
+        if (path === null || !Files.isRegularFile(path)) return null;
+        return String(Files.readString(path));
+    }
+};
+
+var loader = { exports: {} };
+new Function("module", "exports", Resources.read("entrypoints/lib/modules.js"))(loader, loader.exports);
+var require = loader.exports.Modules.create({ resources: Resources, main: module, mainId: "entrypoints/client.js" });
+
+// Before any Minecraft class is looked up by its Yarn name.
+require("./lib/mappings").Mappings.install();
+
+// ── Minecraft Client ──
+var MinecraftClient = Java.type("net.minecraft.client.MinecraftClient");
+var KeyBinding = Java.type("net.minecraft.client.option.KeyBinding");
+var InputUtil = Java.type("net.minecraft.client.util.InputUtil");
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var ClickEvent = Java.type("net.minecraft.text.ClickEvent");
+var HoverEvent = Java.type("net.minecraft.text.HoverEvent");
+var Identifier = Java.type("net.minecraft.util.Identifier");
+var GLFW = Java.type("org.lwjgl.glfw.GLFW");
+
+// ── Fabric Client API ──
+var KeyBindingHelper = Java.type("net.fabricmc.fabric.api.client.keybinding.v1.KeyBindingHelper");
+var ClientTickEvents = Java.type("net.fabricmc.fabric.api.client.event.lifecycle.v1.ClientTickEvents");
+var HudElementRegistry = Java.type("net.fabricmc.fabric.api.client.rendering.v1.hud.HudElementRegistry");
+var HudElement = Java.type("net.fabricmc.fabric.api.client.rendering.v1.hud.HudElement");
+var ClientCommandRegistrationCallback = Java.type("net.fabricmc.fabric.api.client.command.v2.ClientCommandRegistrationCallback");
+var ClientCommandManager = Java.type("net.fabricmc.fabric.api.client.command.v2.ClientCommandManager");
+
+
+// ── 2. CLIENT HELPERS ──────────────────────────────────────────────────────
+//
+// Thin wrappers around the Fabric client callbacks, in the spirit of the
+// event bus in lib/events.js:
+//
+//   ClientJs.onTick("speed", function(client) { ... });                 // 20 times a second
+//   ClientJs.keybind("toggle_hud", GLFW.GLFW_KEY_H, function(client) { ... });
+//   ClientJs.hud("coords", function(context, tickCounter, client) { ... });
+//   ClientJs.commands(function(dispatcher, registryAccess) { dispatcher.register(...); });
+//
+// Key names are translated from key.threadjstest.<name> in
+// assets/threadjstest/lang/en_us.json. Register keybindings from
+// onInitializeClient(), before the options file is read.
+//
+// A tick handler or HUD element that throws is logged once and turned off,
+// so a bug doesn't fill the log 20 or 60 times a second.
+
+var ClientJs = (function() {
+    var MOD_ID = "threadjstest";
+    var EndTick = Java.extend(ClientTickEvents.EndTick);
+    var HudElementImpl = Java.extend(HudElement);
+    var CommandCallback = Java.extend(ClientCommandRegistrationCallback);
+    var category = null;
+    var tickHandlers = [];      // [{ name, fn }]
+    var keyHandlers = [];       // [{ name, binding, fn }]
+    var hooked = false;
+
+    function hookTicks() {
+        if (hooked) return;
+        ClientTickEvents.END_CLIENT_TICK.register(new EndTick({
+            onEndTick: function(client) {
+                tickHandlers.slice().forEach(function(handler) {
+                    try {
+                        handler.fn(client);
+                    } catch (e) {
+                        LOGGER.error("Client tick handler '{}' failed and was turned off: {}", handler.name, String(e));
+                        tickHandlers = tickHandlers.filter(function(h) { return h !== handler; });
+                    }
+                });
+                keyHandlers.forEach(function(handler) {
+                    while (handler.binding.wasPressed()) {
+                        try {
+                            handler.fn(client);
+                        } catch (e) {
+                            LOGGER.error("Key '{}' handler failed: {}", handler.name, String(e));
+                        }
+                    }
+                });
+            }
+        }));
+        hooked = true;
+    }
+
+    var api = {
+        onTick: function(name, fn) {
+            hookTicks();
+            tickHandlers.push({ name: name, fn: fn });
+        },
+
+        // Registers key.threadjstest.<name>, bound to key (a GLFW key code) by
+        // default, and calls onPress(client) once per press.
+        keybind: function(name, key, onPress) {
+            if (category === null) category = KeyBinding.Category.create(Identifier.of(MOD_ID, "main"));
+            var binding = KeyBindingHelper.registerKeyBinding(
+                new KeyBinding("key." + MOD_ID + "." + name, InputUtil.Type.KEYSYM, key, category));
+            hookTicks();
+            keyHandlers.push({ name: name, binding: binding, fn: onPress });
+            return binding;
+        },
+
+        // Draws on top of the vanilla HUD every frame:
+        // render(context, tickCounter, client), context being a DrawContext.
+        hud: function(name, render) {
+            var failed = false;
+            HudElementRegistry.addLast(Identifier.of(MOD_ID, name), new HudElementImpl({
+                render: function(context, tickCounter) {
+                    if (failed) return;
+                    try {
+                        render(context, tickCounter, MinecraftClient.getInstance());
+                    } catch (e) {
+                        failed = true;
+                        LOGGER.error("HUD element '{}' failed and was turned off: {}", name, String(e));
+                    }
+                }
+            }));
+        },
+
+        // register(dispatcher, registryAccess), with commands built from
+        // ClientCommandManager.literal() / argument().
+        commands: function(register) {
+            ClientCommandRegistrationCallback.EVENT.register(new CommandCallback({
+                register: function(dispatcher, registryAccess) {
+                    register(dispatcher, registryAccess);
+                }
+            }));
+        }
+    };
+
+    return api;
+})();
+
+// DrawContext colors are ARGB; without the alpha byte text is invisible.
+function argb(rgb, alpha) {
+    return ((alpha === undefined ? 0xFF : alpha) << 24) | rgb;
+}
+
+
+// ── 3. COORDINATE & COMPASS HUD ────────────────────────────────────────────
+//
+//   XYZ: 120 64 -35
+//   Facing: NE (north, -Z)
+//   Speed: 4.3 m/s
+//   World: overworld
+//
+// Speed comes from a tick handler, which sees the player once per game tick;
+// the overlay itself is drawn every frame from what the handler last saw.
+
+var HEADINGS = ["S", "SW", "W", "NW", "N", "NE", "E", "SE"];   // yaw 0 faces south
+var AXES = { north: "-Z", south: "+Z", east: "+X", west: "-X" };
+
+var coordsHud = {
+    visible: true,
+    speed: 0,           // blocks per second over the last tick
+    last: null          // { x, z } at the previous tick
+};
+
+function heading(yaw) {
+    return HEADINGS[Math.round((((yaw % 360) + 360) % 360) / 45) % 8];
+}
+
+function setCoordsHud(client, visible) {
+    coordsHud.visible = visible;
+    if (client.player !== null) {
+        client.player.sendMessage(Text.literal("Coordinates HUD " + (visible ? "on" : "off"))
+            .formatted(visible ? Formatting.GREEN : Formatting.GRAY), true);
+    }
+}
+
+function coordsLines(client) {
+    var player = client.player;
+    var facing = player.getHorizontalFacing().asString();
+    return [
+        "XYZ: " + Math.floor(player.getX()) + " " + Math.floor(player.getY()) + " " + Math.floor(player.getZ()),
+        "Facing: " + heading(player.getYaw()) + " (" + facing + ", " + AXES[facing] + ")",
+        "Speed: " + coordsHud.speed.toFixed(1) + " m/s",
+        "World: " + client.world.getRegistryKey().getValue().getPath()
+    ];
+}
+
+function trackSpeed(client) {
+    var player = client.player;
+    if (player === null) {
+        coordsHud.last = null;
+        coordsHud.speed = 0;
+        return;
+    }
+    var x = player.getX(), z = player.getZ();
+    if (coordsHud.last !== null) {
+        var dx = x - coordsHud.last.x, dz = z - coordsHud.last.z;
+        coordsHud.speed = Math.sqrt(dx * dx + dz * dz) * 20;
+    }
+    coordsHud.last = { x: x, z: z };
+}
+
+function drawCoordsHud(context, tickCounter, client) {
+    if (!coordsHud.visible || client.player === null || client.world === null || client.options.hudHidden) return;
+    var font = client.textRenderer;
+    var lines = coordsLines(client);
+    var width = 0;
+    lines.forEach(function(line) {
+        width = Math.max(width, font.getWidth(line));
+    });
+
+    context.fill(2, 2, 2 + width + 6, 2 + lines.length * 10 + 4, argb(0x000000, 0x80));
+    lines.forEach(function(line, i) {
+        context.drawTextWithShadow(font, line, 5, 5 + i * 10, argb(i === 0 ? 0xFFFF55 : 0xFFFFFF));
+    });
+}
+
+
+// ============================================================================
+// ── 4. ENTRYPOINT ──────────────────────────────────────────────────────────
+// ============================================================================
+
+module.exports = {
+    onInitializeClient: function() {
+        LOGGER.info("=== ThreadJS Sample Mod \u2014 client side initializing ===");
+
+        // ── Coordinates HUD: overlay, speed tracking and its keybinding ──
+        ClientJs.hud("coords", drawCoordsHud);
+        ClientJs.onTick("coords speed", trackSpeed);
+        ClientJs.keybind("toggle_hud", GLFW.GLFW_KEY_H, function(client) {
+            setCoordsHud(client, !coordsHud.visible);
+        });
+
+        // ── Client commands: /jsc hud [on|off], /jsc coords ──────────
+        ClientJs.commands(function(dispatcher, registryAccess) {
+            var hudCommand = function(visible) {
+                return function(ctx) {
+                    setCoordsHud(MinecraftClient.getInstance(), visible === undefined ? !coordsHud.visible : visible);
+                    return 1;
+                };
+            };
+
+            dispatcher.register(ClientCommandManager.literal("jsc")
+                .then(ClientCommandManager.literal("hud")
+                    .executes(hudCommand())
+                    .then(ClientCommandManager.literal("on").executes(hudCommand(true)))
+                    .then(ClientCommandManager.literal("off").executes(hudCommand(false))))
+                .then(ClientCommandManager.literal("coords")
+                    .executes(function(ctx) {
+                        var player = ctx.getSource().getPlayer();
+                        var coords = Math.floor(player.getX()) + " " + Math.floor(player.getY()) + " " + Math.floor(player.getZ());
+                        ctx.getSource().sendFeedback(Text.literal("\uD83D\uDCCD ")
+                            .append(Text.literal(coords).styled(function(style) {
+                                return style.withColor(Formatting.AQUA).withUnderline(true)
+                                    .withClickEvent(new ClickEvent.CopyToClipboard(coords))
+                                    .withHoverEvent(new HoverEvent.ShowText(Text.literal("Click to copy")));
+                            })));
+                        return 1;
+                    })));
+        });
+
+        LOGGER.info("=== ThreadJS Sample Mod \u2014 client side ready (H toggles the coordinates HUD) ===");
+    }
+};
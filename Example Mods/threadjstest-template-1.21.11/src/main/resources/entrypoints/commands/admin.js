@@ -0,0 +1,222 @@
+// ── ADMIN COMMANDS ─────────────────────────────────────────────────────────
+//
+// /js cooldown reset, /js reload, /js perms and /js config.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+
+var OP_LEVEL_ADMIN = require("../lib/permissions").OP_LEVEL_ADMIN;
+var Permissions = require("../lib/permissions").Permissions;
+var refreshCommandTree = require("../lib/permissions").refreshCommandTree;
+var Config = require("../lib/config").Config;
+var colorText = require("../helpers/text").colorText;
+var Cooldowns = require("../lib/cooldowns").Cooldowns;
+var ScriptReloader = require("../lib/reload").ScriptReloader;
+
+function register(js) {
+    // /js cooldown reset <player> [action]
+    js.command("cooldown reset <player:player> [action:word]", {
+        description: "Clear a player's cooldowns and quotas",
+        permission: "cooldown",
+        level: OP_LEVEL_ADMIN,
+        suggest: { action: function(c) { return Cooldowns.names(); } },
+        run: function(c) {
+            var target = c.args.player;
+            var targetName = target.getName().getString();
+            var action = c.args.action;
+            if (action !== undefined && !Cooldowns.has(action)) {
+                c.fail("Unknown action '" + action + "' (" + Cooldowns.names().join(", ") + ")");
+            }
+
+            var cleared = Cooldowns.reset(target.getUuid().toString(), action);
+            if (cleared === 0) c.fail(targetName + " has no " + (action === undefined ? "" : action + " ") + "cooldowns to reset.");
+            c.reply(colorText("\u231B Reset " + (action === undefined ? "all cooldowns" : action) + " for " + targetName + ".", Formatting.GREEN), true);
+            return cleared;
+        }
+    });
+
+    // /js reload — re-evaluate main.js and its modules without restarting
+    js.command("reload", {
+        description: "Reload main.js without restarting",
+        permission: "reload",
+        level: OP_LEVEL_ADMIN,
+        run: function(c) {
+            var result = ScriptReloader.reload(c.server);
+            if (!result.ok) c.fail(result.message);
+            c.reply(colorText("\u267B " + result.message, Formatting.GREEN), true);
+        }
+    });
+
+    // /js perms list|info|grant|deny|revoke|reload
+    var suggestNodes = function(c) {
+        return Permissions.nodes();
+    };
+
+    var editPermission = function(action) {
+        return function(c) {
+            var target = c.args.player;
+            var targetName = target.getName().getString();
+            var node = c.args.node.trim();
+
+            var revoked = true;
+            try {
+                if (action === "grant") Permissions.grant(target, node);
+                else if (action === "deny") Permissions.deny(target, node);
+                else revoked = Permissions.revoke(target, node);
+            } catch (e) {
+                c.fail(String(e.message || e));
+            }
+            if (!revoked) c.fail(targetName + " has no explicit entry for " + node);
+            refreshCommandTree(target);
+
+            c.reply(Text.literal("\uD83D\uDD11 " + action.charAt(0).toUpperCase() + action.substring(1) + " ")
+                .append(colorText(node, Formatting.AQUA))
+                .append(Text.literal(" for " + targetName).formatted(Formatting.GRAY)), true);
+        };
+    };
+
+    js.command("perms list", {
+        description: "List permission nodes and their op levels",
+        permission: "perms",
+        level: OP_LEVEL_ADMIN,
+        run: function(c) {
+            var nodes = Permissions.nodes();
+            c.reply(Text.literal("\uD83D\uDD11 Permission nodes:").formatted(Formatting.GOLD));
+            for (var i = 0; i < nodes.length; i++) {
+                c.reply(Text.literal("  " + nodes[i]).formatted(Formatting.AQUA)
+                    .append(Text.literal(" \u2014 op " + Permissions.levelOf(nodes[i])).formatted(Formatting.GRAY)));
+            }
+            return nodes.length;
+        }
+    });
+
+    js.command("perms info <player:player>", {
+        description: "Show a player's grants and denies",
+        permission: "perms",
+        level: OP_LEVEL_ADMIN,
+        run: function(c) {
+            var target = c.args.player;
+            var entry = Permissions.entry(target.getUuid().toString());
+            var granted = entry === null ? [] : entry.grant;
+            var denied = entry === null ? [] : entry.deny;
+            var allowed = Permissions.nodes().filter(function(node) {
+                return Permissions.has(target, node);
+            });
+
+            c.reply(Text.literal("\uD83D\uDD11 " + target.getName().getString() + ":").formatted(Formatting.GOLD));
+            c.reply(Text.literal("  Granted: ").formatted(Formatting.GRAY)
+                .append(colorText(granted.length > 0 ? granted.join(", ") : "-", Formatting.GREEN)));
+            c.reply(Text.literal("  Denied: ").formatted(Formatting.GRAY)
+                .append(colorText(denied.length > 0 ? denied.join(", ") : "-", Formatting.RED)));
+            c.reply(Text.literal("  Effective: ").formatted(Formatting.GRAY)
+                .append(colorText(allowed.length + "/" + Permissions.nodes().length + " nodes", Formatting.AQUA)));
+        }
+    });
+
+    ["grant", "deny", "revoke"].forEach(function(action) {
+        js.command("perms " + action + " <player:player> <node:greedy>", {
+            description: action.charAt(0).toUpperCase() + action.substring(1) + " a permission node",
+            permission: "perms",
+            level: OP_LEVEL_ADMIN,
+            suggest: { node: suggestNodes },
+            run: editPermission(action)
+        });
+    });
+
+    js.command("perms reload", {
+        description: "Re-read the permissions file",
+        permission: "perms",
+        level: OP_LEVEL_ADMIN,
+        run: function(c) {
+            try {
+                Permissions.load();
+            } catch (e) {
+                c.fail("Failed to reload permissions: " + e);
+            }
+            var players = c.server.getPlayerManager().getPlayerList();
+            for (var i = 0; i < players.size(); i++) refreshCommandTree(players.get(i));
+            c.reply(colorText("\uD83D\uDD11 Permissions reloaded.", Formatting.GREEN), true);
+        }
+    });
+
+    // /js config get|set|reload
+    var suggestConfigKeys = function(c) {
+        return Config.keys();
+    };
+
+    var configValue = function(value) {
+        return JSON.stringify(value);
+    };
+
+    js.command("config get [key:word]", {
+        description: "Show config values",
+        permission: "config",
+        level: OP_LEVEL_ADMIN,
+        suggest: { key: suggestConfigKeys },
+        run: function(c) {
+            if (c.args.key === undefined) {
+                var keys = Config.keys();
+                c.reply(Text.literal("\u2699 Config (config/threadjstest.json):").formatted(Formatting.GOLD));
+                for (var i = 0; i < keys.length; i++) {
+                    c.reply(Text.literal("  " + keys[i]).formatted(Formatting.AQUA)
+                        .append(Text.literal(" = " + configValue(Config.get(keys[i]))).formatted(Formatting.GRAY)));
+                }
+                return keys.length;
+            }
+
+            var key = c.args.key;
+            if (Config.keys().indexOf(key) < 0) c.fail("Unknown config key '" + key + "'");
+            var spec = Config.describe(key);
+            var range = spec.min === undefined && spec.max === undefined ? ""
+                : ", " + (spec.min === undefined ? "" : spec.min) + ".." + (spec.max === undefined ? "" : spec.max);
+
+            c.reply(Text.literal("\u2699 " + key).formatted(Formatting.GOLD)
+                .append(Text.literal(" (" + spec.type + range + ")").formatted(Formatting.GRAY)));
+            if (spec.description !== "") c.reply(Text.literal("  " + spec.description).formatted(Formatting.GRAY));
+            c.reply(Text.literal("  Value: ").formatted(Formatting.GRAY)
+                .append(colorText(configValue(Config.get(key)), Formatting.AQUA)));
+            c.reply(Text.literal("  Default: " + configValue(spec.default)).formatted(Formatting.DARK_GRAY));
+        }
+    });
+
+    js.command("config set <key:word> <value:greedy>", {
+        description: "Change a config value (lists as JSON)",
+        permission: "config",
+        level: OP_LEVEL_ADMIN,
+        suggest: { key: suggestConfigKeys },
+        run: function(c) {
+            var key = c.args.key;
+            if (Config.keys().indexOf(key) < 0) c.fail("Unknown config key '" + key + "'");
+            try {
+                Config.set(key, Config.parse(key, c.args.value.trim()));
+            } catch (e) {
+                c.fail("Invalid value for " + key + ": " + (e.message || e));
+            }
+            c.reply(Text.literal("\u2699 Set ")
+                .append(colorText(key, Formatting.AQUA))
+                .append(Text.literal(" = " + configValue(Config.get(key))).formatted(Formatting.GRAY)), true);
+        }
+    });
+
+    js.command("config reload", {
+        description: "Re-read the config file",
+        permission: "config",
+        level: OP_LEVEL_ADMIN,
+        run: function(c) {
+            var problems;
+            try {
+                problems = Config.load();
+            } catch (e) {
+                c.fail("Failed to reload config: " + e);
+            }
+            c.reply(colorText("\u2699 Config reloaded.", Formatting.GREEN), true);
+            for (var i = 0; i < problems.length; i++) {
+                c.reply(colorText("  Using the default for " + problems[i], Formatting.YELLOW));
+            }
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,151 @@
+// ── CLAIM COMMANDS ─────────────────────────────────────────────────────────
+//
+// /js claim create|trust|untrust|flag|info|list|abandon. Everything but
+// create and list acts on the claim you stand in.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var Math = Java.type("java.lang.Math");
+
+var dimensionLabel = require("../helpers/format").dimensionLabel;
+var Config = require("../lib/config").Config;
+var colorText = require("../helpers/text").colorText;
+var CLAIM_FLAGS = require("../systems/claims").CLAIM_FLAGS;
+var Claims = require("../systems/claims").Claims;
+
+function register(js) {
+    // /js claim create|trust|untrust|flag|info|list|abandon
+    // Everything but create and list acts on the claim you stand in.
+    var claimHere = function(c, manage) {
+        var claim = Claims.atEntity(c.player);
+        if (claim === null) c.fail("You are not standing in a claim.");
+        if (manage && !Claims.canManage(claim, c.player)) c.fail("Only " + claim.ownerName + " can change this claim.");
+        return claim;
+    };
+
+    var claimSize = function(claim) {
+        return (claim.maxX - claim.minX + 1) + "\u00d7" + (claim.maxZ - claim.minZ + 1);
+    };
+
+    js.command("claim create <name:word> [radius:int(1)]", {
+        description: "Claim the land around you",
+        permission: "claim",
+        playerOnly: true,
+        run: function(c) {
+            var radius = c.args.radius === undefined ? Config.get("claims.defaultRadius") : c.args.radius;
+            var claim;
+            try {
+                claim = Claims.create(c.player, c.args.name.toLowerCase(), radius);
+            } catch (e) {
+                c.fail(String(e.message || e));
+            }
+            Claims.outline(c.player, claim);
+            c.reply(colorText("\uD83D\uDD12 Claimed '" + claim.name + "' (" + claimSize(claim) + " blocks). Use /js claim flag and /js claim trust to share it.", Formatting.GREEN));
+        }
+    });
+
+    js.command("claim trust <player:player>", {
+        description: "Let a player build in this claim",
+        permission: "claim",
+        playerOnly: true,
+        run: function(c) {
+            var claim = claimHere(c, true);
+            var target = c.args.player;
+            if (target.getUuid().toString() === claim.owner) c.fail("The owner is always trusted.");
+            Claims.trust(claim, target);
+            c.reply(colorText("\uD83D\uDD12 Trusted " + target.getName().getString() + " in " + claim.name + ".", Formatting.GREEN));
+        }
+    });
+
+    js.command("claim untrust <player:word>", {
+        description: "Remove a trusted player",
+        permission: "claim",
+        playerOnly: true,
+        suggest: {
+            player: function(c) {
+                var claim = c.player === null ? null : Claims.atEntity(c.player);
+                if (claim === null) return [];
+                return Object.keys(claim.trusted).map(function(uuid) { return claim.trusted[uuid]; });
+            }
+        },
+        run: function(c) {
+            var claim = claimHere(c, true);
+            if (!Claims.untrust(claim, c.args.player)) c.fail(c.args.player + " is not trusted in " + claim.name + ".");
+            c.reply(colorText("\uD83D\uDD12 " + c.args.player + " is no longer trusted in " + claim.name + ".", Formatting.YELLOW));
+        }
+    });
+
+    js.command("claim flag <flag:word> <value:bool>", {
+        description: "Set what outsiders may do here",
+        permission: "claim",
+        playerOnly: true,
+        suggest: { flag: function(c) { return Object.keys(CLAIM_FLAGS); } },
+        run: function(c) {
+            var claim = claimHere(c, true);
+            try {
+                Claims.setFlag(claim, c.args.flag.toLowerCase(), c.args.value);
+            } catch (e) {
+                c.fail(String(e.message || e));
+            }
+            c.reply(Text.literal("\uD83D\uDD12 " + claim.name + ": ").formatted(Formatting.GOLD)
+                .append(colorText(c.args.flag.toLowerCase() + " = " + c.args.value, c.args.value ? Formatting.GREEN : Formatting.RED)));
+        }
+    });
+
+    js.command("claim info", {
+        description: "Show the claim you stand in",
+        permission: "claim",
+        playerOnly: true,
+        run: function(c) {
+            var claim = claimHere(c, false);
+            var trusted = Object.keys(claim.trusted).map(function(uuid) { return claim.trusted[uuid]; });
+
+            c.reply(Text.literal("\uD83D\uDD12 " + claim.name).formatted(Formatting.GOLD)
+                .append(Text.literal(" by " + claim.ownerName).formatted(Formatting.AQUA)));
+            c.reply(Text.literal("  " + claimSize(claim) + " from " + claim.minX + ", " + claim.minZ
+                + " to " + claim.maxX + ", " + claim.maxZ + " in " + dimensionLabel(claim.dimension)).formatted(Formatting.GRAY));
+            c.reply(Text.literal("  Trusted: " + (trusted.length > 0 ? trusted.join(", ") : "-")).formatted(Formatting.GRAY));
+            Object.keys(CLAIM_FLAGS).forEach(function(flag) {
+                c.reply(Text.literal("  " + flag + ": ").formatted(Formatting.GRAY)
+                    .append(colorText(String(claim.flags[flag]), claim.flags[flag] ? Formatting.GREEN : Formatting.RED))
+                    .append(Text.literal(" \u2014 " + CLAIM_FLAGS[flag]).formatted(Formatting.DARK_GRAY)));
+            });
+            Claims.outline(c.player, claim);
+        }
+    });
+
+    js.command("claim list", {
+        description: "List your claims",
+        permission: "claim",
+        playerOnly: true,
+        run: function(c) {
+            var owned = Claims.ownedBy(c.player.getUuid().toString());
+            if (owned.length === 0) c.fail("You have no claims. Stand somewhere and use /js claim create <name>.");
+            c.reply(Text.literal("\uD83D\uDD12 Your claims (" + owned.length + "/" + Config.get("claims.maxPerPlayer") + "):").formatted(Formatting.GOLD));
+            for (var i = 0; i < owned.length; i++) {
+                var claim = owned[i];
+                c.reply(Text.literal("  \u2022 ").formatted(Formatting.GRAY)
+                    .append(Text.literal(claim.name).formatted(Formatting.AQUA))
+                    .append(Text.literal(" \u2014 " + claimSize(claim) + " around "
+                        + Math.round((claim.minX + claim.maxX) / 2) + ", " + Math.round((claim.minZ + claim.maxZ) / 2)
+                        + " (" + dimensionLabel(claim.dimension) + ")").formatted(Formatting.GRAY)));
+            }
+            return owned.length;
+        }
+    });
+
+    js.command("claim abandon", {
+        description: "Give up the claim you stand in",
+        permission: "claim",
+        playerOnly: true,
+        run: function(c) {
+            var claim = claimHere(c, true);
+            Claims.abandon(claim);
+            c.reply(colorText("\uD83D\uDD13 Abandoned " + claim.name + ".", Formatting.YELLOW));
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
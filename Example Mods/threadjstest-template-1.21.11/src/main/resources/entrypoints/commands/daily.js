@@ -0,0 +1,52 @@
+// ── DAILY REWARD ───────────────────────────────────────────────────────────
+//
+// /js daily hands out daily.rewards and daily.coins once per cooldown.
+
+var Formatting = Java.type("net.minecraft.util.Formatting");
+
+var Config = require("../lib/config").Config;
+var giveItems = require("../lib/config").giveItems;
+var colorText = require("../helpers/text").colorText;
+var Cooldowns = require("../lib/cooldowns").Cooldowns;
+var Economy = require("../systems/economy").Economy;
+
+Config.define("daily.rewards", {
+    type: "items", min: 0,
+    default: [
+        { id: "minecraft:emerald", count: 3 },
+        { id: "minecraft:golden_apple", count: 1 }
+    ],
+    description: "Items handed out by /js daily"
+});
+
+// Before the cooldown service, /js daily kept the last claims in the "daily"
+// store and its length in daily.cooldownSeconds.
+Cooldowns.define("daily", {
+    label: "Daily reward", seconds: 300,
+    replaces: { seconds: "daily.cooldownSeconds", store: "daily" }
+});
+
+function register(js) {
+    // /js daily
+    js.command("daily", {
+        description: "Timed reward",
+        permission: "daily",
+        playerOnly: true,
+        cooldown: "daily",
+        run: function(c) {
+            giveItems(c.player, Config.get("daily.rewards"));
+
+            var coins = Config.get("daily.coins");
+            if (coins > 0) {
+                Economy.deposit(c.player, coins, "daily reward");
+                c.reply(colorText("\uD83C\uDF81 Daily reward claimed! +" + Economy.format(coins), Formatting.GREEN));
+                return;
+            }
+            c.reply(colorText("\uD83C\uDF81 Daily reward claimed!", Formatting.GREEN));
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
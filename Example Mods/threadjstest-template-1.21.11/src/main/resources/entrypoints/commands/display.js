@@ -0,0 +1,68 @@
+// ── DISPLAY COMMANDS ───────────────────────────────────────────────────────
+//
+// /js hud on|off and /js placeholders.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+
+var MarkupError = require("../lib/markup").MarkupError;
+var Placeholders = require("../lib/placeholders").Placeholders;
+var colorText = require("../helpers/text").colorText;
+var Hud = require("../lib/hud").Hud;
+
+function register(js) {
+    // /js hud on|off
+    js.command("hud on", {
+        description: "Show the sidebar and boss bars",
+        permission: "hud",
+        playerOnly: true,
+        run: function(c) {
+            Hud.setEnabled(c.player, true);
+            c.reply(colorText("HUD on.", Formatting.GREEN));
+        }
+    });
+
+    js.command("hud off", {
+        description: "Hide the sidebar and boss bars",
+        permission: "hud",
+        playerOnly: true,
+        run: function(c) {
+            Hud.setEnabled(c.player, false);
+            c.reply(colorText("HUD off. /js hud on brings it back.", Formatting.GRAY));
+        }
+    });
+
+    // /js placeholders, /js placeholders test <text>
+    js.command("placeholders", {
+        description: "List the placeholders messages can use",
+        permission: "placeholders",
+        run: function(c) {
+            var names = Placeholders.names();
+            c.reply(Text.literal("\u2550\u2550 Placeholders \u2550\u2550").formatted(Formatting.GOLD));
+            names.forEach(function(name) {
+                c.reply(Text.literal("  {" + name + "}").formatted(Formatting.YELLOW)
+                    .append(Text.literal(" \u2014 " + Placeholders.describe(name)).formatted(Formatting.GRAY)));
+            });
+            return names.length;
+        }
+    });
+
+    js.command("placeholders test <text:greedy>", {
+        description: "Show markup with placeholders filled in for you",
+        permission: "placeholders",
+        run: function(c) {
+            var text;
+            try {
+                text = Placeholders.text(c.args.text, { player: c.player, server: c.server });
+            } catch (e) {
+                if (!(e instanceof MarkupError)) throw e;
+                c.fail(e.message);
+            }
+            c.reply(text);
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,108 @@
+// ── ECONOMY COMMANDS ───────────────────────────────────────────────────────
+//
+// /js balance [player], /js pay, /js baltop and /js eco give|take|set.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+
+var OP_LEVEL_GAMEMASTER = require("../lib/permissions").OP_LEVEL_GAMEMASTER;
+var OP_LEVEL_ADMIN = require("../lib/permissions").OP_LEVEL_ADMIN;
+var colorText = require("../helpers/text").colorText;
+var Economy = require("../systems/economy").Economy;
+
+function register(js) {
+    // /js balance [player], /js pay, /js baltop
+    js.command("balance", {
+        description: "Show your balance",
+        permission: "balance",
+        playerOnly: true,
+        run: function(c) {
+            c.reply(Text.literal("\uD83D\uDCB0 Balance: ")
+                .append(colorText(Economy.format(Economy.balance(c.player)), Formatting.YELLOW)));
+        }
+    });
+
+    js.command("balance <player:player>", {
+        description: "Show another player's balance",
+        permission: "balance.others",
+        level: OP_LEVEL_GAMEMASTER,
+        run: function(c) {
+            var target = c.args.player;
+            c.reply(Text.literal("\uD83D\uDCB0 " + target.getName().getString() + ": ")
+                .append(colorText(Economy.format(Economy.balance(target)), Formatting.YELLOW)));
+        }
+    });
+
+    js.command("pay <target:player> <amount:int(1)>", {
+        description: "Send money to a player",
+        permission: "pay",
+        playerOnly: true,
+        run: function(c) {
+            var target = c.args.target;
+            var amount = c.args.amount;
+            var targetName = target.getName().getString();
+            if (target.getUuid().equals(c.player.getUuid())) c.fail("You can't pay yourself.");
+
+            if (!Economy.transfer(c.player, target, amount, "/js pay")) {
+                c.fail("You only have " + Economy.format(Economy.balance(c.player)) + ".");
+            }
+
+            c.reply(Text.literal("\uD83D\uDCB0 Sent ")
+                .append(colorText(Economy.format(amount), Formatting.YELLOW))
+                .append(Text.literal(" to " + targetName).formatted(Formatting.GRAY)));
+            target.sendMessage(Text.literal("\uD83D\uDCB0 " + c.player.getName().getString() + " sent you ")
+                .append(colorText(Economy.format(amount), Formatting.YELLOW)));
+        }
+    });
+
+    js.command("baltop", {
+        description: "Richest players",
+        permission: "baltop",
+        run: function(c) {
+            var top = Economy.top(10);
+            if (top.length === 0) {
+                c.reply(colorText("Nobody has any money yet.", Formatting.GRAY));
+                return;
+            }
+            c.reply(Text.literal("\uD83D\uDCB0 Richest players:").formatted(Formatting.GOLD));
+            for (var i = 0; i < top.length; i++) {
+                c.reply(Text.literal("  " + (i + 1) + ". ").formatted(Formatting.GRAY)
+                    .append(Text.literal(top[i].name).formatted(Formatting.AQUA))
+                    .append(Text.literal(" \u2014 " + Economy.format(top[i].balance)).formatted(Formatting.YELLOW)));
+            }
+            return top.length;
+        }
+    });
+
+    // /js eco give|take|set <player> <amount>
+    ["give", "take", "set"].forEach(function(action) {
+        js.command("eco " + action + " <player:player> <amount:int(0)>", {
+            description: { give: "Add money to", take: "Remove money from", set: "Set the balance of" }[action] + " a player",
+            permission: "eco",
+            level: OP_LEVEL_ADMIN,
+            run: function(c) {
+                var target = c.args.player;
+                var targetName = target.getName().getString();
+                var amount = c.args.amount;
+                var reason = "/js eco " + action + " by " + c.source.getName();
+
+                if (action === "give") {
+                    Economy.deposit(target, amount, reason);
+                } else if (action === "take") {
+                    if (!Economy.withdraw(target, amount, reason)) {
+                        c.fail(targetName + " only has " + Economy.format(Economy.balance(target)) + ".");
+                    }
+                } else {
+                    Economy.set(target, amount, reason);
+                }
+
+                c.reply(Text.literal("\uD83D\uDCB0 " + targetName + " now has ")
+                    .append(colorText(Economy.format(Economy.balance(target)), Formatting.YELLOW)), true);
+            }
+        });
+    });
+}
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,101 @@
+// ── FUN COMMANDS ───────────────────────────────────────────────────────────
+//
+// /js greet, /js roll, /js playtime and /js actionbar.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var System = Java.type("java.lang.System");
+var Math = Java.type("java.lang.Math");
+var Random = Java.type("java.util.Random");
+
+var MarkupError = require("../lib/markup").MarkupError;
+var Config = require("../lib/config").Config;
+var Placeholders = require("../lib/placeholders").Placeholders;
+var broadcast = require("../helpers/text").broadcast;
+var colorText = require("../helpers/text").colorText;
+var Session = require("../storage/session").Session;
+
+var random = new Random();
+
+Config.define("roll.defaultSides", {
+    type: "int", default: 20, min: 2,
+    description: "Die used by /js roll without an argument"
+});
+
+Config.define("roll.maxSides", {
+    type: "int", default: 100, min: 2,
+    description: "Largest die /js roll accepts"
+});
+
+function register(js) {
+    // /js greet <player> — with tab-completion
+    js.command("greet <target:player>", {
+        description: "Greet a player",
+        permission: "greet",
+        run: function(c) {
+            var target = c.args.target;
+            target.sendMessage(
+                Text.literal("\uD83D\uDC4B ")
+                    .append(Text.literal(c.source.getName()).formatted(Formatting.AQUA))
+                    .append(Text.literal(" waves at you!").formatted(Formatting.WHITE))
+            );
+            c.reply(colorText("Greeted " + target.getName().getString() + "!", Formatting.GREEN));
+        }
+    });
+
+    // /js roll [sides]
+    js.command("roll [sides:int(2)]", {
+        description: "Roll dice (default d20)",
+        permission: "roll",
+        run: function(c) {
+            var maxSides = Config.get("roll.maxSides");
+            var sides = c.args.sides === undefined ? Math.min(Config.get("roll.defaultSides"), maxSides) : c.args.sides;
+            if (sides > maxSides) c.fail("The biggest die is d" + maxSides + ".");
+            var result = random.nextInt(sides) + 1;
+            broadcast(c.server,
+                Text.literal("\uD83C\uDFB2 " + c.source.getName() + " rolled ")
+                    .append(Text.literal(String(result)).formatted(Formatting.YELLOW, Formatting.BOLD))
+                    .append(Text.literal(" (d" + sides + ")").formatted(Formatting.GRAY))
+            );
+            return result;
+        }
+    });
+
+    // /js playtime
+    js.command("playtime", {
+        description: "Session playtime",
+        permission: "playtime",
+        playerOnly: true,
+        run: function(c) {
+            var data = Session.playerData.get(c.player.getUuid().toString());
+            if (data !== null) {
+                var elapsed = System.currentTimeMillis() - data.joinedAt;
+                var mins = Math.floor(elapsed / 60000);
+                var secs = Math.floor((elapsed % 60000) / 1000);
+                c.reply(Text.literal("\u23F1 Online for ")
+                    .append(Text.literal(mins + "m " + secs + "s").formatted(Formatting.GREEN)));
+            }
+        }
+    });
+
+    // /js actionbar <text>
+    js.command("actionbar <text:greedy>", {
+        description: "Action bar message (markup and placeholders)",
+        permission: "actionbar",
+        playerOnly: true,
+        run: function(c) {
+            var text;
+            try {
+                text = Placeholders.text(c.args.text, { player: c.player, server: c.server });
+            } catch (e) {
+                if (!(e instanceof MarkupError)) throw e;
+                c.fail(e.message);
+            }
+            c.player.sendMessage(Text.empty().formatted(Formatting.GOLD).append(text), true);
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,101 @@
+// ── HELP COMMAND ───────────────────────────────────────────────────────────
+//
+// /js help [page|topic], generated from every command registered with the
+// command builder.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var ClickEvent = Java.type("net.minecraft.text.ClickEvent");
+var HoverEvent = Java.type("net.minecraft.text.HoverEvent");
+var Math = Java.type("java.lang.Math");
+
+var Permissions = require("../lib/permissions").Permissions;
+var Cooldowns = require("../lib/cooldowns").Cooldowns;
+var Commands = require("../lib/commands").Commands;
+
+function register(js) {
+    // /js help [page|command] — generated from the registered commands
+    var HELP_PAGE_SIZE = 8;
+
+    var helpLine = function(entry) {
+        var line = Text.literal(entry.usage).styled(function(style) {
+            return style.withColor(Formatting.YELLOW)
+                .withClickEvent(new ClickEvent.SuggestCommand(entry.suggestion))
+                .withHoverEvent(new HoverEvent.ShowText(Text.literal("Click to type " + entry.suggestion.trim())));
+        });
+        if (entry.description !== "") {
+            line.append(Text.literal(" \u2014 " + entry.description).formatted(Formatting.GRAY));
+        }
+        return line;
+    };
+
+    var helpPageButton = function(label, page) {
+        return Text.literal(label).styled(function(style) {
+            return style.withColor(Formatting.AQUA)
+                .withClickEvent(new ClickEvent.RunCommand("/js help " + page))
+                .withHoverEvent(new HoverEvent.ShowText(Text.literal("Page " + page)));
+        });
+    };
+
+    var helpTopics = function(c) {
+        var topics = [];
+        Commands.usable(c.source).forEach(function(entry) {
+            if (topics.indexOf(entry.topic) < 0) topics.push(entry.topic);
+        });
+        return topics;
+    };
+
+    js.command("help [topic:word]", {
+        description: "List commands, or show details for one",
+        permission: "help",
+        suggest: { topic: helpTopics },
+        run: function(c) {
+            var entries = Commands.usable(c.source);
+            var topic = c.args.topic;
+
+            if (topic === undefined || /^[0-9]+$/.test(topic)) {
+                var pages = Math.max(1, Math.ceil(entries.length / HELP_PAGE_SIZE));
+                var page = topic === undefined ? 1 : parseInt(topic, 10);
+                if (page < 1 || page > pages) c.fail("There is no page " + page + " (1-" + pages + ").");
+
+                c.reply(Text.literal("\u2550\u2550 ThreadJS Commands (" + page + "/" + pages + ") \u2550\u2550").formatted(Formatting.GOLD));
+                var shown = entries.slice((page - 1) * HELP_PAGE_SIZE, page * HELP_PAGE_SIZE);
+                for (var i = 0; i < shown.length; i++) c.reply(helpLine(shown[i]));
+
+                var footer = Text.literal("");
+                if (page > 1) footer.append(helpPageButton("\u00ab Prev  ", page - 1));
+                if (page < pages) footer.append(helpPageButton("Next \u00bb  ", page + 1));
+                footer.append(Text.literal("/js help <command> for details").formatted(Formatting.GRAY));
+                c.reply(footer);
+                return shown.length;
+            }
+
+            topic = topic.toLowerCase();
+            var matches = entries.filter(function(entry) { return entry.topic === topic; });
+            if (matches.length === 0) c.fail("No command named '" + topic + "'. Try /js help.");
+
+            c.reply(Text.literal("\u2550\u2550 Help: " + topic + " \u2550\u2550").formatted(Formatting.GOLD));
+            for (var j = 0; j < matches.length; j++) {
+                var entry = matches[j];
+                c.reply(helpLine(entry));
+                for (var k = 0; k < entry.arguments.length; k++) {
+                    var arg = entry.arguments[k];
+                    c.reply(Text.literal("    " + arg.name + ": ").formatted(Formatting.AQUA)
+                        .append(Text.literal(Commands.describeArgument(arg)).formatted(Formatting.GRAY)));
+                }
+                if (entry.playerOnly) c.reply(Text.literal("    Players only").formatted(Formatting.GRAY));
+                if (entry.cooldown !== null) {
+                    c.reply(Text.literal("    Cooldown: " + Cooldowns.describe(entry.cooldown)).formatted(Formatting.GRAY));
+                }
+                if (entry.node !== null) {
+                    c.reply(Text.literal("    Permission: " + entry.node + " (op " + Permissions.levelOf(entry.node) + ")").formatted(Formatting.DARK_GRAY));
+                }
+            }
+            return matches.length;
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
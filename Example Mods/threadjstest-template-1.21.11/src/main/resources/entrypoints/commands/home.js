@@ -0,0 +1,114 @@
+// ── HOME COMMANDS ──────────────────────────────────────────────────────────
+//
+// /js home set|go|info|clear [name], with up to homes.maxPerPlayer (config)
+// named homes per player.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+
+var formatLocation = require("../helpers/format").formatLocation;
+var captureLocation = require("../storage/locations").captureLocation;
+var getHomes = require("../storage/locations").getHomes;
+var homeData = require("../storage/locations").homeData;
+var DEFAULT_HOME_NAME = require("../storage/locations").DEFAULT_HOME_NAME;
+var colorText = require("../helpers/text").colorText;
+var Config = require("../lib/config").Config;
+var Cooldowns = require("../lib/cooldowns").Cooldowns;
+var Teleports = require("../systems/teleports").Teleports;
+
+Cooldowns.define("home", { label: "Home teleport", seconds: 10 });
+
+Config.define("homes.maxPerPlayer", {
+    type: "int", default: 3, min: 1,
+    description: "How many named homes one player may set"
+});
+
+function register(js) {
+    // /js home set|go|info|clear [name]
+    var homeName = function(c) {
+        return c.args.name === undefined ? DEFAULT_HOME_NAME : c.args.name.toLowerCase();
+    };
+    var suggestHomeNames = function(c) {
+        return c.player === null ? [] : Object.keys(getHomes(c.player.getUuid().toString()));
+    };
+
+    js.command("home set [name:word]", {
+        description: "Set a home at your position",
+        permission: "home",
+        playerOnly: true,
+        suggest: { name: suggestHomeNames },
+        run: function(c) {
+            var name = homeName(c);
+            var uuid = c.player.getUuid().toString();
+            var homes = getHomes(uuid);
+            var count = Object.keys(homes).length;
+            var maxHomes = Config.get("homes.maxPerPlayer");
+            if (homes[name] === undefined && count >= maxHomes) {
+                c.fail("You already have " + count + "/" + maxHomes
+                    + " homes. Clear one with /js home clear <name> first.");
+            }
+
+            var loc = captureLocation(c.player);
+            homes[name] = loc;
+            homeData.set(uuid, homes);
+            c.reply(colorText("\uD83C\uDFE0 Home '" + name + "' set at " + formatLocation(loc), Formatting.GREEN));
+        }
+    });
+
+    js.command("home go [name:word]", {
+        description: "Teleport to a home",
+        permission: "home",
+        playerOnly: true,
+        cooldown: "home",
+        suggest: { name: suggestHomeNames },
+        run: function(c) {
+            var name = homeName(c);
+            var loc = getHomes(c.player.getUuid().toString())[name];
+            if (loc === undefined) c.fail("No home named '" + name + "'. Use /js home set " + name + " first.");
+
+            if (!Teleports.teleport(c.player, c.server, loc)) {
+                c.fail("Dimension " + loc.dimension + " is not loaded.");
+            }
+            c.reply(colorText("\uD83C\uDFE0 Teleported to home '" + name + "'!", Formatting.GREEN));
+        }
+    });
+
+    js.command("home info", {
+        description: "List your homes",
+        permission: "home",
+        playerOnly: true,
+        run: function(c) {
+            var homes = getHomes(c.player.getUuid().toString());
+            var names = Object.keys(homes).sort();
+            if (names.length === 0) c.fail("No homes set.");
+
+            c.reply(Text.literal("\uD83C\uDFE0 Homes (" + names.length + "/" + Config.get("homes.maxPerPlayer") + "):").formatted(Formatting.GOLD));
+            for (var i = 0; i < names.length; i++) {
+                c.reply(Text.literal("  \u2022 ").formatted(Formatting.GRAY)
+                    .append(Text.literal(names[i]).formatted(Formatting.AQUA))
+                    .append(Text.literal(" \u2014 " + formatLocation(homes[names[i]])).formatted(Formatting.GRAY)));
+            }
+        }
+    });
+
+    js.command("home clear [name:word]", {
+        description: "Delete a home",
+        permission: "home",
+        playerOnly: true,
+        suggest: { name: suggestHomeNames },
+        run: function(c) {
+            var name = homeName(c);
+            var uuid = c.player.getUuid().toString();
+            var homes = getHomes(uuid);
+            if (homes[name] === undefined) c.fail("No home named '" + name + "'.");
+
+            delete homes[name];
+            homeData.set(uuid, Object.keys(homes).length > 0 ? homes : null);
+            c.reply(colorText("\uD83C\uDFE0 Home '" + name + "' cleared.", Formatting.YELLOW));
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
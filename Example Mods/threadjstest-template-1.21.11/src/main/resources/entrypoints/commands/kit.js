@@ -0,0 +1,151 @@
+// ── KIT COMMANDS ───────────────────────────────────────────────────────────
+//
+// /js kit [name], /js kit preview|create|reload, and the standalone /kit.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var ClickEvent = Java.type("net.minecraft.text.ClickEvent");
+var HoverEvent = Java.type("net.minecraft.text.HoverEvent");
+var SoundEvents = Java.type("net.minecraft.sound.SoundEvents");
+var SoundCategory = Java.type("net.minecraft.sound.SoundCategory");
+var ParticleTypes = Java.type("net.minecraft.particle.ParticleTypes");
+
+var formatDurationMs = require("../helpers/format").formatDurationMs;
+var Worlds = require("../helpers/worlds").Worlds;
+var OP_LEVEL_ADMIN = require("../lib/permissions").OP_LEVEL_ADMIN;
+var colorText = require("../helpers/text").colorText;
+var Cooldowns = require("../lib/cooldowns").Cooldowns;
+var Commands = require("../lib/commands").Commands;
+var Kits = require("../systems/kits").Kits;
+
+function register(js, dispatcher) {
+    // /js kit [name], /js kit preview|create|reload
+    var suggestKits = function(c) {
+        return c.player === null ? Kits.names() : Kits.usable(c.player);
+    };
+
+    // Shared with the standalone /kit below.
+    var giveKit = function(c, name) {
+        var player = c.player;
+        var kit = Kits.get(name);
+        if (kit === null || !Kits.canUse(player, name)) c.fail("Unknown kit: " + name + ". Try /js kit for a list.");
+        if (Kits.claimed(player, name)) c.fail("You have already claimed the " + kit.label + ".");
+        var wait = Kits.remaining(player, name);
+        if (wait > 0) {
+            c.reply(colorText(Cooldowns.message("kit." + name, wait), Formatting.GRAY));
+            return 0;
+        }
+
+        Kits.claim(player, name);
+        Worlds.sound(Worlds.at(player), SoundEvents.ENTITY_ITEM_PICKUP, SoundCategory.PLAYERS);
+        Worlds.particles(Worlds.at(player, 1.0), ParticleTypes.HAPPY_VILLAGER, 15, 0.5, 0.0);
+        c.reply(colorText("\uD83C\uDF92 " + kit.label + " received!", Formatting.GREEN));
+    };
+
+    var kitLink = function(label, command, hover, color) {
+        return Text.literal(label).styled(function(style) {
+            return style.withColor(color)
+                .withClickEvent(new ClickEvent.RunCommand(command))
+                .withHoverEvent(new HoverEvent.ShowText(Text.literal(hover)));
+        });
+    };
+
+    js.command("kit", {
+        description: "List the kits you can claim",
+        permission: "kit",
+        playerOnly: true,
+        run: function(c) {
+            var names = Kits.usable(c.player);
+            if (names.length === 0) c.fail("There are no kits for you.");
+            c.reply(Text.literal("\u2550\u2550 Kits \u2550\u2550").formatted(Formatting.GOLD));
+            names.forEach(function(name) {
+                var kit = Kits.get(name);
+                var wait = Kits.remaining(c.player, name);
+                var status = Kits.claimed(c.player, name) ? colorText(" claimed", Formatting.DARK_GRAY)
+                    : wait > 0 ? colorText(" in " + formatDurationMs(wait), Formatting.GRAY)
+                    : colorText(" ready", Formatting.GREEN);
+                c.reply(Text.literal("  ")
+                    .append(kitLink(name, "/js kit " + name, "Claim the " + kit.label, Formatting.YELLOW))
+                    .append(status)
+                    .append(Text.literal("  "))
+                    .append(kitLink("[preview]", "/js kit preview " + name, "See what's inside", Formatting.AQUA)));
+            });
+            return names.length;
+        }
+    });
+
+    js.command("kit <name:word>", {
+        description: "Claim a kit",
+        permission: "kit",
+        playerOnly: true,
+        suggest: { name: suggestKits },
+        run: function(c) {
+            return giveKit(c, c.args.name.toLowerCase());
+        }
+    });
+
+    js.command("kit preview <name:word>", {
+        description: "Look inside a kit",
+        permission: "kit",
+        playerOnly: true,
+        suggest: { name: suggestKits },
+        run: function(c) {
+            var name = c.args.name.toLowerCase();
+            if (!Kits.canUse(c.player, name)) c.fail("Unknown kit: " + name + ". Try /js kit for a list.");
+            Kits.preview(c.player, name);
+        }
+    });
+
+    js.command("kit create <name:word>", {
+        description: "Save your inventory as a new kit",
+        permission: "kit.create",
+        level: OP_LEVEL_ADMIN,
+        playerOnly: true,
+        run: function(c) {
+            var kit;
+            try {
+                kit = Kits.create(c.player, c.args.name.toLowerCase());
+            } catch (e) {
+                c.fail(String(e.message || e));
+            }
+            c.reply(colorText("\uD83C\uDF92 Saved " + kit.items.length + " stacks as kit '" + kit.label
+                + "'. Set its cooldown in threadjstest-kits.json, then /js kit reload.", Formatting.GREEN), true);
+        }
+    });
+
+    js.command("kit reload", {
+        description: "Re-read threadjstest-kits.json",
+        permission: "kit.create",
+        level: OP_LEVEL_ADMIN,
+        run: function(c) {
+            var problems;
+            try {
+                problems = Kits.load();
+            } catch (e) {
+                c.fail("Could not read threadjstest-kits.json: " + String(e.message || e));
+            }
+            problems.forEach(function(problem) {
+                c.reply(colorText("  Skipped " + problem, Formatting.RED));
+            });
+            c.reply(colorText("\uD83C\uDF92 Loaded " + Kits.names().length + " kits.", Formatting.GREEN), true);
+        }
+    });
+
+    // /kit [name] — the starter kit unless another is named
+    Commands.root("kit", { permissionPrefix: "threadjstest." }).command("[name:word]", {
+        description: "Claim a kit (default: starter)",
+        permission: "kit",
+        playerOnly: true,
+        suggest: { name: suggestKits },
+        run: function(c) {
+            return giveKit(c, c.args.name === undefined ? "starter" : c.args.name.toLowerCase());
+        }
+    }).register(dispatcher);
+    LOGGER.info("Registered /kit command");
+}
+
+module.exports = {
+    register: register
+};
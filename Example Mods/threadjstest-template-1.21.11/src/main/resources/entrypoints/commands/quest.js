@@ -0,0 +1,104 @@
+// ── QUEST COMMANDS ─────────────────────────────────────────────────────────
+//
+// /js quest list|start|progress|abandon.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+
+var colorText = require("../helpers/text").colorText;
+var Quests = require("../systems/quests").Quests;
+
+function register(js) {
+    // /js quest list|start|progress|abandon
+    var questStatusColor = { active: Formatting.YELLOW, completed: Formatting.GREEN, available: Formatting.WHITE };
+
+    var suggestQuests = function(status) {
+        return function(c) {
+            if (c.player === null) return [];
+            return Quests.ids().filter(function(id) {
+                return status === null || Quests.status(c.player, id) === status;
+            });
+        };
+    };
+
+    var sendQuestProgress = function(c, id) {
+        var quest = Quests.get(id);
+        c.reply(Text.literal("\uD83D\uDCDC " + quest.name).formatted(Formatting.GOLD));
+        var objectives = Quests.progress(c.player, id);
+        for (var i = 0; i < objectives.length; i++) {
+            var o = objectives[i];
+            c.reply(Text.literal(o.current >= o.target ? "  \u2714 " : "  \u2022 ").formatted(o.current >= o.target ? Formatting.GREEN : Formatting.GRAY)
+                .append(Text.literal(o.label + " " + o.current + "/" + o.target).formatted(Formatting.WHITE)));
+        }
+    };
+
+    js.command("quest list", {
+        description: "List quests",
+        permission: "quest",
+        playerOnly: true,
+        run: function(c) {
+            var ids = Quests.ids();
+            if (ids.length === 0) c.fail("No quests are defined.");
+            c.reply(Text.literal("\uD83D\uDCDC Quests:").formatted(Formatting.GOLD));
+            for (var i = 0; i < ids.length; i++) {
+                var quest = Quests.get(ids[i]);
+                var status = Quests.status(c.player, quest.id);
+                var line = Text.literal("  " + quest.name).formatted(questStatusColor[status])
+                    .append(Text.literal(" (" + quest.id + ", " + status + ")").formatted(Formatting.GRAY));
+                if (quest.description !== "") line.append(Text.literal(" \u2014 " + quest.description).formatted(Formatting.DARK_GRAY));
+                c.reply(line);
+            }
+            return ids.length;
+        }
+    });
+
+    js.command("quest start <quest:word>", {
+        description: "Start a quest",
+        permission: "quest",
+        playerOnly: true,
+        suggest: { quest: suggestQuests("available") },
+        run: function(c) {
+            var quest;
+            try {
+                quest = Quests.start(c.player, c.args.quest.toLowerCase());
+            } catch (e) {
+                c.fail(String(e.message || e));
+            }
+            c.reply(Text.literal("\uD83D\uDCDC Started ").formatted(Formatting.GREEN)
+                .append(Text.literal(quest.name).formatted(Formatting.AQUA)));
+            sendQuestProgress(c, quest.id);
+        }
+    });
+
+    js.command("quest progress [quest:word]", {
+        description: "Show progress on your quests",
+        permission: "quest",
+        playerOnly: true,
+        suggest: { quest: suggestQuests("active") },
+        run: function(c) {
+            var ids = c.args.quest === undefined ? Quests.active(c.player) : [c.args.quest.toLowerCase()];
+            if (ids.length === 0) c.fail("You have no active quests. See /js quest list.");
+            for (var i = 0; i < ids.length; i++) {
+                if (Quests.progress(c.player, ids[i]) === null) c.fail("You are not on a quest called '" + ids[i] + "'.");
+                sendQuestProgress(c, ids[i]);
+            }
+        }
+    });
+
+    js.command("quest abandon <quest:word>", {
+        description: "Drop an active quest and its progress",
+        permission: "quest",
+        playerOnly: true,
+        suggest: { quest: suggestQuests("active") },
+        run: function(c) {
+            var id = c.args.quest.toLowerCase();
+            if (!Quests.abandon(c.player, id)) c.fail("You are not on a quest called '" + id + "'.");
+            var quest = Quests.get(id);
+            c.reply(colorText("\uD83D\uDCDC Abandoned " + (quest === null ? id : quest.name) + ".", Formatting.YELLOW));
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
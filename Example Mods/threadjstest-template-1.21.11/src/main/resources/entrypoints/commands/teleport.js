@@ -0,0 +1,114 @@
+// ── TELEPORT COMMANDS ──────────────────────────────────────────────────────
+//
+// /js tpa, /js tpahere, /js tpaccept|tpdeny|tpcancel [player] and /js back,
+// on top of the Teleports system.
+
+var Formatting = Java.type("net.minecraft.util.Formatting");
+
+var colorText = require("../helpers/text").colorText;
+var Teleports = require("../systems/teleports").Teleports;
+
+function register(js) {
+    // /js tpa <player>, /js tpahere <player>
+    var send = function(c, here) {
+        var target = c.args.target;
+        try {
+            Teleports.request(c.server, c.player, target, here);
+        } catch (e) {
+            c.fail(String(e.message || e));
+        }
+        c.reply(colorText("\u2709 Teleport request sent to " + target.getName().getString() + ".", Formatting.GREEN));
+    };
+
+    js.command("tpa <target:player>", {
+        description: "Ask to teleport to a player",
+        permission: "tpa",
+        playerOnly: true,
+        run: function(c) { send(c, false); }
+    });
+
+    js.command("tpahere <target:player>", {
+        description: "Ask a player to teleport to you",
+        permission: "tpa",
+        playerOnly: true,
+        run: function(c) { send(c, true); }
+    });
+
+    // /js tpaccept|tpdeny [player] — the newest request without a name
+    var requesters = function(c) {
+        return c.player === null ? [] : Teleports.incoming(c.player).map(function(r) { return r.fromName; });
+    };
+    var targets = function(c) {
+        return c.player === null ? [] : Teleports.outgoing(c.player).map(function(r) { return r.toName; });
+    };
+    var noRequest = function(c) {
+        c.fail(c.args.player === undefined ? "You have no teleport request." : "You have no teleport request from " + c.args.player + ".");
+    };
+
+    js.command("tpaccept [player:word]", {
+        description: "Accept a teleport request",
+        permission: "tpa",
+        playerOnly: true,
+        suggest: { player: requesters },
+        run: function(c) {
+            var request;
+            try {
+                request = Teleports.accept(c.server, c.player, c.args.player);
+            } catch (e) {
+                c.fail(String(e.message || e));
+            }
+            if (request === null) noRequest(c);
+            c.reply(colorText("\u2714 Accepted " + request.fromName + "'s teleport request.", Formatting.GREEN));
+        }
+    });
+
+    js.command("tpdeny [player:word]", {
+        description: "Deny a teleport request",
+        permission: "tpa",
+        playerOnly: true,
+        suggest: { player: requesters },
+        run: function(c) {
+            var request = Teleports.deny(c.server, c.player, c.args.player);
+            if (request === null) noRequest(c);
+            c.reply(colorText("\u2716 Denied " + request.fromName + "'s teleport request.", Formatting.GRAY));
+        }
+    });
+
+    js.command("tpcancel [player:word]", {
+        description: "Cancel a teleport request you sent",
+        permission: "tpa",
+        playerOnly: true,
+        suggest: { player: targets },
+        run: function(c) {
+            var request = Teleports.cancel(c.server, c.player, c.args.player);
+            if (request === null) {
+                c.fail(c.args.player === undefined ? "You have no open request." : "You have no open request to " + c.args.player + ".");
+            }
+            c.reply(colorText("Cancelled your teleport request to " + request.toName + ".", Formatting.GRAY));
+        }
+    });
+
+    // /js back — where you were before your last teleport or death
+    js.command("back", {
+        description: "Return to where you were before teleporting",
+        permission: "back",
+        playerOnly: true,
+        run: function(c) {
+            var player = c.player;
+            var loc = Teleports.back(player);
+            if (loc === null) c.fail("There is nowhere to go back to.");
+
+            Teleports.warmup(player, function() {
+                if (!Teleports.teleport(player, c.server, loc)) {
+                    player.sendMessage(colorText("\u2716 Dimension " + loc.dimension + " is not loaded.", Formatting.RED));
+                    return;
+                }
+                player.sendMessage(colorText("\u21A9 Back where you were.", Formatting.GREEN));
+            });
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,330 @@
+// ── PLAYER AND WORLD TOOLS ─────────────────────────────────────────────────
+//
+// /js tp, boom, particles, hand, top, heal, gamemode, stack, near, time,
+// effect and weather. They act in the caller's world (see helpers/worlds.js).
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var ParticleTypes = Java.type("net.minecraft.particle.ParticleTypes");
+var StatusEffectInstance = Java.type("net.minecraft.entity.effect.StatusEffectInstance");
+var GameMode = Java.type("net.minecraft.world.GameMode");
+var ServerWorld = Java.type("net.minecraft.server.world.ServerWorld");
+var Collections = Java.type("java.util.Collections");
+var Math = Java.type("java.lang.Math");
+
+var dimensionLabel = require("../helpers/format").dimensionLabel;
+var getStatusEffectByName = require("../helpers/effects").getStatusEffectByName;
+var Worlds = require("../helpers/worlds").Worlds;
+var OP_LEVEL_GAMEMASTER = require("../lib/permissions").OP_LEVEL_GAMEMASTER;
+var colorText = require("../helpers/text").colorText;
+var Cooldowns = require("../lib/cooldowns").Cooldowns;
+var Claims = require("../systems/claims").Claims;
+var Teleports = require("../systems/teleports").Teleports;
+
+Cooldowns.define("heal", { label: "Heal", seconds: 60 });
+Cooldowns.define("boom", { label: "Boom", seconds: 10 });
+
+function register(js) {
+    // /js tp <x> <y> <z>
+    js.command("tp <x:float> <y:float> <z:float>", {
+        description: "Teleport",
+        permission: "tp",
+        level: OP_LEVEL_GAMEMASTER,
+        playerOnly: true,
+        run: function(c) {
+            var x = c.args.x, y = c.args.y, z = c.args.z;
+            var world = c.world;
+
+            Teleports.rememberBack(c.player);
+            c.player.teleport(world, x, y, z, Collections.EMPTY_SET, 0.0, 0.0, false);
+
+            Worlds.particles(Worlds.pos(world, x, y + 1.0, z), ParticleTypes.PORTAL, 50, [0.5, 1.0, 0.5], 0.1);
+
+            c.reply(Text.literal("\u2708 Teleported to ")
+                .append(colorText(x + ", " + y + ", " + z, Formatting.AQUA)));
+        }
+    });
+
+    // /js boom
+    js.command("boom", {
+        description: "Cosmetic explosion",
+        permission: "boom",
+        level: OP_LEVEL_GAMEMASTER,
+        playerOnly: true,
+        cooldown: "boom",
+        run: function(c) {
+            var player = c.player;
+            var claim = Claims.atEntity(player);
+            if (claim !== null && !claim.flags.explosions) c.fail("Explosions are off in " + claim.name + ".");
+
+            var here = Worlds.at(player);
+            here.world.createExplosion(null, here.x, here.y, here.z, 0.0, false, ServerWorld.ExplosionSourceType.NONE);
+            Worlds.particles(Worlds.at(player, 1.0), ParticleTypes.EXPLOSION_EMITTER, 3, 1.0, 0.0);
+
+            c.reply(Text.literal("\uD83D\uDCA5 Boom!").formatted(Formatting.RED, Formatting.BOLD));
+        }
+    });
+
+    // /js particles
+    js.command("particles", {
+        description: "Particle ring",
+        permission: "particles",
+        playerOnly: true,
+        run: function(c) {
+            var here = Worlds.at(c.player, 1.5);
+            var types = [ParticleTypes.HEART, ParticleTypes.NOTE, ParticleTypes.FLAME, ParticleTypes.END_ROD, ParticleTypes.TOTEM_OF_UNDYING];
+
+            for (var i = 0; i < types.length; i++) {
+                var angle = (i / types.length) * 2.0 * Math.PI;
+                var px = here.x + Math.cos(angle) * 2.0;
+                var pz = here.z + Math.sin(angle) * 2.0;
+                Worlds.particles(Worlds.pos(here.world, px, here.y, pz), types[i], 10, 0.2, 0.05);
+            }
+
+            c.reply(colorText("\u2728 Particles spawned!", Formatting.LIGHT_PURPLE));
+        }
+    });
+
+    // /js hand
+    js.command("hand", {
+        description: "Inspect held item",
+        permission: "hand",
+        playerOnly: true,
+        run: function(c) {
+            var stack = c.player.getMainHandStack();
+            if (stack.isEmpty()) {
+                c.reply(colorText("Your hand is empty!", Formatting.GRAY));
+                return;
+            }
+
+            var text = Text.literal("\uD83D\uDD0D Holding: ").formatted(Formatting.WHITE)
+                .append(Text.literal(stack.getName().getString()).formatted(Formatting.AQUA))
+                .append(Text.literal(" x" + stack.getCount() + "/" + stack.getMaxCount()).formatted(Formatting.GRAY));
+            if (stack.isDamaged()) {
+                var dur = stack.getMaxDamage() - stack.getDamage();
+                text = text.append(Text.literal(" [" + dur + "/" + stack.getMaxDamage() + " dur]").formatted(Formatting.RED));
+            }
+            c.reply(text);
+        }
+    });
+
+    // /js top
+    js.command("top", {
+        description: "Teleport to surface",
+        permission: "top",
+        level: OP_LEVEL_GAMEMASTER,
+        playerOnly: true,
+        run: function(c) {
+            var player = c.player;
+            var world = Worlds.of(player);
+            var x = java.lang.Math.round(player.getX()) | 0;
+            var z = java.lang.Math.round(player.getZ()) | 0;
+
+            var topY = Worlds.surfaceY(world, x, z);
+            if (topY === null) c.fail("There is no ground to stand on here.");
+
+            Teleports.rememberBack(player);
+            player.teleport(world, x + 0.5, topY, z + 0.5, Collections.EMPTY_SET, 0.0, 0.0, false);
+
+            c.reply(colorText("\u2B06 Teleported to surface (y=" + topY + ")", Formatting.GREEN));
+        }
+    });
+
+    // /js heal [player]
+    var heal = function(target) {
+        target.setHealth(target.getMaxHealth());
+        target.getHungerManager().setFoodLevel(20);
+        target.setFireTicks(0);
+
+        Worlds.particles(Worlds.at(target, 2.0), ParticleTypes.HEART, 10, 0.5, 0.0);
+    };
+
+    js.command("heal", {
+        description: "Restore health & hunger",
+        permission: "heal",
+        level: OP_LEVEL_GAMEMASTER,
+        playerOnly: true,
+        cooldown: "heal",
+        run: function(c) {
+            heal(c.player);
+            c.reply(colorText("\u2764 Healed!", Formatting.GREEN));
+        }
+    });
+
+    js.command("heal <target:player>", {
+        description: "Restore another player's health & hunger",
+        permission: "heal.others",
+        level: OP_LEVEL_GAMEMASTER,
+        run: function(c) {
+            heal(c.args.target);
+            c.reply(colorText("\u2764 Healed " + c.args.target.getName().getString() + "!", Formatting.GREEN));
+        }
+    });
+
+    // /js gamemode <mode> — with tab-completion
+    js.command("gamemode <mode:word>", {
+        description: "Switch gamemode",
+        permission: "gamemode",
+        level: OP_LEVEL_GAMEMASTER,
+        playerOnly: true,
+        suggest: {
+            mode: function(c) { return ["survival", "creative", "adventure", "spectator"]; }
+        },
+        run: function(c) {
+            var modeName = c.args.mode;
+            var mode = GameMode.byName(modeName, null);
+            if (mode === null) c.fail("Unknown mode: " + modeName);
+
+            c.player.changeGameMode(mode);
+            c.reply(Text.literal("\uD83C\uDFAE Game mode set to ")
+                .append(colorText(modeName, Formatting.AQUA)));
+        }
+    });
+
+    // /js stack <amount>
+    js.command("stack <amount:int(1,64)>", {
+        description: "Set held item count",
+        permission: "stack",
+        level: OP_LEVEL_GAMEMASTER,
+        playerOnly: true,
+        run: function(c) {
+            var stack = c.player.getMainHandStack();
+            if (stack.isEmpty()) c.fail("Hold an item first!");
+
+            var amount = c.args.amount;
+            stack.setCount(amount);
+
+            c.reply(Text.literal("\uD83D\uDCE6 Set stack to ")
+                .append(colorText(String(amount), Formatting.YELLOW))
+                .append(Text.literal(" \u00d7 ").formatted(Formatting.GRAY))
+                .append(Text.literal(stack.getName().getString()).formatted(Formatting.AQUA)));
+        }
+    });
+
+    // /js near
+    js.command("near", {
+        description: "List nearby players + distance",
+        permission: "near",
+        playerOnly: true,
+        run: function(c) {
+            var nearby = Worlds.nearby(c.player);
+            if (nearby.length === 0) {
+                c.reply(colorText("No other players in " + dimensionLabel(Worlds.dimension(c.player)) + "!", Formatting.GRAY));
+                return;
+            }
+
+            c.reply(Text.literal("\uD83D\uDCE1 Nearby players:").formatted(Formatting.GOLD));
+            for (var j = 0; j < nearby.length && j < 10; j++) {
+                c.reply(Text.literal("  ")
+                    .append(Text.literal(nearby[j].player.getName().getString()).formatted(Formatting.AQUA))
+                    .append(Text.literal(" \u2014 " + Math.round(nearby[j].distance) + "m away").formatted(Formatting.GRAY)));
+            }
+        }
+    });
+
+    // /js time set|add
+    js.command("time set <value:word>", {
+        description: "Set world time",
+        permission: "time",
+        level: OP_LEVEL_GAMEMASTER,
+        suggest: {
+            value: function(c) { return ["day", "noon", "night", "midnight"]; }
+        },
+        run: function(c) {
+            var value = c.args.value;
+            var timeMap = { day: 1000, noon: 6000, night: 13000, midnight: 18000 };
+
+            var ticks = timeMap[value];
+            if (ticks === undefined) {
+                ticks = parseInt(value);
+                if (isNaN(ticks)) c.fail("Unknown time: " + value);
+            }
+
+            // The other dimensions follow the Overworld's clock.
+            c.server.getOverworld().setTimeOfDay(ticks);
+            c.reply(Text.literal("\uD83D\uDD50 Time set to ")
+                .append(colorText(value + " (" + ticks + " ticks)", Formatting.AQUA)));
+        }
+    });
+
+    js.command("time add <ticks:int(1)>", {
+        description: "Advance world time",
+        permission: "time",
+        level: OP_LEVEL_GAMEMASTER,
+        run: function(c) {
+            var ticks = c.args.ticks;
+            var world = c.server.getOverworld();
+            var newTime = world.getTimeOfDay() + ticks;
+            world.setTimeOfDay(newTime);
+            c.reply(Text.literal("\uD83D\uDD50 Added ")
+                .append(colorText(String(ticks), Formatting.YELLOW))
+                .append(Text.literal(" ticks (now " + newTime + ")").formatted(Formatting.GRAY)));
+        }
+    });
+
+    // /js effect add|clear
+    js.command("effect add <effect:word> <seconds:int(1,3600)> [level:int(1,5)]", {
+        description: "Apply a potion effect",
+        permission: "effect",
+        level: OP_LEVEL_GAMEMASTER,
+        playerOnly: true,
+        suggest: {
+            effect: function(c) {
+                return ["speed", "strength", "haste", "jump_boost", "night_vision", "regeneration", "resistance", "glowing", "water_breathing"];
+            }
+        },
+        run: function(c) {
+            var effectName = c.args.effect;
+            var effect = getStatusEffectByName(effectName);
+            if (effect === null) c.fail("Unknown effect: " + effectName);
+
+            var seconds = c.args.seconds;
+            var level = c.args.level === undefined ? 1 : c.args.level;
+            c.player.addStatusEffect(new StatusEffectInstance(effect, seconds * 20, level - 1));
+
+            c.reply(colorText("\u2728 Effect applied: " + effectName + " " + level + " for " + seconds + "s", Formatting.GREEN));
+        }
+    });
+
+    js.command("effect clear", {
+        description: "Clear all effects",
+        permission: "effect",
+        level: OP_LEVEL_GAMEMASTER,
+        playerOnly: true,
+        run: function(c) {
+            c.player.clearStatusEffects();
+            c.reply(colorText("\u2728 Cleared all effects.", Formatting.YELLOW));
+        }
+    });
+
+    // /js weather set <clear|rain|thunder>
+    js.command("weather set <mode:word>", {
+        description: "Set weather",
+        permission: "weather",
+        level: OP_LEVEL_GAMEMASTER,
+        suggest: {
+            mode: function(c) { return ["clear", "rain", "thunder"]; }
+        },
+        run: function(c) {
+            var mode = c.args.mode;
+            // Weather is the Overworld's, shared by every dimension.
+            var world = c.server.getOverworld();
+
+            if (mode === "clear") {
+                world.setWeather(6000, 0, false, false);
+            } else if (mode === "rain") {
+                world.setWeather(0, 6000, true, false);
+            } else if (mode === "thunder") {
+                world.setWeather(0, 6000, true, true);
+            } else {
+                c.fail("Unknown weather: " + mode);
+            }
+
+            c.reply(colorText("\u26C5 Weather set to " + mode + ".", Formatting.AQUA));
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
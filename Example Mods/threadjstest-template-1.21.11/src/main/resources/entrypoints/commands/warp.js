@@ -0,0 +1,124 @@
+// ── WARP COMMANDS ──────────────────────────────────────────────────────────
+//
+// /js warp set|go|list|remove, and /js warp menu to pick one from a chest.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+
+var formatLocation = require("../helpers/format").formatLocation;
+var OP_LEVEL_GAMEMASTER = require("../lib/permissions").OP_LEVEL_GAMEMASTER;
+var Permissions = require("../lib/permissions").Permissions;
+var Markup = require("../lib/markup").Markup;
+var captureLocation = require("../storage/locations").captureLocation;
+var normalizeLocation = require("../storage/locations").normalizeLocation;
+var warpData = require("../storage/locations").warpData;
+var colorText = require("../helpers/text").colorText;
+var Menus = require("../lib/menus").Menus;
+var Teleports = require("../systems/teleports").Teleports;
+
+function register(js) {
+    // /js warp set|go|list|remove
+    var suggestWarps = function(c) {
+        return warpData.keys();
+    };
+
+    js.command("warp set <name:word>", {
+        description: "Create a warp at your position",
+        permission: "warp.set",
+        level: OP_LEVEL_GAMEMASTER,
+        playerOnly: true,
+        run: function(c) {
+            var name = c.args.name.toLowerCase();
+            var loc = captureLocation(c.player);
+            warpData.set(name, loc);
+            c.reply(colorText("\uD83E\uDDED Warp '" + name + "' set at " + formatLocation(loc), Formatting.GREEN));
+        }
+    });
+
+    js.command("warp go <name:word>", {
+        description: "Teleport to a warp",
+        permission: "warp",
+        playerOnly: true,
+        suggest: { name: suggestWarps },
+        run: function(c) {
+            var name = c.args.name.toLowerCase();
+            var loc = warpData.get(name);
+            if (loc === null) c.fail("Unknown warp: " + name);
+
+            loc = normalizeLocation(loc);
+            if (!Teleports.teleport(c.player, c.server, loc)) {
+                c.fail("Dimension " + loc.dimension + " is not loaded.");
+            }
+            c.reply(colorText("\uD83E\uDDED Warped to " + name + "!", Formatting.GREEN));
+        }
+    });
+
+    js.command("warp menu", {
+        description: "Pick a warp from a menu",
+        permission: "warp",
+        playerOnly: true,
+        run: function(c) {
+            var canRemove = Permissions.has(c.player, "threadjstest.command.warp.remove");
+            var runAs = function(player, command) {
+                c.server.getCommandManager().executeWithPrefix(player.getCommandSource(), command);
+            };
+            Menus.paged(c.player, {
+                title: "<dark_aqua>Warps",
+                rows: 4,
+                entries: warpData.keys().sort(),
+                render: function(name) {
+                    var lore = ["<gray>" + Markup.escape(formatLocation(normalizeLocation(warpData.get(name)))), "<yellow>Click to warp"];
+                    if (canRemove) lore.push("<red>Right-click to remove");
+                    return {
+                        icon: Menus.icon("minecraft:ender_pearl", "<aqua>" + Markup.escape(name), lore),
+                        click: function(click) {
+                            if (click.button === "right" && canRemove) {
+                                Menus.confirm(click.player, Text.literal("Remove warp " + name + "?"), function() {
+                                    runAs(click.player, "js warp remove " + name);
+                                });
+                                return;
+                            }
+                            Menus.close(click.player);
+                            runAs(click.player, "js warp go " + name);
+                        }
+                    };
+                }
+            });
+        }
+    });
+
+    js.command("warp list", {
+        description: "List warps",
+        permission: "warp",
+        run: function(c) {
+            if (warpData.isEmpty()) {
+                c.reply(colorText("No warps set.", Formatting.GRAY));
+                return;
+            }
+
+            var names = warpData.keys();
+            c.reply(Text.literal("\uD83E\uDDED Warps: ").formatted(Formatting.GOLD));
+            for (var i = 0; i < names.length; i++) {
+                c.reply(Text.literal("  \u2022 ").formatted(Formatting.GRAY)
+                    .append(Text.literal(names[i]).formatted(Formatting.AQUA))
+                    .append(Text.literal(" \u2014 " + formatLocation(normalizeLocation(warpData.get(names[i])))).formatted(Formatting.GRAY)));
+            }
+        }
+    });
+
+    js.command("warp remove <name:word>", {
+        description: "Delete a warp",
+        permission: "warp.remove",
+        level: OP_LEVEL_GAMEMASTER,
+        suggest: { name: suggestWarps },
+        run: function(c) {
+            var name = c.args.name.toLowerCase();
+            if (!warpData.remove(name)) c.fail("Unknown warp: " + name);
+            c.reply(colorText("\uD83E\uDDED Removed warp " + name + ".", Formatting.YELLOW));
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
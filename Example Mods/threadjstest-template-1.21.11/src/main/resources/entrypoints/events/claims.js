@@ -0,0 +1,51 @@
+// ── CLAIM PROTECTION ───────────────────────────────────────────────────────
+//
+// Breaking, building, interacting and PvP inside land claims go through
+// Claims.guard(), which tells the player when something isn't allowed.
+
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var BlockItem = Java.type("net.minecraft.item.BlockItem");
+var Monster = Java.type("net.minecraft.entity.mob.Monster");
+var ServerPlayerEntity = Java.type("net.minecraft.server.network.ServerPlayerEntity");
+
+var colorText = require("../helpers/text").colorText;
+var events = require("../lib/events").events;
+var Claims = require("../systems/claims").Claims;
+
+function register() {
+    // ── EVENTS: Land claim protection ────────────────────────────
+    events.on("block.break.before", function(world, player, pos, state, blockEntity) {
+        return Claims.guard(player, world, pos, "break");
+    });
+
+    events.on("block.use", function(player, world, hand, hitResult) {
+        var pos = hitResult.getBlockPos();
+        if (!Claims.guard(player, world, pos, "interact")) return false;
+        if (player.getStackInHand(hand).getItem() instanceof BlockItem) {
+            return Claims.guard(player, world, pos.offset(hitResult.getSide()), "build");
+        }
+    });
+
+    // Monsters can always be fought; other entities count as interacting.
+    events.on("entity.attack", function(player, world, hand, entity, hitResult) {
+        if (entity instanceof ServerPlayerEntity || entity instanceof Monster) return;
+        return Claims.guard(player, world, entity.getBlockPos(), "interact");
+    });
+
+    // Covers melee and projectiles: PvP needs the flag where either player stands.
+    events.on("entity.damage.allow", function(entity, damageSource, amount) {
+        var attacker = damageSource.getAttacker();
+        if (!(entity instanceof ServerPlayerEntity) || !(attacker instanceof ServerPlayerEntity) || attacker === entity) return;
+        var claims = [Claims.atEntity(entity), Claims.atEntity(attacker)];
+        for (var i = 0; i < claims.length; i++) {
+            if (claims[i] !== null && !claims[i].flags.pvp) {
+                attacker.sendMessage(colorText("\u2694 PvP is off in " + claims[i].name + ".", Formatting.RED), true);
+                return false;
+            }
+        }
+    });
+}
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,128 @@
+// ── PLAYER EVENTS ──────────────────────────────────────────────────────────
+//
+// Join broadcasts and effects, cleanup when a player leaves, and the kills,
+// damage and commands that quests and teleports react to.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var SoundEvents = Java.type("net.minecraft.sound.SoundEvents");
+var SoundCategory = Java.type("net.minecraft.sound.SoundCategory");
+var ParticleTypes = Java.type("net.minecraft.particle.ParticleTypes");
+var ServerPlayerEntity = Java.type("net.minecraft.server.network.ServerPlayerEntity");
+var System = Java.type("java.lang.System");
+var Math = Java.type("java.lang.Math");
+var Random = Java.type("java.util.Random");
+
+var Worlds = require("../helpers/worlds").Worlds;
+var Scheduler = require("../lib/scheduler").Scheduler;
+var MarkupError = require("../lib/markup").MarkupError;
+var Config = require("../lib/config").Config;
+var Placeholders = require("../lib/placeholders").Placeholders;
+var broadcast = require("../helpers/text").broadcast;
+var events = require("../lib/events").events;
+var Commands = require("../lib/commands").Commands;
+var Hud = require("../lib/hud").Hud;
+var Menus = require("../lib/menus").Menus;
+var Quests = require("../systems/quests").Quests;
+var Teleports = require("../systems/teleports").Teleports;
+var Session = require("../storage/session").Session;
+
+var random = new Random();
+
+Config.define("welcome.messages", {
+    type: "strings", min: 1,
+    default: [
+        "Welcome to the server, <gold>{name}</gold>!",
+        "Look who's here \u2014 <gold>{name}</gold>!",
+        "A wild <gold>{name}</gold> appeared!",
+        "<gold>{name}</gold> has joined the <gradient:green:aqua>adventure</gradient>!",
+        "Everyone welcome <gold>{name}</gold>!"
+    ],
+    description: "Join broadcasts in markup, one picked at random; {name} is the player, other placeholders work too"
+});
+
+function register() {
+    // ── EVENT: Player Join ───────────────────────────────────────
+    events.on("player.join", function(player, server) {
+        var name = player.getName().getString();
+        var uuid = player.getUuid().toString();
+
+        Session.playerData.put(uuid, {
+            name: name,
+            joinedAt: System.currentTimeMillis()
+        });
+
+        var welcomeMessages = Config.get("welcome.messages");
+        var template = welcomeMessages[random.nextInt(welcomeMessages.length)];
+        var msg;
+        try {
+            msg = Placeholders.text(template, { player: player, server: server, values: { name: name } });
+        } catch (e) {
+            if (!(e instanceof MarkupError)) throw e;
+            LOGGER.warn("Bad welcome.messages entry ({}), sending it as plain text", e.message);
+            msg = Text.literal(template.replace("{name}", name));
+        }
+
+        broadcast(server,
+            Text.literal("\u2726 ").formatted(Formatting.GOLD)
+                .append(Text.empty().formatted(Formatting.YELLOW).append(msg))
+        );
+
+        Worlds.sound(Worlds.at(player), SoundEvents.ENTITY_PLAYER_LEVELUP, SoundCategory.PLAYERS, player);
+
+        var tasks = Scheduler.forPlayer(player);
+        tasks.runLater(20, function() {
+            Worlds.particles(Worlds.at(player, 1.0), ParticleTypes.TOTEM_OF_UNDYING, 30, 1.0, 0.1);
+        });
+
+        tasks.runLater(100, function() {
+            player.sendMessage(
+                Text.literal("\uD83D\uDCA1 Tip: ").formatted(Formatting.AQUA)
+                    .append(Text.literal("Try /js help for sample commands!")
+                        .formatted(Formatting.GRAY))
+            );
+        });
+
+        LOGGER.info("{} joined", name);
+    });
+
+    // ── EVENT: Player Disconnect ─────────────────────────────────
+    events.on("player.disconnect", function(player, server) {
+        var uuid = player.getUuid().toString();
+        var data = Session.playerData.get(uuid);
+
+        if (data !== null) {
+            var elapsed = System.currentTimeMillis() - data.joinedAt;
+            var minutes = Math.floor(elapsed / 60000);
+            LOGGER.info("{} left after {} min", data.name, minutes);
+        }
+        Session.playerData.remove(uuid);
+        Teleports.forget(server, player);
+        Hud.forget(player);
+        Menus.forget(player);
+        Scheduler.cancelPlayer(uuid);
+    });
+
+    // ── EVENT: Entity Death — quest kills and /js back ───────────
+    events.on("entity.death", function(entity, damageSource) {
+        var killer = damageSource.getAttacker();
+        if (killer instanceof ServerPlayerEntity) Quests.recordKill(killer, entity);
+        if (entity instanceof ServerPlayerEntity) Teleports.rememberBack(entity);
+    });
+
+    // ── EVENT: Entity Damage — getting hurt cancels a warmup ─────
+    events.on("entity.damage", function(entity, damageSource, baseDamage, damageTaken, blocked) {
+        if (entity instanceof ServerPlayerEntity) Teleports.interrupt(entity, "you took damage");
+    });
+
+    // ── Commands count towards quest objectives ──────────────────
+    Commands.onRun(function(c, entry) {
+        if (c.player !== null) Quests.recordCommand(c.player, entry.command);
+    });
+}
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,117 @@
+// ── SERVER EVENTS ──────────────────────────────────────────────────────────
+//
+// Storage follows the server's lifecycle. Once the server has started, the
+// timers begin: ambient particles, quest checks, the HUD and the MOTD.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var ParticleTypes = Java.type("net.minecraft.particle.ParticleTypes");
+
+var Worlds = require("../helpers/worlds").Worlds;
+var Storage = require("../storage").Storage;
+var Scheduler = require("../lib/scheduler").Scheduler;
+var Hub = require("../lib/live").Hub;
+var Config = require("../lib/config").Config;
+var Placeholders = require("../lib/placeholders").Placeholders;
+var events = require("../lib/events").events;
+var ScriptReloader = require("../lib/reload").ScriptReloader;
+var Hud = require("../lib/hud").Hud;
+var Quests = require("../systems/quests").Quests;
+var Session = require("../storage/session").Session;
+
+Config.define("ambient.intervalTicks", {
+    type: "int", default: 1200, min: 20,
+    description: "Ticks between the ambient particles shown above every player"
+});
+
+Config.define("motd.text", {
+    type: "string", default: "",
+    description: "Server list MOTD with placeholders, refreshed every 5 seconds (\"\" = the one from server.properties)"
+});
+
+function onServerStarting(server) {
+    Hub.server = server;
+    Storage.attach(server);
+}
+
+function onServerStarted(server) {
+    LOGGER.info("=== ThreadJS Sample Mod is ready! ===");
+    LOGGER.info("  Try: /js help");
+
+    // Ambient particles (every minute by default). Rescheduled each
+    // time so a config reload picks up a new interval.
+    var ambient = function() {
+        var players = server.getPlayerManager().getPlayerList();
+        for (var j = 0; j < players.size(); j++) {
+            Worlds.particles(Worlds.at(players.get(j), 2.0), ParticleTypes.END_ROD, 5, 0.3, 0.01);
+        }
+        Scheduler.runLater(Config.get("ambient.intervalTicks"), ambient);
+    };
+    Scheduler.runLater(Config.get("ambient.intervalTicks"), ambient);
+
+    // Collect and reach quest objectives, once a second
+    Scheduler.runTimer(20, 20, function() {
+        Quests.tick(server);
+    });
+
+    // Sidebar and boss bars. Rescheduled each time, like the
+    // particles, so a new hud.updateTicks applies right away.
+    var hud = function() {
+        Hud.update(server);
+        Scheduler.runLater(Config.get("hud.updateTicks"), hud);
+    };
+    Scheduler.runLater(Config.get("hud.updateTicks"), hud);
+
+    // Server list MOTD from motd.text, every 5 seconds. A bad
+    // template is logged once and the default MOTD is shown.
+    if (Session.defaultMotd === null) Session.defaultMotd = server.getServerMotd();
+    var motdProblem = null;
+    Scheduler.runTimer(0, 100, function() {
+        var template = Config.get("motd.text");
+        var motd = Session.defaultMotd;
+        if (template !== "") {
+            try {
+                motd = Placeholders.apply(template, { server: server });
+                motdProblem = null;
+            } catch (e) {
+                if (String(e.message) !== motdProblem) LOGGER.warn("Bad motd.text ({}), using the default MOTD", e.message);
+                motdProblem = String(e.message);
+            }
+        }
+        if (motd !== String(server.getServerMotd())) server.setMotd(motd);
+    });
+
+    ScriptReloader.watch(server);
+}
+
+function register() {
+    // ── EVENT: Server Starting — load persistent storage ─────────
+    events.on("server.starting", onServerStarting);
+
+    // ── EVENT: World Save — autosave persistent storage ──────────
+    events.on("server.save", function(server, flush, force) {
+        Storage.saveAll();
+    });
+
+    // ── EVENT: Server Stopping — final save ──────────────────────
+    events.on("server.stopping", function(server) {
+        Scheduler.cancelAll();
+        Session.defaultMotd = null;
+        Storage.detach();
+        Hub.server = null;
+    });
+
+    // ── EVENT: Server Started ────────────────────────────────────
+    events.on("server.started", onServerStarted);
+
+    // ── EVENT: Server Tick — drives the Scheduler ────────────────
+    events.on("server.tick", function(server) {
+        Scheduler.tick();
+    });
+}
+
+module.exports = {
+    register: register,
+    onServerStarting: onServerStarting,
+    onServerStarted: onServerStarted
+};
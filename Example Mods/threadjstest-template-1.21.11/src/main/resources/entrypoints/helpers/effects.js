@@ -0,0 +1,16 @@
+// ── STATUS EFFECTS ─────────────────────────────────────────────────────────
+//
+// Looks up status effects by the names players type in commands.
+
+var Identifier = Java.type("net.minecraft.util.Identifier");
+var Registries = Java.type("net.minecraft.registry.Registries");
+
+// "speed" or "minecraft:speed" -> the effect's registry entry, or null.
+function getStatusEffectByName(name) {
+    var id = Identifier.tryParse(name);
+    return id === null ? null : Registries.STATUS_EFFECT.getEntry(id).orElse(null);
+}
+
+module.exports = {
+    getStatusEffectByName: getStatusEffectByName
+};
@@ -0,0 +1,34 @@
+// ── FORMATTING ─────────────────────────────────────────────────────────────
+//
+// Plain text for durations and locations, shared by commands, placeholders
+// and cooldown messages.
+
+var Math = Java.type("java.lang.Math");
+
+// "45s", "4m 10s", "3h 5m" or "2d 7h"; partial seconds round up.
+function formatDurationMs(ms) {
+    var totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    var days = Math.floor(totalSeconds / 86400);
+    var hours = Math.floor(totalSeconds / 3600) % 24;
+    var minutes = Math.floor(totalSeconds / 60) % 60;
+    var seconds = totalSeconds % 60;
+    if (days > 0) return days + "d " + hours + "h";
+    if (hours > 0) return hours + "h " + minutes + "m";
+    if (minutes > 0) return minutes + "m " + seconds + "s";
+    return seconds + "s";
+}
+
+function dimensionLabel(dimensionId) {
+    return dimensionId.indexOf("minecraft:") === 0 ? dimensionId.substring("minecraft:".length) : dimensionId;
+}
+
+function formatLocation(loc) {
+    return Math.floor(loc.x) + ", " + Math.floor(loc.y) + ", " + Math.floor(loc.z)
+        + " (" + dimensionLabel(loc.dimension) + ")";
+}
+
+module.exports = {
+    formatDurationMs: formatDurationMs,
+    dimensionLabel: dimensionLabel,
+    formatLocation: formatLocation
+};
@@ -0,0 +1,31 @@
+// ── TEXT ───────────────────────────────────────────────────────────────────
+//
+// Shortcuts for sending text: colorText() for one-off messages and
+// broadcast() for everyone online.
+
+var Text = Java.type("net.minecraft.text.Text");
+
+var Markup = require("../lib/markup").Markup;
+var Placeholders = require("../lib/placeholders").Placeholders;
+
+// text is a Text or a markup string with server placeholders (see Markup
+// and Placeholders).
+function broadcast(server, text) {
+    if (typeof text === "string") text = Placeholders.text(text, { server: server });
+    var players = server.getPlayerManager().getPlayerList();
+    for (var i = 0; i < players.size(); i++) {
+        players.get(i).sendMessage(text);
+    }
+}
+
+// colorText("Saved", Formatting.GREEN) colors plain text as written; without
+// a color the message is markup: colorText("<green>Saved <gray>(3 files)").
+function colorText(msg, color) {
+    if (color === undefined) return Markup.parse(msg);
+    return Text.literal(msg).formatted(color);
+}
+
+module.exports = {
+    broadcast: broadcast,
+    colorText: colorText
+};
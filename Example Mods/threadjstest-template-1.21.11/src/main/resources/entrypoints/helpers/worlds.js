@@ -0,0 +1,105 @@
+// ── WORLDS ─────────────────────────────────────────────────────────────────
+//
+// Anything a command does around an entity (sounds, particles, explosions,
+// block scans, distances) must happen in the ServerWorld that entity is in.
+// server.getOverworld() is only right for what the Overworld owns for every
+// dimension: time of day and weather.
+//
+//   var here = Worlds.at(player, 1.0);                  // { world, x, y, z }, 1 block above the feet
+//   Worlds.particles(here, ParticleTypes.HEART, 10, 0.5, 0.0);
+//   Worlds.sound(Worlds.at(player), SoundEvents.ENTITY_PLAYER_LEVELUP, SoundCategory.PLAYERS);
+//   Worlds.distance(player, other);                     // null when they're in different worlds
+//   Worlds.nearby(player);                              // [{ player, distance }], nearest first
+//   Worlds.surfaceY(Worlds.of(player), x, z);
+//
+// Commands get the caller's world as c.world (see the command builder).
+
+var BlockPos = Java.type("net.minecraft.util.math.BlockPos");
+var World = Java.type("net.minecraft.world.World");
+var Math = Java.type("java.lang.Math");
+
+var Worlds = (function() {
+    var api = {
+        // The ServerWorld an entity is in.
+        of: function(entity) {
+            return entity.getEntityWorld();
+        },
+
+        // "minecraft:the_nether" for an entity or a world.
+        dimension: function(entityOrWorld) {
+            var world = entityOrWorld instanceof World ? entityOrWorld : api.of(entityOrWorld);
+            return world.getRegistryKey().getValue().toString();
+        },
+
+        same: function(a, b) {
+            return api.of(a) === api.of(b);
+        },
+
+        // A position in the entity's world, dy blocks above its feet.
+        at: function(entity, dy) {
+            return api.pos(api.of(entity), entity.getX(), entity.getY() + (dy || 0), entity.getZ());
+        },
+
+        pos: function(world, x, y, z) {
+            return { world: world, x: x, y: y, z: z };
+        },
+
+        // Straight-line distance in blocks, or null across dimensions.
+        distance: function(a, b) {
+            if (!api.same(a, b)) return null;
+            var dx = b.getX() - a.getX(), dy = b.getY() - a.getY(), dz = b.getZ() - a.getZ();
+            return Math.sqrt(dx * dx + dy * dy + dz * dz);
+        },
+
+        // Players in the same world as the entity, the entity included.
+        playersNear: function(entity) {
+            return api.of(entity).getPlayers();
+        },
+
+        // The other players in the entity's world, nearest first:
+        // [{ player, distance }].
+        nearby: function(entity) {
+            var players = api.playersNear(entity);
+            var list = [];
+            for (var i = 0; i < players.size(); i++) {
+                var other = players.get(i);
+                if (other !== entity) list.push({ player: other, distance: api.distance(entity, other) });
+            }
+            return list.sort(function(a, b) { return a.distance - b.distance; });
+        },
+
+        // spread is one number or [dx, dy, dz].
+        particles: function(pos, type, count, spread, speed) {
+            var s = typeof spread === "number" ? [spread, spread, spread] : spread;
+            pos.world.spawnParticles(type, pos.x, pos.y, pos.z, count, s[0], s[1], s[2], speed);
+        },
+
+        // Heard by everyone nearby except the optional except player.
+        sound: function(pos, sound, category, except) {
+            pos.world.playSound(except || null, pos.x, pos.y, pos.z, sound, category);
+        },
+
+        // The y to stand on at x, z: above the highest block, or in a world
+        // with a ceiling (the Nether), above the highest block under the roof.
+        surfaceY: function(world, x, z) {
+            var bottom = world.getBottomY();
+            var y = world.getTopY() - 1;
+            var dimension = world.getDimension();
+            if (dimension.hasCeiling()) {
+                // Start inside the roof and come down out of it.
+                y = bottom + dimension.logicalHeight() - 1;
+                while (y > bottom && !world.getBlockState(new BlockPos(x, y, z)).isAir()) y--;
+            }
+            for (; y > bottom; y--) {
+                if (!world.getBlockState(new BlockPos(x, y, z)).isAir()) return y + 1;
+            }
+            return null;
+        }
+    };
+
+    return api;
+})();
+
+module.exports = {
+    Worlds: Worlds
+};
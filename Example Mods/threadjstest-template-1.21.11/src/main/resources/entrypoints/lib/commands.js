@@ -0,0 +1,464 @@
+// ── COMMAND BUILDER ────────────────────────────────────────────────────────
+//
+// Declarative layer over CommandManager/Brigadier. Each command is one spec
+// string plus options; specs sharing a prefix share Brigadier nodes, so
+// vanilla tab completion and argument validation keep working:
+//
+//   var js = Commands.root("js");
+//   js.command("warp go <name:word>", {
+//       description: "Teleport to a warp",
+//       permission: "warp",                     // threadjstest.command.warp
+//       level: OP_LEVEL_ALL,                    // default op level (default 0)
+//       playerOnly: true,                       // "Players only!" for console
+//       cooldown: "warp",                       // a Cooldowns action (optional)
+//       suggest: { name: function(c) { return warpData.keys(); } },
+//       run: function(c) {
+//           if (!warpData.has(c.args.name)) c.fail("Unknown warp: " + c.args.name);
+//           c.reply(colorText("Warped!", Formatting.GREEN));
+//       }
+//   });
+//   js.register(dispatcher);
+//
+// Arguments are <name:type> or, at the end of a spec, [name:type] for
+// optional ones (missing optional args are undefined). Types: word (default),
+// string, greedy, bool, int, float, double — numeric types take optional
+// bounds like int(1,64) — and player, which suggests online names and
+// resolves to the player entity.
+//
+// run(c) gets c.args, c.player (null for console), c.source, c.server,
+// c.world (the caller's world; the Overworld for console) and c.ctx, plus
+// c.reply(text) and c.fail(message). Returning a number passes it
+// to Brigadier, false returns 0, anything else 1. c.fail() or any other thrown
+// error is sent to the caller with sendError; unexpected errors are logged.
+//
+// A command with a cooldown is refused while the player's action is limited,
+// and is recorded as used only when run(c) succeeds.
+//
+// Registered trees keep their specs and descriptions; /js help is built from
+// them with Commands.usable(source), which hides what the caller can't run.
+// Commands.onRun(fn) is called with (c, entry) after a command succeeds;
+// entry.command is its literal part, e.g. "/js warp go".
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var CommandManager = Java.type("net.minecraft.server.command.CommandManager");
+var StringArgumentType = Java.type("com.mojang.brigadier.arguments.StringArgumentType");
+var IntegerArgumentType = Java.type("com.mojang.brigadier.arguments.IntegerArgumentType");
+var FloatArgumentType = Java.type("com.mojang.brigadier.arguments.FloatArgumentType");
+var DoubleArgumentType = Java.type("com.mojang.brigadier.arguments.DoubleArgumentType");
+var BoolArgumentType = Java.type("com.mojang.brigadier.arguments.BoolArgumentType");
+var CommandSource = Java.type("net.minecraft.command.CommandSource");
+
+var OP_LEVEL_ALL = require("./permissions").OP_LEVEL_ALL;
+var Permissions = require("./permissions").Permissions;
+var registerRootCommand = require("./live").registerRootCommand;
+var colorText = require("../helpers/text").colorText;
+var Cooldowns = require("./cooldowns").Cooldowns;
+
+function CommandError(message) {
+    this.name = "CommandError";
+    this.message = message;
+}
+CommandError.prototype = Object.create(Error.prototype);
+CommandError.prototype.constructor = CommandError;
+
+var Commands = (function() {
+    var LITERAL_PATTERN = /^[a-z0-9_-]+$/i;
+    var ARG_PATTERN = /^([<\[])([a-zA-Z_][a-zA-Z0-9_]*)(?::([a-z]+)(?:\(([^)]*)\))?)?([>\]])$/;
+
+    var ARG_TYPES = {
+        word: {
+            create: function() { return StringArgumentType.word(); },
+            get: function(ctx, name) { return String(StringArgumentType.getString(ctx, name)); }
+        },
+        string: {
+            create: function() { return StringArgumentType.string(); },
+            get: function(ctx, name) { return String(StringArgumentType.getString(ctx, name)); }
+        },
+        greedy: {
+            create: function() { return StringArgumentType.greedyString(); },
+            get: function(ctx, name) { return String(StringArgumentType.getString(ctx, name)); }
+        },
+        bool: {
+            create: function() { return BoolArgumentType.bool(); },
+            get: function(ctx, name) { return BoolArgumentType.getBool(ctx, name); }
+        },
+        int: {
+            create: function(min, max) {
+                if (min === undefined) return IntegerArgumentType.integer();
+                return max === undefined ? IntegerArgumentType.integer(min) : IntegerArgumentType.integer(min, max);
+            },
+            get: function(ctx, name) { return IntegerArgumentType.getInteger(ctx, name); }
+        },
+        float: {
+            create: function(min, max) {
+                if (min === undefined) return FloatArgumentType.floatArg();
+                return max === undefined ? FloatArgumentType.floatArg(min) : FloatArgumentType.floatArg(min, max);
+            },
+            get: function(ctx, name) { return FloatArgumentType.getFloat(ctx, name); }
+        },
+        double: {
+            create: function(min, max) {
+                if (min === undefined) return DoubleArgumentType.doubleArg();
+                return max === undefined ? DoubleArgumentType.doubleArg(min) : DoubleArgumentType.doubleArg(min, max);
+            },
+            get: function(ctx, name) { return DoubleArgumentType.getDouble(ctx, name); }
+        },
+        player: {
+            create: function() { return StringArgumentType.word(); },
+            get: function(ctx, name) {
+                var playerName = StringArgumentType.getString(ctx, name);
+                var player = ctx.getSource().getServer().getPlayerManager().getPlayer(playerName);
+                if (player === null) throw new CommandError("Player not found: " + playerName);
+                return player;
+            },
+            suggest: function(c) { return c.server.getPlayerNames(); }
+        }
+    };
+
+    function parseToken(token, spec) {
+        var m = ARG_PATTERN.exec(token);
+        if (m === null) {
+            if (!LITERAL_PATTERN.test(token)) {
+                throw new Error("Invalid token '" + token + "' in command spec '" + spec + "'");
+            }
+            return { kind: "literal", name: token.toLowerCase() };
+        }
+        if ((m[1] === "<") !== (m[5] === ">")) {
+            throw new Error("Mismatched brackets in '" + token + "' in command spec '" + spec + "'");
+        }
+        var typeName = m[3] || "word";
+        if (!ARG_TYPES[typeName]) {
+            throw new Error("Unknown argument type '" + typeName + "' in command spec '" + spec + "'"
+                + " (known: " + Object.keys(ARG_TYPES).join(", ") + ")");
+        }
+        var params = m[4] === undefined || m[4] === "" ? [] : m[4].split(",").map(function(p) {
+            var n = Number(p.trim());
+            if (isNaN(n)) throw new Error("Bad bound '" + p + "' in command spec '" + spec + "'");
+            return n;
+        });
+        return { kind: "argument", name: m[2], typeName: typeName, params: params, optional: m[1] === "[" };
+    }
+
+    function parseSpec(spec) {
+        var tokens = spec.trim() === "" ? [] : spec.trim().split(/\s+/);
+        var parsed = tokens.map(function(t) { return parseToken(t, spec); });
+        var seenOptional = false;
+        for (var i = 0; i < parsed.length; i++) {
+            if (parsed[i].optional) seenOptional = true;
+            else if (seenOptional) throw new Error("Only trailing arguments can be optional in '" + spec + "'");
+        }
+        return parsed;
+    }
+
+    function Node(token) {
+        this.kind = token.kind;
+        this.name = token.name;
+        this.typeName = token.typeName;
+        this.params = token.params;
+        this.children = [];
+        this.entry = null;          // spec that executes at this node
+        this.suggest = null;
+        this.requirement = null;    // full permission node or null
+    }
+
+    Node.prototype.child = function(token, spec) {
+        for (var i = 0; i < this.children.length; i++) {
+            var c = this.children[i];
+            if (c.name !== token.name) continue;
+            if (c.kind !== token.kind || c.typeName !== token.typeName) {
+                throw new Error("'" + token.name + "' in '" + spec + "' conflicts with an earlier command");
+            }
+            return c;
+        }
+        var node = new Node(token);
+        this.children.push(node);
+        return node;
+    };
+
+    function toText(text) {
+        return typeof text === "string" ? Text.literal(text) : text;
+    }
+
+    function baseContext(ctx) {
+        var source = ctx.getSource();
+        return {
+            ctx: ctx,
+            source: source,
+            server: source.getServer(),
+            world: source.getWorld(),
+            player: source.getPlayer()
+        };
+    }
+
+    var runListeners = [];
+
+    // Tells onRun() listeners about a command that succeeded. A failing
+    // listener is logged and never affects the command's own result.
+    function notifyRun(c, entry) {
+        for (var i = 0; i < runListeners.length; i++) {
+            try {
+                runListeners[i](c, entry);
+            } catch (e) {
+                LOGGER.warn("Command listener failed after {}: {}", entry.usage, String(e));
+            }
+        }
+    }
+
+    function executor(tree, entry, argTokens) {
+        return function(ctx) {
+            var source = ctx.getSource();
+            if (entry.playerOnly && source.getPlayer() === null) {
+                source.sendError(colorText("Players only!", Formatting.RED));
+                return 0;
+            }
+            try {
+                var c = baseContext(ctx);
+                c.args = {};
+                for (var i = 0; i < argTokens.length; i++) {
+                    var t = argTokens[i];
+                    c.args[t.name] = ARG_TYPES[t.typeName].get(ctx, t.name);
+                }
+                c.reply = function(text, broadcastToOps) {
+                    var message = toText(text);
+                    source.sendFeedback(function() { return message; }, broadcastToOps === true);
+                };
+                c.fail = function(message) {
+                    throw new CommandError(message);
+                };
+
+                var limited = entry.cooldown !== null && c.player !== null;
+                if (limited) {
+                    var wait = Cooldowns.remaining(c.player, entry.cooldown);
+                    if (wait > 0) {
+                        c.reply(colorText(Cooldowns.message(entry.cooldown, wait), Formatting.GRAY));
+                        return 0;
+                    }
+                }
+
+                var result = entry.run(c);
+                var code = typeof result === "number" ? result : (result === false ? 0 : 1);
+                if (code > 0) {
+                    if (limited) Cooldowns.use(c.player, entry.cooldown);
+                    notifyRun(c, entry);
+                }
+                return code;
+            } catch (e) {
+                if (!(e instanceof CommandError)) {
+                    LOGGER.warn("{} failed: {}", entry.usage, String(e && e.stack ? e.stack : e));
+                }
+                source.sendError(colorText(String(e && e.message !== undefined ? e.message : e), Formatting.RED));
+                return 0;
+            }
+        };
+    }
+
+    // A spec's permission goes on its deepest literal, which hides the whole
+    // branch from players without it. When specs under one literal disagree
+    // ("heal" vs "heal <target>"), the spec ending at the literal keeps it and
+    // the others move their permission onto their first argument. Grouping
+    // literals ("time" in "time set"/"time add") are gated too when every
+    // command below them needs the same node.
+    function assignPermissions(tree) {
+        var groups = [];
+        tree.entries.forEach(function(entry) {
+            var anchorIndex = -1;
+            for (var i = 0; i < entry.nodes.length; i++) {
+                if (entry.nodes[i].kind === "literal") anchorIndex = i;
+            }
+            var anchor = anchorIndex >= 0 ? entry.nodes[anchorIndex] : tree.rootNode;
+            var group = groups.filter(function(g) { return g.anchor === anchor; })[0];
+            if (!group) {
+                group = { anchor: anchor, members: [] };
+                groups.push(group);
+            }
+            group.members.push({ entry: entry, anchorIndex: anchorIndex });
+        });
+
+        groups.forEach(function(group) {
+            var distinct = [];
+            group.members.forEach(function(m) {
+                if (distinct.indexOf(m.entry.node) < 0) distinct.push(m.entry.node);
+            });
+            if (distinct.length === 1) {
+                group.anchor.requirement = distinct[0];
+                return;
+            }
+            var owner = group.members.filter(function(m) {
+                return m.anchorIndex === m.entry.nodes.length - 1;
+            })[0];
+            if (owner) group.anchor.requirement = owner.entry.node;
+            group.members.forEach(function(m) {
+                if (m === owner || m.entry.node === group.anchor.requirement) return;
+                var next = m.entry.nodes[m.anchorIndex + 1];
+                if (next.requirement !== null && next.requirement !== m.entry.node) {
+                    throw new Error("Conflicting permissions for '" + m.entry.usage + "'");
+                }
+                next.requirement = m.entry.node;
+            });
+        });
+
+        var grouping = [];
+        tree.entries.forEach(function(entry) {
+            entry.nodes.forEach(function(node) {
+                if (node.kind !== "literal" || node.entry !== null) return;
+                var g = grouping.filter(function(g) { return g.node === node; })[0];
+                if (!g) grouping.push({ node: node, permission: entry.node });
+                else if (g.permission !== entry.node) g.permission = null;
+            });
+        });
+        grouping.forEach(function(g) {
+            if (g.node.requirement === null) g.node.requirement = g.permission;
+        });
+    }
+
+    function build(tree, node, argTokens) {
+        var builder;
+        if (node.kind === "literal") {
+            builder = CommandManager.literal(node.name);
+        } else {
+            var type = ARG_TYPES[node.typeName];
+            builder = CommandManager.argument(node.name, type.create.apply(null, node.params));
+            argTokens = argTokens.concat([node]);
+
+            var suggest = node.suggest || type.suggest;
+            if (suggest) {
+                builder.suggests(function(ctx, suggestions) {
+                    return CommandSource.suggestMatching(suggest(baseContext(ctx)), suggestions);
+                });
+            }
+        }
+
+        if (node.requirement !== null) {
+            var required = node.requirement;
+            builder.requires(function(source) { return Permissions.check(source, required); });
+        }
+        if (node.entry !== null) builder.executes(executor(tree, node.entry, argTokens));
+
+        for (var i = 0; i < node.children.length; i++) {
+            builder.then(build(tree, node.children[i], argTokens));
+        }
+        return builder;
+    }
+
+    // Trees passed to register(), by root name, for help output. A datapack
+    // /reload registers fresh trees, which replace the old ones in place.
+    var registered = {};
+
+    function CommandTree(name, options) {
+        options = options || {};
+        this.name = name;
+        this.permissionPrefix = options.permissionPrefix || "threadjstest.command.";
+        this.rootNode = new Node({ kind: "literal", name: name });
+        this.entries = [];
+    }
+
+    // Adds one command. spec is relative to the root ("" is the root itself).
+    CommandTree.prototype.command = function(spec, options) {
+        if (typeof options.run !== "function") {
+            throw new Error("Command '/" + this.name + " " + spec + "' needs a run function");
+        }
+        if (options.cooldown && !Cooldowns.has(options.cooldown)) {
+            throw new Error("Command '/" + this.name + " " + spec + "': unknown cooldown '" + options.cooldown + "'");
+        }
+        var tokens = parseSpec(spec);
+        var literals = [];
+        for (var l = 0; l < tokens.length && tokens[l].kind === "literal"; l++) literals.push(tokens[l].name);
+
+        var entry = {
+            spec: spec,
+            root: this.name,
+            // help topic: the subcommand ("warp"), or the root for "" specs
+            topic: literals.length > 0 ? literals[0] : this.name,
+            usage: ("/" + this.name + " " + tokens.map(function(t) {
+                if (t.kind === "literal") return t.name;
+                return t.optional ? "[" + t.name + "]" : "<" + t.name + ">";
+            }).join(" ")).trim(),
+            // literal part of the command, e.g. "/js warp go"
+            command: ["/" + this.name].concat(literals).join(" "),
+            arguments: tokens.filter(function(t) { return t.kind === "argument"; }),
+            description: options.description || "",
+            node: options.permission ? this.permissionPrefix + options.permission : null,
+            level: options.level === undefined ? OP_LEVEL_ALL : options.level,
+            playerOnly: options.playerOnly === true,
+            cooldown: options.cooldown || null,
+            run: options.run,
+            nodes: []
+        };
+        // what clicking the command in help puts into the chat box
+        entry.suggestion = entry.command + (literals.length < tokens.length ? " " : "");
+        if (entry.node !== null) Permissions.require(entry.node, entry.level);
+
+        var node = this.rootNode;
+        for (var i = 0; i < tokens.length; i++) {
+            var t = tokens[i];
+            if (t.optional && node.entry === null) node.entry = entry;   // [arg] left out
+            node = node.child(t, spec);
+            entry.nodes.push(node);
+            if (t.kind === "argument" && options.suggest && options.suggest[t.name]) {
+                node.suggest = options.suggest[t.name];
+            }
+        }
+        if (node.entry !== null) throw new Error("Duplicate command '" + entry.usage + "'");
+        node.entry = entry;
+        this.entries.push(entry);
+        return this;
+    };
+
+    // Compiles to Brigadier nodes and registers them with the dispatcher.
+    CommandTree.prototype.register = function(dispatcher) {
+        assignPermissions(this);
+        registered[this.name] = this;
+        return registerRootCommand(dispatcher, build(this, this.rootNode, []));
+    };
+
+    // Commands the source may run, in registration order. Walks the live
+    // dispatcher, so the result matches what the client is allowed to see.
+    function usable(source) {
+        var root = source.getServer().getCommandManager().getDispatcher().getRoot();
+        var result = [];
+        Object.keys(registered).forEach(function(name) {
+            var tree = registered[name];
+            tree.entries.forEach(function(entry) {
+                var path = [tree.name].concat(entry.nodes.map(function(n) { return n.name; }));
+                var node = root;
+                for (var i = 0; i < path.length; i++) {
+                    node = node.getChild(path[i]);
+                    if (node === null || !node.canUse(source)) return;
+                }
+                result.push(entry);
+            });
+        });
+        return result;
+    }
+
+    // "int 1..64" style summary of an argument token, for help output.
+    function describeArgument(token) {
+        var text = token.typeName;
+        if (token.params.length === 1) text += " \u2265 " + token.params[0];
+        else if (token.params.length === 2) text += " " + token.params[0] + ".." + token.params[1];
+        return token.optional ? text + ", optional" : text;
+    }
+
+    return {
+        root: function(name, options) {
+            return new CommandTree(name, options);
+        },
+        argumentTypes: function() {
+            return Object.keys(ARG_TYPES);
+        },
+        usable: usable,
+        describeArgument: describeArgument,
+        // fn(c, entry) after any builder command succeeds (returns > 0)
+        onRun: function(fn) {
+            runListeners.push(fn);
+        }
+    };
+})();
+
+module.exports = {
+    CommandError: CommandError,
+    Commands: Commands
+};
@@ -0,0 +1,279 @@
+// ── CONFIG ─────────────────────────────────────────────────────────────────
+//
+// Tunables live in config/threadjstest.json, generated with defaults on first
+// run. Each key is declared once with a type and a default:
+//
+//   Config.define("roll.maxSides", {
+//       type: "int", default: 100, min: 2,
+//       description: "Largest die /js roll accepts"
+//   });
+//   Config.get("roll.maxSides")              // -> 100, or the file's value
+//
+// Types: int, number, bool, string, strings (list of strings) and items
+// (list of { "id": "minecraft:torch", "count": 16 }). min/max bound numbers,
+// and the number of entries for lists. Dotted keys are nested objects in the
+// file. A missing key is added with its default; an invalid one is logged
+// and the default is used until it is fixed. A key that takes over from an
+// older one names it with `replaces`, and a file that only has the old key
+// keeps its value.
+//
+// In game: /js config get [key], /js config set <key> <value> (lists are
+// given as JSON) and /js config reload.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var Identifier = Java.type("net.minecraft.util.Identifier");
+var ItemStack = Java.type("net.minecraft.item.ItemStack");
+var Registries = Java.type("net.minecraft.registry.Registries");
+var FabricLoader = Java.type("net.fabricmc.loader.api.FabricLoader");
+var Files = Java.type("java.nio.file.Files");
+
+var writeFileAtomically = require("../storage").writeFileAtomically;
+
+var Config = (function() {
+    var KEY_PATTERN = /^[a-z][a-zA-Z0-9]*(\.[a-z][a-zA-Z0-9]*)*$/;
+    var schema = {};        // key -> { type, default, min, max, description }
+    var order = [];         // keys in declaration order
+    var values = {};        // key -> current value
+    var contents = {};      // parsed file, kept so unknown keys survive saves
+
+    function file() {
+        return FabricLoader.getInstance().getConfigDir().resolve("threadjstest.json");
+    }
+
+    function copy(value) {
+        return typeof value === "object" && value !== null ? JSON.parse(JSON.stringify(value)) : value;
+    }
+
+    function bounds(value, what, spec) {
+        if (spec.min !== undefined && value < spec.min) return what + " must be at least " + spec.min;
+        if (spec.max !== undefined && value > spec.max) return what + " must be at most " + spec.max;
+        return null;
+    }
+
+    function parseJson(text, example) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new Error("Expected JSON, e.g. " + example);
+        }
+    }
+
+    // parse(text) turns command input into a value; check(value, spec)
+    // returns an error message or null.
+    var TYPES = {
+        int: {
+            parse: function(text) {
+                if (!/^-?[0-9]+$/.test(text)) throw new Error("Expected a whole number");
+                return parseInt(text, 10);
+            },
+            check: function(value, spec) {
+                if (typeof value !== "number" || value % 1 !== 0) return "Expected a whole number";
+                return bounds(value, "Value", spec);
+            }
+        },
+        number: {
+            parse: function(text) {
+                var n = Number(text);
+                if (text === "" || isNaN(n)) throw new Error("Expected a number");
+                return n;
+            },
+            check: function(value, spec) {
+                if (typeof value !== "number" || !isFinite(value)) return "Expected a number";
+                return bounds(value, "Value", spec);
+            }
+        },
+        bool: {
+            parse: function(text) {
+                if (text !== "true" && text !== "false") throw new Error("Expected true or false");
+                return text === "true";
+            },
+            check: function(value, spec) {
+                return typeof value === "boolean" ? null : "Expected true or false";
+            }
+        },
+        string: {
+            parse: function(text) {
+                return text;
+            },
+            check: function(value, spec) {
+                return typeof value === "string" ? null : "Expected text";
+            }
+        },
+        strings: {
+            parse: function(text) {
+                return parseJson(text, "[\"first\", \"second\"]");
+            },
+            check: function(value, spec) {
+                if (!Array.isArray(value)) return "Expected a list of strings";
+                for (var i = 0; i < value.length; i++) {
+                    if (typeof value[i] !== "string") return "Entry " + (i + 1) + " is not a string";
+                }
+                return bounds(value.length, "Number of entries", spec);
+            }
+        },
+        items: {
+            parse: function(text) {
+                return parseJson(text, "[{\"id\": \"minecraft:bread\", \"count\": 4}]");
+            },
+            check: function(value, spec) {
+                return itemListProblem(value) || bounds(value.length, "Number of entries", spec);
+            }
+        }
+    };
+
+    function pathGet(obj, key) {
+        var parts = key.split(".");
+        for (var i = 0; i < parts.length; i++) {
+            if (obj === null || typeof obj !== "object" || !(parts[i] in obj)) return undefined;
+            obj = obj[parts[i]];
+        }
+        return obj;
+    }
+
+    function pathSet(obj, key, value) {
+        var parts = key.split(".");
+        for (var i = 0; i < parts.length - 1; i++) {
+            if (obj[parts[i]] === null || typeof obj[parts[i]] !== "object") obj[parts[i]] = {};
+            obj = obj[parts[i]];
+        }
+        obj[parts[parts.length - 1]] = value;
+    }
+
+    function specFor(key) {
+        var spec = schema[key];
+        if (!spec) throw new Error("Unknown config key '" + key + "'");
+        return spec;
+    }
+
+    var config = {
+        define: function(key, spec) {
+            if (!KEY_PATTERN.test(key)) throw new Error("Invalid config key '" + key + "'");
+            if (schema[key]) throw new Error("Config key '" + key + "' is already defined");
+            if (!TYPES[spec.type]) {
+                throw new Error("Unknown config type '" + spec.type + "' for " + key
+                    + " (known: " + Object.keys(TYPES).join(", ") + ")");
+            }
+            var problem = TYPES[spec.type].check(spec.default, spec);
+            if (problem !== null) throw new Error("Default for " + key + " is invalid: " + problem);
+
+            schema[key] = {
+                type: spec.type,
+                default: copy(spec.default),
+                min: spec.min,
+                max: spec.max,
+                description: spec.description || "",
+                replaces: spec.replaces
+            };
+            order.push(key);
+            values[key] = copy(spec.default);
+        },
+
+        // Returns a copy, so callers can't change the config by accident.
+        get: function(key) {
+            specFor(key);
+            return copy(values[key]);
+        },
+
+        // Type-checks, applies and saves. Throws with a readable message.
+        set: function(key, value) {
+            var spec = specFor(key);
+            var problem = TYPES[spec.type].check(value, spec);
+            if (problem !== null) throw new Error(problem);
+            values[key] = copy(value);
+            pathSet(contents, key, copy(value));
+            config.save();
+        },
+
+        // Turns command text into a value of the key's type (not yet checked).
+        parse: function(key, text) {
+            return TYPES[specFor(key).type].parse(text);
+        },
+
+        describe: function(key) {
+            return copy(specFor(key));
+        },
+
+        keys: function() {
+            return order.slice();
+        },
+
+        // Reads the file, keeping the current values if it can't be parsed.
+        // Returns "key: problem" strings for values that were rejected.
+        load: function() {
+            var path = file();
+            var data = Files.exists(path) ? JSON.parse(String(Files.readString(path))) : {};
+            if (data === null || typeof data !== "object" || Array.isArray(data)) {
+                throw new Error("threadjstest.json must contain a JSON object");
+            }
+
+            var problems = [];
+            var added = !Files.exists(path);
+            order.forEach(function(key) {
+                var spec = schema[key];
+                var stored = pathGet(data, key);
+                if (stored === undefined && spec.replaces !== undefined && pathGet(data, spec.replaces) !== undefined) {
+                    stored = copy(pathGet(data, spec.replaces));
+                    pathSet(data, key, copy(stored));
+                    added = true;
+                }
+                if (stored === undefined) {
+                    pathSet(data, key, copy(spec.default));
+                    values[key] = copy(spec.default);
+                    added = true;
+                    return;
+                }
+                var problem = TYPES[spec.type].check(stored, spec);
+                if (problem !== null) {
+                    LOGGER.warn("Config {} is invalid ({}), using the default", key, problem);
+                    problems.push(key + ": " + problem);
+                    values[key] = copy(spec.default);
+                } else {
+                    values[key] = stored;
+                }
+            });
+
+            contents = data;
+            if (added) config.save();
+            LOGGER.info("Loaded config ({} keys, {} invalid)", order.length, problems.length);
+            return problems;
+        },
+
+        save: function() {
+            writeFileAtomically(file(), JSON.stringify(contents, null, 2));
+        }
+    };
+
+    return config;
+})();
+
+// Validates a [{ id, count }] list; returns an error message or null.
+function itemListProblem(items) {
+    if (!Array.isArray(items)) return "Expected a list of items";
+    for (var i = 0; i < items.length; i++) {
+        var entry = items[i];
+        if (entry === null || typeof entry !== "object" || typeof entry.id !== "string") {
+            return "Entry " + (i + 1) + " needs an \"id\"";
+        }
+        var id = Identifier.tryParse(entry.id);
+        if (id === null || !Registries.ITEM.containsId(id)) return "Unknown item: " + entry.id;
+        if (typeof entry.count !== "number" || entry.count % 1 !== 0 || entry.count < 1) {
+            return "Entry " + (i + 1) + " (" + entry.id + ") needs a count of at least 1";
+        }
+    }
+    return null;
+}
+
+// Hands a config "items" list to a player.
+function giveItems(player, items) {
+    for (var i = 0; i < items.length; i++) {
+        var item = Registries.ITEM.get(Identifier.of(items[i].id));
+        player.giveItemStack(new ItemStack(item, items[i].count));
+    }
+}
+
+module.exports = {
+    Config: Config,
+    itemListProblem: itemListProblem,
+    giveItems: giveItems
+};
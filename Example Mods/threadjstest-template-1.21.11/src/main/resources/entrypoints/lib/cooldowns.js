@@ -0,0 +1,204 @@
+// ── COOLDOWNS ──────────────────────────────────────────────────────────────
+//
+// Per-player cooldowns and usage quotas, keyed by action name. Each action is
+// declared once; its limits become config keys so they can be tuned without
+// editing the script:
+//
+//   Cooldowns.define("heal", { label: "Heal", seconds: 60, perDay: 10 });
+//   // -> cooldowns.heal.seconds, cooldowns.heal.perDay, cooldowns.heal.perWeek
+//
+// Builder commands opt in with the `cooldown` option. The command is refused
+// with "<label> available in 4m 10s." while the action is limited, and only
+// counts as used when it succeeds:
+//
+//   js.command("heal", { ..., cooldown: "heal", run: ... });
+//
+// Elsewhere, check and record by hand:
+//
+//   var wait = Cooldowns.remaining(player, "heal");   // ms, 0 when usable
+//   if (wait > 0) c.fail(Cooldowns.message("heal", wait));
+//   Cooldowns.use(player, "heal");
+//
+// Quotas are rolling windows: perDay counts uses in the last 24 hours and
+// perWeek in the last 7 days (0 = no limit). Expiry times and recent uses
+// live in the "cooldowns" world store, so restarts don't reset them. Players
+// with threadjstest.cooldown.bypass.<action> (op level 3 by default) are
+// never limited.
+//
+// An action that used to keep its own cooldown says what it replaces, so an
+// upgrade neither resets anyone's wait nor the tuned length:
+//
+//   Cooldowns.define("daily", { ..., replaces: { seconds: "daily.cooldownSeconds", store: "daily" } });
+//
+// The old config key seeds cooldowns.daily.seconds, and each player's last
+// use (uuid -> epoch ms) moves out of the old store the first time they are
+// checked.
+
+var System = Java.type("java.lang.System");
+var Math = Java.type("java.lang.Math");
+
+var formatDurationMs = require("../helpers/format").formatDurationMs;
+var Storage = require("../storage").Storage;
+var OP_LEVEL_ADMIN = require("./permissions").OP_LEVEL_ADMIN;
+var Permissions = require("./permissions").Permissions;
+var Config = require("./config").Config;
+
+var Cooldowns = (function() {
+    var DAY_MS = 24 * 60 * 60 * 1000;
+    var WEEK_MS = 7 * DAY_MS;
+    var records = Storage.open("cooldowns");   // uuid -> { action -> { until, uses: [epoch ms] } }
+    var actions = {};                           // action -> { label, node, bypass, fixed, legacy }
+
+    function action(name) {
+        var a = actions[name];
+        if (a === undefined) throw new Error("Cooldowns: unknown action '" + name + "'");
+        return a;
+    }
+
+    function limit(name, key) {
+        var fixed = action(name).fixed;
+        return fixed !== null ? fixed[key] : Config.get("cooldowns." + name + "." + key);
+    }
+
+    // Moves the player's last use from the action's old store, unless the
+    // action already has a record of its own.
+    function adopt(uuid, name) {
+        var legacy = action(name).legacy;
+        if (legacy === null || !legacy.has(uuid)) return;
+        var last = legacy.get(uuid);
+        legacy.remove(uuid);
+
+        var all = records.get(uuid) || {};
+        if (all[name] !== undefined || typeof last !== "number") return;
+        all[name] = { until: last + limit(name, "seconds") * 1000, uses: [last] };
+        records.set(uuid, all);
+    }
+
+    // How long until fewer than `max` of the (ascending) uses fall in the window.
+    function quotaWait(uses, max, windowMs, now) {
+        if (max === 0) return 0;
+        var recent = uses.filter(function(t) { return t > now - windowMs; });
+        if (recent.length < max) return 0;
+        return recent[recent.length - max] + windowMs - now;
+    }
+
+    var api = {
+        // options: label (shown to players), seconds, perDay, perWeek — the
+        // config defaults — and bypassLevel (default op level 3). With
+        // config: false the limits are used as given and no keys are made,
+        // for actions whose limits live elsewhere (kits); those can be
+        // defined again to change them. replaces: { seconds, store } names
+        // the config key and world store the action used before.
+        define: function(name, options) {
+            var label = options.label || name;
+            var node = "threadjstest.cooldown.bypass." + name;
+            var bypass = Permissions.require(node, options.bypassLevel === undefined ? OP_LEVEL_ADMIN : options.bypassLevel);
+            var replaces = options.replaces || {};
+            var legacy = replaces.store === undefined ? null : Storage.open(replaces.store);
+            if (options.config === false) {
+                actions[name] = {
+                    label: label, node: node, bypass: bypass,
+                    fixed: { seconds: options.seconds || 0, perDay: options.perDay || 0, perWeek: options.perWeek || 0 },
+                    legacy: legacy
+                };
+                return name;
+            }
+
+            Config.define("cooldowns." + name + ".seconds", {
+                type: "int", default: options.seconds || 0, min: 0,
+                description: "Seconds between uses of " + label,
+                replaces: replaces.seconds
+            });
+            Config.define("cooldowns." + name + ".perDay", {
+                type: "int", default: options.perDay || 0, min: 0,
+                description: "Uses of " + label + " per 24 hours (0 = no limit)"
+            });
+            Config.define("cooldowns." + name + ".perWeek", {
+                type: "int", default: options.perWeek || 0, min: 0,
+                description: "Uses of " + label + " per 7 days (0 = no limit)"
+            });
+            actions[name] = { label: label, node: node, bypass: bypass, fixed: null, legacy: legacy };
+            return name;
+        },
+
+        has: function(name) {
+            return actions[name] !== undefined;
+        },
+
+        names: function() {
+            return Object.keys(actions).sort();
+        },
+
+        // ms until the player may use the action again; 0 when they may now.
+        remaining: function(player, name) {
+            if (action(name).bypass(player.getCommandSource())) return 0;
+            adopt(player.getUuid().toString(), name);
+            var all = records.get(player.getUuid().toString());
+            if (all === null || all[name] === undefined) return 0;
+
+            var record = all[name];
+            var now = System.currentTimeMillis();
+            var quota = Math.max(
+                quotaWait(record.uses, limit(name, "perDay"), DAY_MS, now),
+                quotaWait(record.uses, limit(name, "perWeek"), WEEK_MS, now));
+            return Math.max(record.until - now, quota);
+        },
+
+        use: function(player, name) {
+            if (action(name).bypass(player.getCommandSource())) return;
+            var uuid = player.getUuid().toString();
+            adopt(uuid, name);
+            var all = records.get(uuid) || {};
+            var now = System.currentTimeMillis();
+            var uses = all[name] === undefined ? [] : all[name].uses;
+
+            all[name] = {
+                until: now + limit(name, "seconds") * 1000,
+                uses: uses.filter(function(t) { return t > now - WEEK_MS; }).concat([now])
+            };
+            records.set(uuid, all);
+        },
+
+        message: function(name, ms) {
+            return "\u231B " + action(name).label + " available in " + formatDurationMs(ms) + ".";
+        },
+
+        // "5m 0s, 3 per day" — the limits as configured, for help output.
+        describe: function(name) {
+            action(name);
+            var parts = [];
+            if (limit(name, "seconds") > 0) parts.push(formatDurationMs(limit(name, "seconds") * 1000));
+            if (limit(name, "perDay") > 0) parts.push(limit(name, "perDay") + " per day");
+            if (limit(name, "perWeek") > 0) parts.push(limit(name, "perWeek") + " per week");
+            return parts.length === 0 ? "none" : parts.join(", ");
+        },
+
+        bypassNode: function(name) {
+            return action(name).node;
+        },
+
+        // Clears one action, or all of them, for a player UUID. Returns how
+        // many were cleared.
+        reset: function(uuid, name) {
+            Object.keys(actions).forEach(function(n) {
+                if (name === undefined || n === name) adopt(uuid, n);
+            });
+            var all = records.get(uuid);
+            if (all === null) return 0;
+            if (name === undefined) {
+                records.remove(uuid);
+                return Object.keys(all).length;
+            }
+            if (all[name] === undefined) return 0;
+            delete all[name];
+            records.set(uuid, all);
+            return 1;
+        }
+    };
+
+    return api;
+})();
+
+module.exports = {
+    Cooldowns: Cooldowns
+};
@@ -0,0 +1,206 @@
+// ── EVENT BUS ──────────────────────────────────────────────────────────────
+//
+// Declarative wrapper around Fabric's callback interfaces. Instead of
+// Java.extend + the exact SAM method name:
+//
+//   var sub = events.on("player.join", function(player, server) { ... });
+//   sub.unsubscribe();
+//   events.once("server.started", function(server) { ... });
+//
+// Unknown event names throw at registration time instead of silently never
+// firing. Events marked "cancellable" below can be vetoed by returning false
+// from a handler; for the rest the return value is ignored. A handler that
+// throws is logged and the remaining handlers still run.
+//
+// One Fabric listener is registered per event name, the first time something
+// subscribes to it, and dispatches to the current handler list.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+
+var live = require("./live").live;
+
+var events = (function() {
+    var ActionResult = Java.type("net.minecraft.util.ActionResult");
+    var FABRIC = "net.fabricmc.fabric.api.";
+
+    function fabric(className) {
+        return Java.type(FABRIC + className);
+    }
+
+    // result: how handler return values map back to Fabric
+    //   "void"   — ignored
+    //   "allow"  — boolean callback, any handler returning false vetoes it
+    //   "action" — ActionResult callback, false -> FAIL, anything else -> PASS
+    // args: converts the Fabric callback arguments into handler arguments
+    var DEFINITIONS = {
+        "server.starting":   { owner: "event.lifecycle.v1.ServerLifecycleEvents", field: "SERVER_STARTING", type: "ServerStarting", method: "onServerStarting" },
+        "server.started":    { owner: "event.lifecycle.v1.ServerLifecycleEvents", field: "SERVER_STARTED", type: "ServerStarted", method: "onServerStarted" },
+        "server.stopping":   { owner: "event.lifecycle.v1.ServerLifecycleEvents", field: "SERVER_STOPPING", type: "ServerStopping", method: "onServerStopping" },
+        "server.stopped":    { owner: "event.lifecycle.v1.ServerLifecycleEvents", field: "SERVER_STOPPED", type: "ServerStopped", method: "onServerStopped" },
+        "server.save":       { owner: "event.lifecycle.v1.ServerLifecycleEvents", field: "BEFORE_SAVE", type: "BeforeSave", method: "onBeforeSave" },
+        "server.tick.start": { owner: "event.lifecycle.v1.ServerTickEvents", field: "START_SERVER_TICK", type: "StartTick", method: "onStartTick" },
+        "server.tick":       { owner: "event.lifecycle.v1.ServerTickEvents", field: "END_SERVER_TICK", type: "EndTick", method: "onEndTick" },
+        "world.tick":        { owner: "event.lifecycle.v1.ServerTickEvents", field: "END_WORLD_TICK", type: "EndWorldTick", method: "onEndTick" },
+
+        "player.join": {
+            owner: "networking.v1.ServerPlayConnectionEvents", field: "JOIN", type: "Join", method: "onPlayReady",
+            args: function(handler, sender, server) { return [handler.getPlayer(), server]; }
+        },
+        "player.disconnect": {
+            owner: "networking.v1.ServerPlayConnectionEvents", field: "DISCONNECT", type: "Disconnect", method: "onPlayDisconnect",
+            args: function(handler, server) { return [handler.getPlayer(), server]; }
+        },
+
+        // (world, player, pos, state, blockEntity)
+        "block.break.before": { owner: "event.player.PlayerBlockBreakEvents", field: "BEFORE", type: "Before", method: "beforeBlockBreak", result: "allow" },
+        "block.break":        { owner: "event.player.PlayerBlockBreakEvents", field: "AFTER", type: "After", method: "afterBlockBreak" },
+
+        // (player, world, hand, hitResult) — server side only
+        "block.use": {
+            owner: "event.player.UseBlockCallback", field: "EVENT", type: null, method: "interact", result: "action",
+            serverOnly: function(player, world) { return !world.isClient(); }
+        },
+        // (player, world, hand) — server side only
+        "item.use": {
+            owner: "event.player.UseItemCallback", field: "EVENT", type: null, method: "interact", result: "action",
+            serverOnly: function(player, world) { return !world.isClient(); }
+        },
+        // (player, world, hand, entity, hitResult) — server side only
+        "entity.attack": {
+            owner: "event.player.AttackEntityCallback", field: "EVENT", type: null, method: "interact", result: "action",
+            serverOnly: function(player, world) { return !world.isClient(); }
+        },
+
+        // (entity, damageSource, amount)
+        "entity.damage.allow": { owner: "entity.event.v1.ServerLivingEntityEvents", field: "ALLOW_DAMAGE", type: "AllowDamage", method: "allowDamage", result: "allow" },
+        // (entity, damageSource, baseDamageTaken, damageTaken, blocked)
+        "entity.damage":       { owner: "entity.event.v1.ServerLivingEntityEvents", field: "AFTER_DAMAGE", type: "AfterDamage", method: "afterDamage" },
+        // (entity, damageSource)
+        "entity.death":        { owner: "entity.event.v1.ServerLivingEntityEvents", field: "AFTER_DEATH", type: "AfterDeath", method: "afterDeath" },
+
+        // (player, messageString, signedMessage)
+        "chat.allow": {
+            owner: "message.v1.ServerMessageEvents", field: "ALLOW_CHAT_MESSAGE", type: "AllowChatMessage", method: "allowChatMessage", result: "allow",
+            args: function(message, sender, params) { return [sender, message.getContent().getString(), message]; }
+        },
+        "chat": {
+            owner: "message.v1.ServerMessageEvents", field: "CHAT_MESSAGE", type: "ChatMessage", method: "onChatMessage",
+            args: function(message, sender, params) { return [sender, message.getContent().getString(), message]; }
+        }
+    };
+
+    var handlers = {};      // name -> [subscription]
+    var hooked = {};        // name -> true once the Fabric listener exists
+
+    function passValue(def) {
+        if (def.result === "allow") return true;
+        if (def.result === "action") return ActionResult.PASS;
+        return undefined;
+    }
+
+    function closestName(name) {
+        var best = null, bestScore = 0;
+        var parts = name.split(".");
+        for (var known in DEFINITIONS) {
+            var score = 0;
+            var knownParts = known.split(".");
+            for (var i = 0; i < parts.length; i++) {
+                if (knownParts.indexOf(parts[i]) >= 0) score++;
+            }
+            if (score > bestScore) { best = known; bestScore = score; }
+        }
+        return best;
+    }
+
+    function definition(name) {
+        var def = DEFINITIONS[name];
+        if (def) return def;
+        var hint = closestName(String(name));
+        throw new Error("Unknown event '" + name + "'."
+            + (hint !== null ? " Did you mean '" + hint + "'?" : "")
+            + " Known events: " + Object.keys(DEFINITIONS).join(", "));
+    }
+
+    function dispatch(name, def, javaArgs) {
+        if (def.serverOnly && !def.serverOnly.apply(null, javaArgs)) return passValue(def);
+
+        var args = def.args ? def.args.apply(null, javaArgs) : javaArgs;
+        var list = (handlers[name] || []).slice();
+        for (var i = 0; i < list.length; i++) {
+            var result;
+            try {
+                result = list[i].fn.apply(null, args);
+            } catch (e) {
+                LOGGER.error("Event handler for '{}' failed: {}", name, String(e));
+                continue;
+            }
+            if (result === false && def.result === "allow") return false;
+            if (result === false && def.result === "action") return ActionResult.FAIL;
+        }
+        return passValue(def);
+    }
+
+    function hook(name, def) {
+        if (hooked[name]) return;
+        var owner = fabric(def.owner);
+        var callbackType = def.type === null ? owner : fabric(def.owner + "." + def.type);
+        var Callback = Java.extend(callbackType);
+
+        var impl = {};
+        impl[def.method] = live(function() {
+            return dispatch(name, def, Array.prototype.slice.call(arguments));
+        }, passValue(def));
+        owner[def.field].register(new Callback(impl));
+        hooked[name] = true;
+    }
+
+    var bus = {
+        // Subscribes fn to an event. Returns { unsubscribe(), isActive() }.
+        on: function(name, fn) {
+            var def = definition(name);
+            if (typeof fn !== "function") {
+                throw new Error("events.on('" + name + "'): handler must be a function");
+            }
+            hook(name, def);
+
+            var sub = { name: name, fn: fn, active: true };
+            if (!handlers[name]) handlers[name] = [];
+            handlers[name].push(sub);
+
+            return {
+                name: name,
+                unsubscribe: function() {
+                    if (!sub.active) return false;
+                    sub.active = false;
+                    handlers[name] = handlers[name].filter(function(s) { return s !== sub; });
+                    return true;
+                },
+                isActive: function() { return sub.active; }
+            };
+        },
+
+        // Like on(), but unsubscribes after the first call.
+        once: function(name, fn) {
+            var handle = bus.on(name, function() {
+                handle.unsubscribe();
+                return fn.apply(null, arguments);
+            });
+            return handle;
+        },
+
+        names: function() {
+            return Object.keys(DEFINITIONS).sort();
+        },
+
+        isCancellable: function(name) {
+            return definition(name).result !== undefined;
+        }
+    };
+
+    return bus;
+})();
+
+module.exports = {
+    events: events
+};
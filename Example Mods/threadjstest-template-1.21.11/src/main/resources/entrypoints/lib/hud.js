@@ -0,0 +1,307 @@
+// ── HUD ────────────────────────────────────────────────────────────────────
+//
+// A sidebar and boss bars for each player, redrawn every hud.updateTicks
+// ticks from providers that return what the player should see:
+//
+//   Hud.sidebar(function(player) {
+//       return { title: "<gold>My Server", lines: ["Online: {server.online}", "Balance: {eco.balance}"] };
+//   });
+//   Hud.bossBar("quest", function(player) {
+//       return { text: "{quest.name}", progress: 0.4, color: "yellow", style: "notched_10" };
+//   });
+//
+// Return null to hide the sidebar or bar for that player. Strings are markup
+// with placeholders for the player (see Placeholders); Text objects are shown
+// as they are. The sidebar shows at most 15 lines. Boss bar colors are pink,
+// blue, red, green, yellow, purple and white; styles are progress, notched_6,
+// notched_10, notched_12 and notched_20.
+//
+// The sidebar is sent with packets to each player rather than set on the
+// server scoreboard, so everyone sees their own lines. Only lines, titles and
+// bar values that changed are sent, so nothing flickers. /js hud on|off hides
+// everything for one player (kept in the "hud" world store), and a player's
+// HUD is dropped when they leave.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var Text = Java.type("net.minecraft.text.Text");
+var Scoreboard = Java.type("net.minecraft.scoreboard.Scoreboard");
+var ScoreboardObjective = Java.type("net.minecraft.scoreboard.ScoreboardObjective");
+var ScoreboardCriterion = Java.type("net.minecraft.scoreboard.ScoreboardCriterion");
+var ScoreboardDisplaySlot = Java.type("net.minecraft.scoreboard.ScoreboardDisplaySlot");
+var BlankNumberFormat = Java.type("net.minecraft.scoreboard.number.BlankNumberFormat");
+var ScoreboardObjectiveUpdateS2CPacket = Java.type("net.minecraft.network.packet.s2c.play.ScoreboardObjectiveUpdateS2CPacket");
+var ScoreboardDisplayS2CPacket = Java.type("net.minecraft.network.packet.s2c.play.ScoreboardDisplayS2CPacket");
+var ScoreboardScoreUpdateS2CPacket = Java.type("net.minecraft.network.packet.s2c.play.ScoreboardScoreUpdateS2CPacket");
+var ScoreboardScoreResetS2CPacket = Java.type("net.minecraft.network.packet.s2c.play.ScoreboardScoreResetS2CPacket");
+var BossBar = Java.type("net.minecraft.entity.boss.BossBar");
+var ServerBossBar = Java.type("net.minecraft.entity.boss.ServerBossBar");
+var Optional = Java.type("java.util.Optional");
+var Math = Java.type("java.lang.Math");
+
+var Storage = require("../storage").Storage;
+var Hub = require("./live").Hub;
+var MarkupError = require("./markup").MarkupError;
+var Config = require("./config").Config;
+var Placeholders = require("./placeholders").Placeholders;
+
+var Hud = (function() {
+    var OBJECTIVE = "threadjstest_hud";
+    var MAX_LINES = 15;
+    var BAR_COLORS = ["pink", "blue", "red", "green", "yellow", "purple", "white"];
+    var BAR_STYLES = ["progress", "notched_6", "notched_10", "notched_12", "notched_20"];
+    var choices = Storage.open("hud");     // uuid -> false when the player turned the HUD off
+    var scoreboard = new Scoreboard();      // only to build the objective packets
+    var sidebarProvider = null;
+    var barProviders = [];                  // [{ id, provide }] in registration order
+    var views = {};                         // uuid -> { player, sidebar: { title, lines } | null, bars: { id -> ServerBossBar } }
+    var problems = {};                      // element -> last error logged, so it isn't logged every tick
+
+    function uuidOf(player) {
+        return player.getUuid().toString();
+    }
+
+    function send(player, packet) {
+        player.networkHandler.sendPacket(packet);
+    }
+
+    function report(element, message) {
+        if (problems[element] !== message) LOGGER.warn("HUD {}: {}", element, message);
+        problems[element] = message;
+    }
+
+    // A markup string or Text as a Text; bad markup is shown as written.
+    function toText(value, player, element) {
+        if (typeof value !== "string") return value;
+        try {
+            return Placeholders.text(value, { player: player });
+        } catch (e) {
+            if (!(e instanceof MarkupError)) throw e;
+            report(element, e.message);
+            return Text.literal(value);
+        }
+    }
+
+    // Calls a provider; a provider that throws hides its element.
+    function provide(element, provider, player) {
+        try {
+            return provider(player);
+        } catch (e) {
+            report(element, String(e.message || e));
+            return null;
+        }
+    }
+
+    function objective(title) {
+        return new ScoreboardObjective(scoreboard, OBJECTIVE, ScoreboardCriterion.DUMMY, title,
+            ScoreboardCriterion.RenderType.INTEGER, false, BlankNumberFormat.INSTANCE);
+    }
+
+    // Lines are ranked by score, highest first, so line i of n gets n - i.
+    function sendLine(player, index, count, text) {
+        send(player, new ScoreboardScoreUpdateS2CPacket("line" + index, OBJECTIVE, count - index,
+            Optional.of(text), Optional.empty()));
+    }
+
+    function hideSidebar(view) {
+        if (view.sidebar === null) return;
+        view.sidebar = null;
+        send(view.player, new ScoreboardObjectiveUpdateS2CPacket(objective(Text.empty()), ScoreboardObjectiveUpdateS2CPacket.REMOVE_MODE));
+
+        // Bring back the server's own sidebar, if it has one.
+        var shared = Hub.server === null ? null : Hub.server.getScoreboard().getObjectiveForSlot(ScoreboardDisplaySlot.SIDEBAR);
+        if (shared !== null) send(view.player, new ScoreboardDisplayS2CPacket(ScoreboardDisplaySlot.SIDEBAR, shared));
+    }
+
+    function drawSidebar(view, content) {
+        if (content === null) {
+            hideSidebar(view);
+            return;
+        }
+        var player = view.player;
+        var title = toText(content.title || "", player, "sidebar title");
+        var lines = (content.lines || []).slice(0, MAX_LINES).map(function(line, i) {
+            return toText(line, player, "sidebar line " + (i + 1));
+        });
+
+        var old = view.sidebar;
+        if (old === null) {
+            send(player, new ScoreboardObjectiveUpdateS2CPacket(objective(title), ScoreboardObjectiveUpdateS2CPacket.ADD_MODE));
+            send(player, new ScoreboardDisplayS2CPacket(ScoreboardDisplaySlot.SIDEBAR, objective(title)));
+        } else if (!old.title.equals(title)) {
+            send(player, new ScoreboardObjectiveUpdateS2CPacket(objective(title), ScoreboardObjectiveUpdateS2CPacket.UPDATE_MODE));
+        }
+
+        // A different number of lines changes every score, so resend them all.
+        var resendAll = old === null || old.lines.length !== lines.length;
+        if (old !== null) {
+            for (var i = lines.length; i < old.lines.length; i++) {
+                send(player, new ScoreboardScoreResetS2CPacket("line" + i, OBJECTIVE));
+            }
+        }
+        lines.forEach(function(line, i) {
+            if (resendAll || !old.lines[i].equals(line)) sendLine(player, i, lines.length, line);
+        });
+        view.sidebar = { title: title, lines: lines };
+    }
+
+    function drawBar(view, id, content) {
+        var bar = view.bars[id];
+        if (content === null) {
+            if (bar !== undefined) {
+                bar.clearPlayers();
+                delete view.bars[id];
+            }
+            return;
+        }
+
+        var color = content.color || "white";
+        var style = content.style || "progress";
+        if (BAR_COLORS.indexOf(color) < 0) throw new Error("unknown color '" + color + "' (" + BAR_COLORS.join(", ") + ")");
+        if (BAR_STYLES.indexOf(style) < 0) throw new Error("unknown style '" + style + "' (" + BAR_STYLES.join(", ") + ")");
+        var text = toText(content.text || "", view.player, "boss bar " + id);
+        var progress = Math.max(0, Math.min(1, Number(content.progress === undefined ? 1 : content.progress)));
+
+        if (bar === undefined) {
+            bar = new ServerBossBar(text, BossBar.Color.valueOf(color.toUpperCase()), BossBar.Style.valueOf(style.toUpperCase()));
+            bar.setPercent(progress);
+            bar.addPlayer(view.player);
+            view.bars[id] = bar;
+            return;
+        }
+        // ServerBossBar only sends the values that changed.
+        bar.setName(text);
+        bar.setPercent(progress);
+        bar.setColor(BossBar.Color.valueOf(color.toUpperCase()));
+        bar.setStyle(BossBar.Style.valueOf(style.toUpperCase()));
+    }
+
+    function hide(view) {
+        hideSidebar(view);
+        Object.keys(view.bars).forEach(function(id) {
+            view.bars[id].clearPlayers();
+        });
+        view.bars = {};
+    }
+
+    function draw(player) {
+        var uuid = uuidOf(player);
+        var view = views[uuid];
+        if (view === undefined) {
+            view = views[uuid] = { player: player, sidebar: null, bars: {} };
+        } else if (view.player !== player) {
+            // Respawning makes a new player entity; move the bars over to it.
+            Object.keys(view.bars).forEach(function(id) {
+                view.bars[id].clearPlayers();
+                view.bars[id].addPlayer(player);
+            });
+            view.player = player;
+        }
+
+        drawSidebar(view, sidebarProvider === null ? null : provide("sidebar", sidebarProvider, player));
+        barProviders.forEach(function(entry) {
+            var element = "boss bar " + entry.id;
+            try {
+                drawBar(view, entry.id, provide(element, entry.provide, player));
+            } catch (e) {
+                report(element, String(e.message || e));
+                drawBar(view, entry.id, null);
+            }
+        });
+    }
+
+    var api = {
+        // provider(player) -> { title, lines } or null. Replaces the
+        // previous sidebar provider.
+        sidebar: function(provider) {
+            sidebarProvider = provider;
+        },
+
+        // provider(player) -> { text, progress (0-1), color, style } or null.
+        bossBar: function(id, provider) {
+            barProviders = barProviders.filter(function(entry) { return entry.id !== id; });
+            barProviders.push({ id: id, provide: provider });
+        },
+
+        isEnabled: function(player) {
+            var choice = choices.get(uuidOf(player));
+            return choice === null ? Config.get("hud.defaultOn") : choice;
+        },
+
+        setEnabled: function(player, enabled) {
+            choices.set(uuidOf(player), enabled);
+            if (enabled) draw(player);
+            else api.forget(player);
+        },
+
+        // Redraws every online player's HUD; run by the hud.updateTicks timer.
+        update: function(server) {
+            var players = server.getPlayerManager().getPlayerList();
+            for (var i = 0; i < players.size(); i++) {
+                var player = players.get(i);
+                if (api.isEnabled(player)) draw(player);
+                else api.forget(player);
+            }
+        },
+
+        // Hides a player's HUD and forgets it.
+        forget: function(player) {
+            var uuid = uuidOf(player);
+            if (views[uuid] === undefined) return;
+            hide(views[uuid]);
+            delete views[uuid];
+        },
+
+        // Hides every HUD, e.g. before a hot reload replaces this script.
+        clearAll: function() {
+            Object.keys(views).forEach(function(uuid) {
+                hide(views[uuid]);
+            });
+            views = {};
+        }
+    };
+
+    return api;
+})();
+
+Config.define("hud.updateTicks", {
+    type: "int", default: 20, min: 1,
+    description: "Ticks between HUD redraws (20 = once a second)"
+});
+
+Config.define("hud.defaultOn", {
+    type: "bool", default: true,
+    description: "Whether players who never used /js hud see the HUD"
+});
+
+Config.define("hud.sidebar.title", {
+    type: "string", default: "<gold><bold>ThreadJS",
+    description: "Sidebar title, markup with placeholders"
+});
+
+Config.define("hud.sidebar.lines", {
+    type: "strings", min: 0, max: 15,
+    default: [
+        "<gray>Online: <white>{server.online}/{server.max}",
+        "<gray>Position: <white>{player.x} {player.y} {player.z}",
+        "<gray>Balance: <yellow>{eco.balance}",
+        "<gray>Quest: <aqua>{quest.name} <white>{quest.progress}"
+    ],
+    description: "Sidebar lines, markup with placeholders (an empty list hides the sidebar)"
+});
+
+Config.define("hud.questBar", {
+    type: "bool", default: true,
+    description: "Show a boss bar with the progress of the first active quest"
+});
+
+// ── HUD shown by this script ──
+
+Hud.sidebar(function(player) {
+    var lines = Config.get("hud.sidebar.lines");
+    return lines.length === 0 ? null : { title: Config.get("hud.sidebar.title"), lines: lines };
+});
+
+module.exports = {
+    Hud: Hud
+};
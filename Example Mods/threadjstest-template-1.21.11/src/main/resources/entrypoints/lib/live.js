@@ -0,0 +1,37 @@
+// ── LIVE LISTENERS ─────────────────────────────────────────────────────────
+//
+// Fabric events can't be unregistered, so every listener and command this
+// script registers is wrapped in live(): it only runs while the evaluation of
+// main.js that registered it is the active one (see lib/reload.js).
+
+// Shared by every evaluation of this script in the same JS context.
+var Hub = globalThis.__threadjstest || (globalThis.__threadjstest = {
+    counter: 0,         // last generation handed out
+    active: 0,          // generation whose listeners may run (0 = none)
+    server: null,       // running server, set between STARTING and STOPPING
+    commands: []        // root command names registered by the active generation
+});
+var GENERATION = ++Hub.counter;
+
+// Wraps a listener so it becomes a no-op once this script is reloaded.
+// Callbacks that must return something pass the neutral value to return then.
+function live(fn, inactiveResult) {
+    return function() {
+        if (Hub.active !== GENERATION) return inactiveResult;
+        return fn.apply(this, arguments);
+    };
+}
+
+// dispatcher.register() that remembers the root name for reload teardown.
+function registerRootCommand(dispatcher, builder) {
+    var node = dispatcher.register(builder);
+    if (Hub.commands.indexOf(node.getName()) < 0) Hub.commands.push(node.getName());
+    return node;
+}
+
+module.exports = {
+    Hub: Hub,
+    GENERATION: GENERATION,
+    live: live,
+    registerRootCommand: registerRootCommand
+};
@@ -0,0 +1,509 @@
+// ── NAME REMAPPING ─────────────────────────────────────────────────────────
+//
+// Scripts are written with Yarn names (ServerWorld, player.getMainHandStack()),
+// which is what Minecraft uses in a dev environment. A production jar runs on
+// intermediary names (net.minecraft.class_3218, method_6047) instead, so
+// main.js and client.js call Mappings.install() before looking up any
+// Minecraft class. When the runtime namespace isn't Yarn, it replaces
+// Java.type() and Java.extend():
+//
+//   - Java.type("net.minecraft.server.world.ServerWorld") looks the class up
+//     in the Yarn mappings the build puts in the jar (mappings/yarn.tiny)
+//   - classes and objects reached from there are wrapped, so fields, methods
+//     and nested classes can be used by their Yarn names too
+//   - override names passed to Java.extend() are remapped the same way
+//
+// Mojang names work the same way if a tiny v2 file with named and
+// intermediary columns is placed at mappings/mojang.tiny; it is not shipped,
+// since Mojang's mappings may not be redistributed. With that file, remapping
+// is installed in dev as well.
+//
+// Names that exist at runtime are used as they are, so Fabric API and Java
+// classes cost one extra check. A class found in neither place fails with
+// the namespaces searched and similarly named classes. In dev, without a
+// Mojang file, install() does nothing.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var FabricLoader = Java.type("net.fabricmc.loader.api.FabricLoader");
+var System = Java.type("java.lang.System");
+var Files = Java.type("java.nio.file.Files");
+
+var Mappings = (function() {
+    var FILES = [
+        { id: "mappings/yarn.tiny", label: "Yarn" },
+        { id: "mappings/mojang.tiny", label: "Mojang" }
+    ];
+
+    // Kept across hot reloads: the original Java functions, and the parsed
+    // files, which take a moment to read.
+    var shared = globalThis.__threadjstestMappings || (globalThis.__threadjstestMappings = {
+        host: { type: Java.type, extend: Java.extend },
+        tables: null
+    });
+    var host = shared.host;
+
+    var resolver = null;
+    var active = false;
+
+    // ── Tiny v2 files ──
+
+    function emptyMap() {
+        return Object.create(null);
+    }
+
+    // net/minecraft/class_1 -> net.minecraft.class_1 (nested classes keep $)
+    function dotted(name) {
+        return name.replace(/\//g, ".");
+    }
+
+    // Indexes a tiny v2 file by the names scripts use (its "named" column):
+    //   classes:  named class -> intermediary class
+    //   named:    intermediary class -> named class
+    //   members:  intermediary class -> { methods: name -> [{ name, desc }],
+    //                                     fields: name -> { name, desc } }
+    // Descriptors stay in the file's first namespace; see descriptor().
+    function parse(text, label) {
+        var lines = String(text).split("\n");
+        var header = lines[0].replace(/\r$/, "").split("\t");
+        if (header[0] !== "tiny" || header[1] !== "2") {
+            throw new Error(label + " mappings are not a tiny v2 file");
+        }
+        var namespaces = header.slice(3);
+        var from = namespaces.indexOf("named");
+        var to = namespaces.indexOf("intermediary");
+        if (from < 0 || to < 0) {
+            throw new Error(label + " mappings need named and intermediary columns, found " + namespaces.join(", "));
+        }
+
+        var table = { label: label, classes: emptyMap(), named: emptyMap(), members: emptyMap(), firstToIntermediary: emptyMap() };
+        var current = null;
+        for (var i = 1; i < lines.length; i++) {
+            var cols = lines[i].replace(/\r$/, "").split("\t");
+            if (cols[0] === "c") {
+                var intermediary = cols[1 + to];
+                var named = cols[1 + from] || intermediary;
+                table.firstToIntermediary[cols[1]] = intermediary;
+                table.classes[dotted(named)] = dotted(intermediary);
+                table.named[dotted(intermediary)] = dotted(named);
+                current = table.members[dotted(intermediary)] = { methods: emptyMap(), fields: emptyMap() };
+            } else if (cols[0] === "" && current !== null && (cols[1] === "m" || cols[1] === "f")) {
+                var name = cols[3 + from];
+                var member = { name: cols[3 + to], desc: cols[2] };
+                if (!name || !member.name || name === member.name) continue;
+                if (cols[1] === "f") {
+                    current.fields[name] = member;
+                } else {
+                    if (!current.methods[name]) current.methods[name] = [];
+                    current.methods[name].push(member);
+                }
+            }
+        }
+        return table;
+    }
+
+    // A member descriptor in intermediary names, as MappingResolver wants it.
+    function descriptor(table, desc) {
+        return desc.replace(/L([^;]+);/g, function(all, name) {
+            var intermediary = table.firstToIntermediary[name];
+            return "L" + (intermediary === undefined ? name : intermediary) + ";";
+        });
+    }
+
+    // "(ILnet/minecraft/class_1;[J)V" -> 3
+    function parameterCount(desc) {
+        var count = 0;
+        var i = 1;
+        while (i < desc.length && desc.charAt(i) !== ")") {
+            while (desc.charAt(i) === "[") i++;
+            if (desc.charAt(i) === "L") i = desc.indexOf(";", i);
+            i++;
+            count++;
+        }
+        return count;
+    }
+
+    function available(id) {
+        var path = require.resources.path(id);
+        return path !== null && Files.exists(path);
+    }
+
+    function tables() {
+        if (shared.tables !== null) return shared.tables;
+        var started = System.currentTimeMillis();
+        shared.tables = [];
+        FILES.forEach(function(file) {
+            var text = require.resources.read(file.id);
+            if (text === null) return;
+            var table = parse(text, file.label);
+            shared.tables.push(table);
+            LOGGER.info("Loaded {} mappings: {} classes in {} ms", file.label, Object.keys(table.classes).length,
+                System.currentTimeMillis() - started);
+        });
+        if (shared.tables.length === 0) LOGGER.warn("No mappings found, Java.type() can only use runtime names");
+        return shared.tables;
+    }
+
+    function labels() {
+        var names = tables().map(function(table) { return table.label; });
+        return names.length === 0 ? "no" : names.join(" or ");
+    }
+
+    // ── Classes ──
+
+    // The runtime name of a class given by its Yarn (or Mojang) name, or null.
+    function className(name) {
+        var list = tables();
+        for (var i = 0; i < list.length; i++) {
+            var intermediary = list[i].classes[name];
+            if (intermediary !== undefined) return String(resolver.mapClassName("intermediary", intermediary));
+        }
+        return null;
+    }
+
+    // The name scripts know a runtime class by, for nested class lookups.
+    function namedClass(runtimeName) {
+        var intermediary = String(resolver.unmapClassName("intermediary", runtimeName));
+        var list = tables();
+        for (var i = 0; i < list.length; i++) {
+            if (list[i].named[intermediary] !== undefined) return list[i].named[intermediary];
+        }
+        return null;
+    }
+
+    function simpleName(name) {
+        return name.substring(Math.max(name.lastIndexOf("."), name.lastIndexOf("$")) + 1).toLowerCase();
+    }
+
+    // Edit distance, giving up (Infinity) once it exceeds max.
+    function distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return Infinity;
+        var previous = [];
+        for (var j = 0; j <= b.length; j++) previous.push(j);
+        for (var i = 1; i <= a.length; i++) {
+            var row = [i];
+            var best = i;
+            for (var k = 1; k <= b.length; k++) {
+                row.push(Math.min(previous[k] + 1, row[k - 1] + 1, previous[k - 1] + (a.charAt(i - 1) === b.charAt(k - 1) ? 0 : 1)));
+                best = Math.min(best, row[k]);
+            }
+            if (best > max) return Infinity;
+            previous = row;
+        }
+        return previous[b.length] > max ? Infinity : previous[b.length];
+    }
+
+    // Up to three known classes with the same simple name, or a close one.
+    function similarClasses(name) {
+        var simple = simpleName(name);
+        if (simple === "") return [];
+        var matches = [];
+        tables().forEach(function(table) {
+            Object.keys(table.classes).forEach(function(known) {
+                var score = distance(simple, simpleName(known), 2);
+                if (score !== Infinity) matches.push({ name: known, score: score });
+            });
+        });
+        matches.sort(function(a, b) { return a.score - b.score; });
+        return matches.slice(0, 3).map(function(match) { return match.name; });
+    }
+
+    function unknownClass(name) {
+        var similar = similarClasses(name);
+        return new Error("Unknown class " + name + ": there is no such class in the " + resolver.getCurrentRuntimeNamespace()
+            + " namespace, nor in the " + labels() + " mappings"
+            + (similar.length > 0 ? ". Did you mean " + similar.join(", ") + "?" : ""));
+    }
+
+    // ── Members ──
+
+    var memberCache = emptyMap();   // runtime class + "#" + name -> { field, methods }
+
+    // The runtime names a Yarn member name stands for on cls (a
+    // java.lang.Class) or its supertypes: { field, methods: [{ name, params }] }.
+    function members(cls, name) {
+        var key = cls.getName() + "#" + name;
+        if (memberCache[key] !== undefined) return memberCache[key];
+
+        var found = { field: null, methods: [] };
+        var seen = emptyMap();
+        var queue = [cls];
+        while (queue.length > 0) {
+            var type = queue.shift();
+            if (type === null || type === undefined) continue;
+            var runtimeName = String(type.getName());
+            if (seen[runtimeName]) continue;
+            seen[runtimeName] = true;
+
+            var owner = String(resolver.unmapClassName("intermediary", runtimeName));
+            tables().forEach(function(table) {
+                var mapped = table.members[owner];
+                if (mapped === undefined) return;
+                var field = mapped.fields[name];
+                if (field !== undefined && found.field === null) {
+                    found.field = String(resolver.mapFieldName("intermediary", owner, field.name, descriptor(table, field.desc)));
+                }
+                (mapped.methods[name] || []).forEach(function(method) {
+                    var desc = descriptor(table, method.desc);
+                    var runtime = String(resolver.mapMethodName("intermediary", owner, method.name, desc));
+                    var params = parameterCount(desc);
+                    var duplicate = found.methods.some(function(m) { return m.name === runtime && m.params === params; });
+                    if (!duplicate) found.methods.push({ name: runtime, params: params });
+                });
+            });
+
+            queue.push(type.getSuperclass());
+            var interfaces = type.getInterfaces();
+            for (var i = 0; i < interfaces.length; i++) queue.push(interfaces[i]);
+        }
+        memberCache[key] = found;
+        return found;
+    }
+
+    // Whether cls or a supertype declares a method with this runtime name.
+    function declaresMethod(cls, name) {
+        for (var type = cls; type !== null; type = type.getSuperclass()) {
+            var methods = type.getDeclaredMethods();
+            for (var i = 0; i < methods.length; i++) {
+                if (methods[i].getName() === name) return true;
+            }
+            var interfaces = type.getInterfaces();
+            for (var j = 0; j < interfaces.length; j++) {
+                if (declaresMethod(interfaces[j], name)) return true;
+            }
+        }
+        return false;
+    }
+
+    // ── Wrapping ──
+
+    var proxies = new WeakMap();    // Java object -> its proxy, so === keeps working
+    var targets = new WeakMap();    // proxy -> Java object
+
+    function isJava(value) {
+        return value !== null && value !== undefined && (Java.isJavaObject(value) || Java.isType(value));
+    }
+
+    // handler is only given for classes made by Java.extend().
+    function wrap(value, handler) {
+        if (!active || !isJava(value) || Java.isJavaFunction(value)) return value;
+        var proxy;
+        try {
+            proxy = proxies.get(value);
+        } catch (e) {
+            proxy = undefined;
+        }
+        if (proxy !== undefined) return proxy;
+
+        proxy = new Proxy(value, handler || (Java.isType(value) ? classHandler : objectHandler));
+        targets.set(proxy, value);
+        try {
+            proxies.set(value, proxy);
+        } catch (e) {
+            // Not every Java object can be a WeakMap key; such proxies just aren't shared.
+        }
+        return proxy;
+    }
+
+    // What to hand to Java: the wrapped object itself, and JS functions
+    // wrapped so Java's arguments reach them remapped too.
+    function unwrap(value) {
+        if (value === null || (typeof value !== "object" && typeof value !== "function")) return value;
+        var target = targets.get(value);
+        if (target !== undefined) return target;
+        if (typeof value === "function") return callback(value);
+        if (Array.isArray(value)) return value.map(unwrap);
+        return value;
+    }
+
+    function callback(fn) {
+        return function() {
+            return unwrap(fn.apply(wrap(this), Array.prototype.map.call(arguments, wrap)));
+        };
+    }
+
+    // Calls the first of the runtime methods that takes this many arguments;
+    // overloads with the same count are tried in order.
+    function invoke(target, methods, args) {
+        var candidates = methods.filter(function(m) { return m.params === args.length; });
+        if (candidates.length === 0) candidates = methods;
+        var failure = null;
+        for (var i = 0; i < candidates.length; i++) {
+            if (!(candidates[i].name in target)) continue;
+            try {
+                return wrap(Reflect.apply(target[candidates[i].name], target, args));
+            } catch (e) {
+                if (!(e instanceof TypeError) || candidates.length === 1) throw e;
+                failure = e;
+            }
+        }
+        throw failure !== null ? failure : new TypeError("No runtime method for " + methods[0].name);
+    }
+
+    function method(target, name) {
+        return function() {
+            var args = Array.prototype.map.call(arguments, unwrap);
+            return wrap(Reflect.apply(target[name], target, args));
+        };
+    }
+
+    function javaClass(target, isClass) {
+        return isClass ? target.class : target.getClass();
+    }
+
+    function get(target, key, isClass) {
+        if (typeof key === "symbol") {
+            if (isClass && key === Symbol.hasInstance) {
+                return function(value) { return target.class.isInstance(unwrap(value)); };
+            }
+            return target[key];
+        }
+        if (key in target) {
+            var value = target[key];
+            return typeof value === "function" && !Java.isType(value) ? method(target, key) : wrap(value);
+        }
+
+        var found = members(javaClass(target, isClass), key);
+        if (found.methods.length > 0) {
+            return function() {
+                return invoke(target, found.methods, Array.prototype.map.call(arguments, unwrap));
+            };
+        }
+        if (found.field !== null) return wrap(target[found.field]);
+
+        if (isClass) {
+            var outer = namedClass(String(target.class.getName()));
+            var nested = outer === null ? null : className(outer + "$" + key);
+            if (nested !== null) return wrap(host.type(nested));
+        }
+        return undefined;
+    }
+
+    function set(target, key, value, isClass) {
+        if (typeof key !== "symbol" && !(key in target)) {
+            var found = members(javaClass(target, isClass), key);
+            if (found.field !== null) key = found.field;
+        }
+        target[key] = unwrap(value);
+        return true;
+    }
+
+    function has(target, key, isClass) {
+        if (key in target) return true;
+        if (typeof key === "symbol") return false;
+        var found = members(javaClass(target, isClass), key);
+        return found.field !== null || found.methods.length > 0;
+    }
+
+    var objectHandler = {
+        get: function(target, key) { return get(target, key, false); },
+        set: function(target, key, value) { return set(target, key, value, false); },
+        has: function(target, key) { return has(target, key, false); }
+    };
+
+    var classHandler = {
+        get: function(target, key) { return get(target, key, true); },
+        set: function(target, key, value) { return set(target, key, value, true); },
+        has: function(target, key) { return has(target, key, true); },
+        construct: function(target, args) {
+            return wrap(Reflect.construct(target, args.map(unwrap)));
+        }
+    };
+
+    // new Extended({ ... }) passes overrides, named like those given to
+    // Java.extend().
+    var extendedHandler = Object.create(classHandler);
+    extendedHandler.construct = function(target, args) {
+        args = args.map(unwrap);
+        if (isOverrides(args[args.length - 1])) {
+            args[args.length - 1] = remapOverrides([target.class], args[args.length - 1]);
+        }
+        return wrap(Reflect.construct(target, args));
+    };
+
+    // ── Java.type and Java.extend ──
+
+    function isOverrides(value) {
+        return value !== null && typeof value === "object" && !isJava(value) && !Array.isArray(value);
+    }
+
+    // { yarnName: fn } -> { runtimeName: fn } for the given classes.
+    function remapOverrides(classes, overrides) {
+        var remapped = {};
+        Object.keys(overrides).forEach(function(key) {
+            var fn = overrides[key];
+            var wrapped = typeof fn === "function" ? callback(fn) : fn;
+            var names = [];
+            classes.forEach(function(cls) {
+                if (declaresMethod(cls, key)) {
+                    if (names.indexOf(key) < 0) names.push(key);
+                    return;
+                }
+                members(cls, key).methods.forEach(function(m) {
+                    if (names.indexOf(m.name) < 0) names.push(m.name);
+                });
+            });
+            if (names.length === 0) {
+                throw new Error("Java.extend: " + classes.map(function(cls) {
+                    var runtimeName = String(cls.getName());
+                    return namedClass(runtimeName) || runtimeName;
+                }).join(", ")
+                    + " has no method " + key + " (runtime " + resolver.getCurrentRuntimeNamespace() + ", " + labels() + " mappings)");
+            }
+            names.forEach(function(name) {
+                remapped[name] = wrapped;
+            });
+        });
+        return remapped;
+    }
+
+    function type(name) {
+        var runtime;
+        try {
+            return wrap(host.type(name));
+        } catch (e) {
+            runtime = className(String(name));
+            if (runtime === null) throw unknownClass(String(name));
+        }
+        return wrap(host.type(runtime));
+    }
+
+    function extend() {
+        var args = Array.prototype.slice.call(arguments);
+        var overrides = isOverrides(args[args.length - 1]) ? args.pop() : null;
+        var types = args.map(unwrap);
+        if (overrides !== null) {
+            var classes = types.map(function(t) { return t.class; });
+            types.push(remapOverrides(classes, overrides));
+        }
+        return wrap(host.extend.apply(Java, types), extendedHandler);
+    }
+
+    return {
+        parse: parse,
+        parameterCount: parameterCount,
+
+        // Replaces Java.type and Java.extend when the runtime doesn't use Yarn
+        // names, or Mojang mappings are present. Returns whether it did.
+        install: function() {
+            resolver = FabricLoader.getInstance().getMappingResolver();
+            active = String(resolver.getCurrentRuntimeNamespace()) !== "named" || available("mappings/mojang.tiny");
+            Java.type = active ? type : host.type;
+            Java.extend = active ? extend : host.extend;
+            if (active) LOGGER.info("Remapping names to the {} namespace", resolver.getCurrentRuntimeNamespace());
+            return active;
+        },
+
+        isActive: function() {
+            return active;
+        },
+
+        className: className,
+        wrap: wrap,
+        unwrap: unwrap
+    };
+})();
+
+module.exports = {
+    Mappings: Mappings
+};
@@ -0,0 +1,358 @@
+// ── TEXT MARKUP ────────────────────────────────────────────────────────────
+//
+// MiniMessage-style markup that builds a Text, for chat, the action bar and
+// broadcasts:
+//
+//   Markup.parse("<gold>✦ <yellow>Welcome <bold>{name}</bold>!", { name: "Steve" })
+//   colorText("<green>Saved <gray>(3 files)")        // markup when no color is given
+//   broadcast(server, "<red>Restarting in <bold>5</bold> minutes")
+//
+// Tags stay open until their closing tag, </> (closes the latest) or the end:
+//
+//   <red>, <gold>, ...                  any chat color; also <#ff8800>, <color:gold>
+//   <bold> <italic> <underlined>        short forms <b> <i> <u> <st> <obf>;
+//   <strikethrough> <obfuscated>        <!italic> turns a decoration off
+//   <click:run_command:/js home go>     also suggest_command, open_url, copy_to_clipboard
+//   <hover:show_text:'<red>Careful'>    the hover text is markup as well
+//   <gradient:#ff0000:gold:#0000ff>     fades each character through the colors
+//   <newline> or <br>, and <reset>      which closes everything
+//
+// Arguments are separated by ':' and can be quoted with ' or " to contain ':'
+// or '>'. A '<' that doesn't start a tag ("a < b", "<3") is plain text, and \<
+// or \{ always are. {key} becomes placeholders[key] as plain text, so values
+// like player names can't inject tags; unknown keys are left as written.
+// placeholders can also be a function(key) that returns the text or
+// undefined, as Placeholders.lookup() does; then unknown keys are errors.
+//
+// Mistakes throw a MarkupError that says what is wrong and where, e.g.
+// "Unknown tag <gloden> at column 7". Use Markup.escape() on text that must
+// appear as written.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var ClickEvent = Java.type("net.minecraft.text.ClickEvent");
+var HoverEvent = Java.type("net.minecraft.text.HoverEvent");
+var Style = Java.type("net.minecraft.text.Style");
+var TextColor = Java.type("net.minecraft.text.TextColor");
+var Math = Java.type("java.lang.Math");
+var URI = Java.type("java.net.URI");
+
+function MarkupError(message) {
+    this.name = "MarkupError";
+    this.message = message;
+}
+MarkupError.prototype = Object.create(Error.prototype);
+MarkupError.prototype.constructor = MarkupError;
+
+var Markup = (function() {
+    var DECORATIONS = {
+        bold: "bold", b: "bold",
+        italic: "italic", i: "italic", em: "italic",
+        underlined: "underlined", u: "underlined",
+        strikethrough: "strikethrough", st: "strikethrough",
+        obfuscated: "obfuscated", obf: "obfuscated"
+    };
+    var CLICK_ACTIONS = {
+        run_command: function(value) { return new ClickEvent.RunCommand(value); },
+        suggest_command: function(value) { return new ClickEvent.SuggestCommand(value); },
+        copy_to_clipboard: function(value) { return new ClickEvent.CopyToClipboard(value); },
+        open_url: function(value) {
+            if (!/^https?:\/\/\S+$/.test(value)) throw new Error("open_url needs an http(s) link");
+            return new ClickEvent.OpenUrl(URI.create(value));
+        }
+    };
+    var HEX_PATTERN = /^#[0-9a-fA-F]{6}$/;
+    var PLACEHOLDER_PATTERN = /^[a-zA-Z0-9_.]+(:[^{}]*)?$/;
+
+    function fail(message, column) {
+        throw new MarkupError(message + " at column " + column);
+    }
+
+    // "gold" or "#ff8800" -> 0xRRGGBB, or null.
+    function rgbOf(name) {
+        if (HEX_PATTERN.test(name)) return parseInt(name.substring(1), 16);
+        var formatting = Formatting.byName(name.toLowerCase());
+        return formatting !== null && formatting.isColor() ? formatting.getColorValue() : null;
+    }
+
+    // The text for {key}, or undefined to leave it as written.
+    function lookup(placeholders, key, column) {
+        if (typeof placeholders === "function") {
+            var value;
+            try {
+                value = placeholders(key);
+            } catch (e) {
+                fail("{" + key + "}: " + (e.message || e), column);
+            }
+            if (value === undefined) fail("Unknown placeholder {" + key + "}", column);
+            return String(value);
+        }
+        if (placeholders && Object.prototype.hasOwnProperty.call(placeholders, key)) return String(placeholders[key]);
+        return undefined;
+    }
+
+    // Splits "click:run_command:'/js warp go'" on unquoted colons.
+    function splitArguments(content) {
+        var parts = [];
+        var current = "";
+        var quote = null;
+        for (var i = 0; i < content.length; i++) {
+            var ch = content.charAt(i);
+            if (quote !== null) {
+                if (ch === quote) quote = null;
+                else current += ch;
+            } else if (ch === "'" || ch === "\"") {
+                quote = ch;
+            } else if (ch === ":") {
+                parts.push(current);
+                current = "";
+            } else {
+                current += ch;
+            }
+        }
+        parts.push(current);
+        return parts;
+    }
+
+    // Turns a tag's content into { name, apply(state) } or a self-closing
+    // { name, text } / { reset }.
+    function resolveTag(content, column, placeholders) {
+        var args = splitArguments(content);
+        var name = args[0].toLowerCase();
+        var display = "<" + content + ">";
+
+        if (name === "newline" || name === "br") return { name: name, text: "\n" };
+        if (name === "reset") return { name: name, reset: true };
+
+        var rgb = rgbOf(name);
+        if (rgb !== null && args.length === 1) {
+            return { name: name, apply: function(state) { state.color = rgb; } };
+        }
+        if (name === "color" || name === "colour" || name === "c") {
+            rgb = args.length === 2 ? rgbOf(args[1]) : null;
+            if (rgb === null) fail(display + " needs one color name or #rrggbb", column);
+            return { name: "color", apply: function(state) { state.color = rgb; } };
+        }
+
+        var negated = name.charAt(0) === "!";
+        var decoration = DECORATIONS[negated ? name.substring(1) : name];
+        if (decoration !== undefined && args.length === 1) {
+            return { name: decoration, apply: function(state) { state[decoration] = !negated; } };
+        }
+
+        if (name === "click") {
+            var action = CLICK_ACTIONS[(args[1] || "").toLowerCase()];
+            if (action === undefined || args.length < 3) {
+                fail(display + " needs an action (" + Object.keys(CLICK_ACTIONS).join(", ") + ") and a value", column);
+            }
+            var event;
+            try {
+                event = action(args.slice(2).join(":"));
+            } catch (e) {
+                fail(display + ": " + (e.message || e), column);
+            }
+            return { name: name, apply: function(state) { state.click = event; } };
+        }
+
+        if (name === "hover") {
+            if ((args[1] || "").toLowerCase() !== "show_text" || args.length < 3) fail(display + " needs show_text and the text", column);
+            var hover;
+            try {
+                hover = api.parse(args.slice(2).join(":"), placeholders);
+            } catch (e) {
+                if (!(e instanceof MarkupError)) throw e;
+                fail("In the hover text of " + display + " (" + e.message + ")", column);
+            }
+            return { name: name, apply: function(state) { state.hover = new HoverEvent.ShowText(hover); } };
+        }
+
+        if (name === "gradient") {
+            var stops = args.slice(1).map(rgbOf);
+            if (stops.length < 2 || stops.indexOf(null) >= 0) fail(display + " needs two or more colors", column);
+            return {
+                name: name,
+                gradient: true,
+                apply: function(state, length) { state.color = { stops: stops, length: length, position: 0 }; }
+            };
+        }
+
+        fail("Unknown tag " + display, column);
+    }
+
+    // Flat list of { text } / { open: tag } / { close: name } tokens.
+    function tokenize(source, placeholders) {
+        var tokens = [];
+        var text = "";
+        function flush() {
+            if (text !== "") tokens.push({ text: text });
+            text = "";
+        }
+
+        for (var i = 0; i < source.length; i++) {
+            var ch = source.charAt(i);
+            var next = source.charAt(i + 1);
+            if (ch === "\\" && (next === "<" || next === "{" || next === "\\")) {
+                text += next;
+                i++;
+            } else if (ch === "{") {
+                var end = source.indexOf("}", i);
+                var key = end < 0 ? "" : source.substring(i + 1, end);
+                var value = PLACEHOLDER_PATTERN.test(key) ? lookup(placeholders, key, i + 1) : undefined;
+                if (value !== undefined) {
+                    text += value;
+                    i = end;
+                } else {
+                    text += ch;
+                }
+            } else if (ch === "<" && /[a-zA-Z#!\/]/.test(next)) {
+                var quote = null;
+                var j = i + 1;
+                for (; j < source.length; j++) {
+                    var c = source.charAt(j);
+                    if (quote !== null) {
+                        if (c === quote) quote = null;
+                    } else if (c === "'" || c === "\"") {
+                        quote = c;
+                    } else if (c === ">") {
+                        break;
+                    }
+                }
+                if (j >= source.length) fail("Unclosed " + (quote !== null ? "quote in tag" : "tag"), i + 1);
+
+                var content = source.substring(i + 1, j);
+                flush();
+                if (content.charAt(0) === "/") {
+                    tokens.push({ close: content.substring(1).toLowerCase(), column: i + 1 });
+                } else {
+                    var tag = resolveTag(content, i + 1, placeholders);
+                    if (tag.text !== undefined) tokens.push({ text: tag.text });
+                    else tokens.push({ open: tag, column: i + 1 });
+                }
+                i = j;
+            } else {
+                text += ch;
+            }
+        }
+        flush();
+        return tokens;
+    }
+
+    // Nests the tokens: { tag, children } nodes under a root, text as strings.
+    function buildTree(tokens) {
+        var root = { tag: null, children: [] };
+        var stack = [root];
+        tokens.forEach(function(token) {
+            var top = stack[stack.length - 1];
+            if (token.text !== undefined) {
+                top.children.push(token.text);
+            } else if (token.open !== undefined) {
+                if (token.open.reset) {
+                    stack.length = 1;
+                    return;
+                }
+                var node = { tag: token.open, children: [] };
+                top.children.push(node);
+                stack.push(node);
+            } else {
+                var depth = stack.length - 1;
+                if (token.close !== "") {
+                    var wanted = DECORATIONS[token.close] || token.close;
+                    while (depth > 0 && stack[depth].tag.name !== wanted) depth--;
+                }
+                if (depth === 0) fail("</" + token.close + "> closes nothing", token.column);
+                stack.length = depth;
+            }
+        });
+        return root;
+    }
+
+    // Characters a gradient colors: nested colors and gradients keep theirs.
+    function gradientLength(node) {
+        var length = 0;
+        node.children.forEach(function(child) {
+            if (typeof child === "string") length += Array.from(child).length;
+            else if (!child.tag.gradient && child.tag.name !== "color" && rgbOf(child.tag.name) === null) length += gradientLength(child);
+        });
+        return length;
+    }
+
+    function gradientAt(gradient) {
+        var t = gradient.length <= 1 ? 0 : gradient.position / (gradient.length - 1);
+        var scaled = t * (gradient.stops.length - 1);
+        var index = Math.min(Math.floor(scaled), gradient.stops.length - 2);
+        var local = scaled - index;
+        var from = gradient.stops[index];
+        var to = gradient.stops[index + 1];
+        var rgb = 0;
+        for (var shift = 16; shift >= 0; shift -= 8) {
+            var a = (from >> shift) & 255;
+            var b = (to >> shift) & 255;
+            rgb |= Math.round(a + (b - a) * local) << shift;
+        }
+        gradient.position++;
+        return rgb;
+    }
+
+    function styleOf(state, rgb) {
+        var style = Style.EMPTY;
+        if (rgb !== null) style = style.withColor(TextColor.fromRgb(rgb));
+        if (state.bold !== undefined) style = style.withBold(state.bold);
+        if (state.italic !== undefined) style = style.withItalic(state.italic);
+        if (state.underlined !== undefined) style = style.withUnderline(state.underlined);
+        if (state.strikethrough !== undefined) style = style.withStrikethrough(state.strikethrough);
+        if (state.obfuscated !== undefined) style = style.withObfuscated(state.obfuscated);
+        if (state.click !== undefined) style = style.withClickEvent(state.click);
+        if (state.hover !== undefined) style = style.withHoverEvent(state.hover);
+        return style;
+    }
+
+    function render(node, state, out) {
+        node.children.forEach(function(child) {
+            if (typeof child === "string") {
+                if (state.color !== null && typeof state.color === "object") {
+                    Array.from(child).forEach(function(ch) {
+                        out.append(Text.literal(ch).setStyle(styleOf(state, gradientAt(state.color))));
+                    });
+                } else {
+                    out.append(Text.literal(child).setStyle(styleOf(state, state.color)));
+                }
+                return;
+            }
+            var inner = Object.create(state);
+            child.tag.apply(inner, child.tag.gradient ? gradientLength(child) : 0);
+            render(child, inner, out);
+        });
+    }
+
+    var api = {
+        // Returns a MutableText; throws MarkupError on bad markup.
+        parse: function(source, placeholders) {
+            var out = Text.empty();
+            render(buildTree(tokenize(String(source), placeholders)), { color: null }, out);
+            return out;
+        },
+
+        // Error message for bad markup, or null when it parses.
+        check: function(source) {
+            try {
+                api.parse(source, null);
+                return null;
+            } catch (e) {
+                if (e instanceof MarkupError) return e.message;
+                throw e;
+            }
+        },
+
+        // Makes text show up exactly as written inside markup.
+        escape: function(text) {
+            return String(text).replace(/[\\<{]/g, function(ch) { return "\\" + ch; });
+        }
+    };
+
+    return api;
+})();
+
+module.exports = {
+    MarkupError: MarkupError,
+    Markup: Markup
+};
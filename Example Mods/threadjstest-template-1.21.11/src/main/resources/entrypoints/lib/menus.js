@@ -0,0 +1,261 @@
+// ── MENUS ──────────────────────────────────────────────────────────────────
+//
+// Chest screens used as menus. They are plain 9x1 to 9x6 containers, so they
+// work on a vanilla client. Items are icons, clicks run handlers, and
+// nothing can be taken out:
+//
+//   Menus.open(player, {
+//       title: "<dark_aqua>Warps",                  // markup with placeholders, or a Text
+//       rows: 3,                                    // 1-6
+//       slots: {
+//           13: {
+//               icon: Menus.icon("minecraft:ender_pearl", "<aqua>Spawn", ["<gray>Click to go"]),
+//               click: function(click) { ... }      // { player, slot, button: "left"|"right", shift }
+//           }
+//       }
+//   });
+//
+//   Menus.paged(player, { title, rows, entries, render: function(entry, index) { return { icon, click }; } });
+//   Menus.confirm(player, "Remove warp spawn?", function(click) { ... }, onCancel);
+//   Menus.close(player);
+//
+// Click handlers run on the next tick, after the click itself is handled, so
+// they may open another menu or close this one. Opening a menu with the same
+// title and size as the one on screen swaps its contents in place, which is
+// how pages turn without the cursor jumping back to the middle.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var Style = Java.type("net.minecraft.text.Style");
+var Identifier = Java.type("net.minecraft.util.Identifier");
+var ItemStack = Java.type("net.minecraft.item.ItemStack");
+var DataComponentTypes = Java.type("net.minecraft.component.DataComponentTypes");
+var LoreComponent = Java.type("net.minecraft.component.type.LoreComponent");
+var Registries = Java.type("net.minecraft.registry.Registries");
+var SimpleInventory = Java.type("net.minecraft.inventory.SimpleInventory");
+var GenericContainerScreenHandler = Java.type("net.minecraft.screen.GenericContainerScreenHandler");
+var ScreenHandlerType = Java.type("net.minecraft.screen.ScreenHandlerType");
+var SimpleNamedScreenHandlerFactory = Java.type("net.minecraft.screen.SimpleNamedScreenHandlerFactory");
+var SlotActionType = Java.type("net.minecraft.screen.slot.SlotActionType");
+var ArrayList = Java.type("java.util.ArrayList");
+var Math = Java.type("java.lang.Math");
+
+var Scheduler = require("./scheduler").Scheduler;
+var live = require("./live").live;
+var Markup = require("./markup").Markup;
+var Placeholders = require("./placeholders").Placeholders;
+var colorText = require("../helpers/text").colorText;
+
+// The screen handler behind every menu. Clicks, shift-clicks, drags and
+// number keys change nothing: they go to Menus.click(), and the server
+// resyncs whatever the client predicted.
+var MenuScreenHandler = Java.extend(GenericContainerScreenHandler, {
+    onSlotClick: live(function(slotIndex, button, actionType, player) {
+        Menus.click(player, slotIndex, button, actionType);
+    }),
+    quickMove: function(player, slot) {
+        return ItemStack.EMPTY;
+    }
+});
+
+var Menus = (function() {
+    var screens = {};       // uuid -> { player, menu, inventory, handler } for the menu last opened
+
+    function uuidOf(player) {
+        return player.getUuid().toString();
+    }
+
+    // Names and lore are shown without the italics custom names get.
+    function upright(text, color) {
+        var style = Style.EMPTY.withItalic(false);
+        if (color !== undefined) style = style.withColor(color);
+        return Text.empty().setStyle(style).append(text);
+    }
+
+    function isShowing(entry) {
+        return entry !== undefined && entry.handler !== null && entry.player.currentScreenHandler === entry.handler;
+    }
+
+    function prepare(player, menu) {
+        var rows = menu.rows === undefined ? 3 : menu.rows;
+        if (typeof rows !== "number" || rows % 1 !== 0 || rows < 1 || rows > 6) throw new Error("Menus have 1 to 6 rows, not " + rows);
+
+        var slots = {};
+        Object.keys(menu.slots || {}).forEach(function(key) {
+            var index = Number(key);
+            if (index % 1 !== 0 || index < 0 || index >= rows * 9) throw new Error("Menu slot " + key + " is outside " + rows + " rows");
+            var slot = menu.slots[key];
+            if (slot === null || slot === undefined) return;
+            slots[index] = { icon: typeof slot.icon === "string" ? api.icon(slot.icon) : slot.icon, click: slot.click };
+        });
+
+        var title = menu.title === undefined ? "" : menu.title;
+        return {
+            title: typeof title === "string" ? Placeholders.text(title, { player: player }) : title,
+            rows: rows,
+            slots: slots
+        };
+    }
+
+    function fill(inventory, menu) {
+        for (var i = 0; i < menu.rows * 9; i++) {
+            inventory.setStack(i, menu.slots[i] === undefined ? ItemStack.EMPTY : menu.slots[i].icon.copy());
+        }
+    }
+
+    var api = {
+        // An ItemStack to use as an icon. item is an item id or an ItemStack
+        // (copied); name and lore lines are markup or Text.
+        icon: function(item, name, lore) {
+            var stack;
+            if (typeof item === "string") {
+                var id = Identifier.tryParse(item);
+                if (id === null || !Registries.ITEM.containsId(id)) throw new Error("Unknown item: " + item);
+                stack = new ItemStack(Registries.ITEM.get(id));
+            } else {
+                stack = item.copy();
+            }
+            if (name !== undefined && name !== null) {
+                stack.set(DataComponentTypes.CUSTOM_NAME, upright(typeof name === "string" ? Markup.parse(name) : name));
+            }
+            if (lore !== undefined && lore.length > 0) {
+                var lines = new ArrayList();
+                lore.forEach(function(line) {
+                    lines.add(upright(typeof line === "string" ? Markup.parse(line) : line, Formatting.GRAY));
+                });
+                stack.set(DataComponentTypes.LORE, new LoreComponent(lines));
+            }
+            return stack;
+        },
+
+        // Opens menu = { title, rows, slots: { index: { icon, click } } }.
+        // Throws for bad rows, slots or markup before anything is shown.
+        open: function(player, menu) {
+            var prepared = prepare(player, menu);
+            var uuid = uuidOf(player);
+            var current = screens[uuid];
+            if (isShowing(current) && current.menu.rows === prepared.rows && current.menu.title.equals(prepared.title)) {
+                current.menu = prepared;
+                fill(current.inventory, prepared);
+                current.handler.sendContentUpdates();
+                return;
+            }
+
+            var inventory = new SimpleInventory(prepared.rows * 9);
+            fill(inventory, prepared);
+            var entry = { player: player, menu: prepared, inventory: inventory, handler: null };
+            screens[uuid] = entry;
+            player.openHandledScreen(new SimpleNamedScreenHandlerFactory(function(syncId, playerInventory, viewer) {
+                entry.handler = new MenuScreenHandler(ScreenHandlerType["GENERIC_9X" + prepared.rows], syncId, playerInventory, inventory, prepared.rows);
+                return entry.handler;
+            }, prepared.title));
+        },
+
+        // entries fill every row but the last, which holds the page buttons.
+        // options: title, rows (2-6, default 6), entries, render(entry, index)
+        // -> { icon, click }, and the page to start on (from 0).
+        paged: function(player, options) {
+            var rows = options.rows === undefined ? 6 : options.rows;
+            if (rows < 2 || rows > 6) throw new Error("Paged menus have 2 to 6 rows, not " + rows);
+            var entries = options.entries.slice();
+            var perPage = (rows - 1) * 9;
+            var pages = Math.max(1, Math.ceil(entries.length / perPage));
+
+            function show(page) {
+                var slots = {};
+                entries.slice(page * perPage, (page + 1) * perPage).forEach(function(entry, i) {
+                    slots[i] = options.render(entry, page * perPage + i);
+                });
+                if (entries.length === 0) slots[Math.floor(perPage / 2)] = { icon: api.icon("minecraft:barrier", "<gray>Nothing here") };
+                if (page > 0) {
+                    slots[perPage] = { icon: api.icon("minecraft:arrow", "<yellow>\u2190 Previous page"), click: function() { show(page - 1); } };
+                }
+                slots[perPage + 4] = { icon: api.icon("minecraft:paper", "<gold>Page " + (page + 1) + " of " + pages) };
+                if (page < pages - 1) {
+                    slots[perPage + 8] = { icon: api.icon("minecraft:arrow", "<yellow>Next page \u2192"), click: function() { show(page + 1); } };
+                }
+                api.open(player, { title: options.title, rows: rows, slots: slots });
+            }
+
+            show(Math.max(0, Math.min(pages - 1, options.page || 0)));
+        },
+
+        // A one-row yes/no menu with the question as its title. Either button
+        // closes it; onCancel is optional.
+        confirm: function(player, question, onConfirm, onCancel) {
+            api.open(player, {
+                title: question,
+                rows: 1,
+                slots: {
+                    2: {
+                        icon: api.icon("minecraft:lime_concrete", "<green><bold>Confirm"),
+                        click: function(click) {
+                            api.close(player);
+                            onConfirm(click);
+                        }
+                    },
+                    6: {
+                        icon: api.icon("minecraft:red_concrete", "<red><bold>Cancel"),
+                        click: function(click) {
+                            api.close(player);
+                            if (onCancel) onCancel(click);
+                        }
+                    }
+                }
+            });
+        },
+
+        close: function(player) {
+            var entry = screens[uuidOf(player)];
+            delete screens[uuidOf(player)];
+            if (isShowing(entry)) player.closeHandledScreen();
+        },
+
+        // Called by MenuScreenHandler for every click inside a menu.
+        click: function(player, slotIndex, button, actionType) {
+            var entry = screens[uuidOf(player)];
+            if (!isShowing(entry)) return;
+            if (actionType !== SlotActionType.PICKUP && actionType !== SlotActionType.QUICK_MOVE) return;
+            var menu = entry.menu;
+            var slot = menu.slots[slotIndex];
+            if (slot === undefined || typeof slot.click !== "function") return;
+
+            var click = {
+                player: player,
+                slot: slotIndex,
+                button: button === 1 ? "right" : "left",
+                shift: actionType === SlotActionType.QUICK_MOVE
+            };
+            Scheduler.forPlayer(player).runLater(1, function() {
+                // Skip clicks on a page that has been replaced since.
+                if (!isShowing(entry) || entry.menu !== menu) return;
+                try {
+                    slot.click(click);
+                } catch (e) {
+                    player.sendMessage(colorText("\u2716 " + (e.message || e), Formatting.RED));
+                }
+            });
+        },
+
+        // Drops what is known about a player's menu when they leave.
+        forget: function(player) {
+            delete screens[uuidOf(player)];
+        },
+
+        // Closes every open menu, e.g. before a hot reload replaces this script.
+        closeAll: function() {
+            Object.keys(screens).forEach(function(uuid) {
+                var entry = screens[uuid];
+                if (isShowing(entry)) entry.player.closeHandledScreen();
+            });
+            screens = {};
+        }
+    };
+
+    return api;
+})();
+
+module.exports = {
+    MenuScreenHandler: MenuScreenHandler,
+    Menus: Menus
+};
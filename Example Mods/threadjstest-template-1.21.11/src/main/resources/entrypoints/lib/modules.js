@@ -0,0 +1,263 @@
+// ── MODULE LOADER ──────────────────────────────────────────────────────────
+//
+// require() and import/export for the scripts under entrypoints/. main.js
+// evaluates this file by hand (it can't require itself) and gets its
+// require() from Modules.create():
+//
+//   var Scheduler = require("../lib/scheduler").Scheduler;   // relative to this file
+//   var config = require("entrypoints/lib/config");          // from the mod's resources root
+//   var kits = require("./data/kits.json");                   // parsed JSON
+//
+//   import { Scheduler } from "../lib/scheduler";
+//   import * as config from "entrypoints/lib/config";
+//   export function heal(player) { ... }
+//
+// Names are resolved much like Node does it: "./x" tries x.js, x.json and
+// x/index.js, while "./x.js" is taken as it is. Each module is evaluated once
+// per loader and cached; a hot reload creates a new loader, so every module
+// is evaluated again.
+//
+// Every module shares the script's globals (Java, globalThis, ...), so
+// Java.type() works anywhere. Its own top-level var and function names stay
+// private; what other modules see is what it puts in module.exports.
+//
+// import/export is rewritten to require() before the module runs:
+//
+//   - statements must start their line, and export declarations name one
+//     variable each (export var a = 1; not export var a = 1, b = 2;)
+//   - imported names are copied when the import runs; exports are read live
+//   - a default import of a CommonJS module gets its whole module.exports
+//
+// A module that requires one that is still loading (a cycle) fails with the
+// chain that led there, rather than getting half-initialized exports.
+
+var Modules = (function() {
+    var IMPORT_FROM = /^import\s+(?:([\w$]+)\s*,?\s*)?(?:\{([^}]*)\}|\*\s*as\s+([\w$]+))?\s*from\s*(["'])([^"'\n]+)\4[ \t]*;?/gm;
+    var IMPORT_BARE = /^import\s*(["'])([^"'\n]+)\1[ \t]*;?/gm;
+    var EXPORT_FROM = /^export\s*(?:\{([^}]*)\}|\*)\s*from\s*(["'])([^"'\n]+)\2[ \t]*;?/gm;
+    var EXPORT_LIST = /^export\s*\{([^}]*)\}[ \t]*;?/gm;
+    var EXPORT_DEFAULT_NAMED = /^export\s+default\s+((?:async\s+)?function\s*\*?\s*([\w$]+)|class\s+([\w$]+))/gm;
+    var EXPORT_DEFAULT = /^export\s+default\s+/gm;
+    var EXPORT_DECLARATION = /^export\s+((?:var|let|const|class|(?:async\s+)?function\s*\*?)\s*([\w$]+))/gm;
+
+    // ── Import/export rewriting ──
+
+    // The replacement padded with the newlines the statement had, so line
+    // numbers in errors still match the file.
+    function sameLines(statement, replacement) {
+        return replacement + statement.replace(/[^\n]/g, "");
+    }
+
+    // "a, b as c" -> [{ name: "a", as: "a" }, { name: "b", as: "c" }]
+    function specifiers(list) {
+        return list.split(",").map(function(part) {
+            return part.trim();
+        }).filter(function(part) {
+            return part !== "";
+        }).map(function(part) {
+            var match = /^([\w$]+)(?:\s+as\s+([\w$]+))?$/.exec(part);
+            if (match === null) throw new SyntaxError("Unsupported import/export specifier: " + part);
+            return { name: match[1], as: match[2] || match[1] };
+        });
+    }
+
+    // Rewrites import/export statements to require() and exports; source
+    // without them comes back unchanged.
+    function toCommonJs(source) {
+        var counter = 0;
+        var exported = [];      // [{ as, get }], get being an expression
+        var code = source;
+
+        function temp() {
+            return "__module" + (++counter);
+        }
+
+        function exportSpec(as, get) {
+            exported.push({ as: as, get: get });
+        }
+
+        code = code.replace(IMPORT_FROM, function(statement, def, named, namespace, quote, spec) {
+            var name = temp();
+            var out = ["var " + name + " = require(" + JSON.stringify(spec) + ");"];
+            if (def) out.push("var " + def + " = " + name + " && " + name + ".__esModule ? " + name + ".default : " + name + ";");
+            if (namespace) out.push("var " + namespace + " = " + name + ";");
+            if (named !== undefined) {
+                specifiers(named).forEach(function(s) {
+                    out.push("var " + s.as + " = __imported(" + name + ", " + JSON.stringify(s.name) + ", " + JSON.stringify(spec) + ");");
+                });
+            }
+            return sameLines(statement, out.join(" "));
+        });
+        code = code.replace(IMPORT_BARE, function(statement, quote, spec) {
+            return sameLines(statement, "require(" + JSON.stringify(spec) + ");");
+        });
+        code = code.replace(EXPORT_FROM, function(statement, named, quote, spec) {
+            var name = temp();
+            if (named === undefined) {
+                return sameLines(statement, "__exportAll(exports, require(" + JSON.stringify(spec) + "));");
+            }
+            specifiers(named).forEach(function(s) {
+                exportSpec(s.as, "__imported(" + name + ", " + JSON.stringify(s.name) + ", " + JSON.stringify(spec) + ")");
+            });
+            return sameLines(statement, "var " + name + " = require(" + JSON.stringify(spec) + ");");
+        });
+        code = code.replace(EXPORT_LIST, function(statement, named) {
+            specifiers(named).forEach(function(s) {
+                exportSpec(s.as, s.name);
+            });
+            return sameLines(statement, "");
+        });
+        code = code.replace(EXPORT_DEFAULT_NAMED, function(statement, declaration, functionName, className) {
+            exportSpec("default", functionName || className);
+            return declaration;
+        });
+        code = code.replace(EXPORT_DEFAULT, "exports.default = ");
+        code = code.replace(EXPORT_DECLARATION, function(statement, declaration, name) {
+            exportSpec(name, name);
+            return declaration;
+        });
+
+        if (code === source) return source;
+
+        // Getters, defined before the body runs, keep exports live.
+        var header = "Object.defineProperty(exports, \"__esModule\", { value: true });";
+        exported.forEach(function(e) {
+            header += " Object.defineProperty(exports, " + JSON.stringify(e.as)
+                + ", { enumerable: true, get: function() { return " + e.get + "; } });";
+        });
+        return header + " " + code;
+    }
+
+    // For rewritten named imports: a missing name is an error, as it is for
+    // real ES modules, instead of a silent undefined.
+    function imported(module, name, spec) {
+        if (module === null || module === undefined || !(name in Object(module))) {
+            throw new SyntaxError("Module \"" + spec + "\" has no export named " + name);
+        }
+        return module[name];
+    }
+
+    function exportAll(exports, module) {
+        Object.keys(module).forEach(function(key) {
+            if (key === "default" || key === "__esModule" || key in exports) return;
+            Object.defineProperty(exports, key, { enumerable: true, get: function() { return module[key]; } });
+        });
+    }
+
+    // ── Resolution ──
+
+    function dirname(id) {
+        var slash = id.lastIndexOf("/");
+        return slash < 0 ? "" : id.substring(0, slash);
+    }
+
+    // "entrypoints/commands" + "../lib/./x" -> "entrypoints/lib/x", or null
+    // for a path that leaves the resources root.
+    function join(dir, spec) {
+        var parts = dir === "" ? [] : dir.split("/");
+        var segments = spec.split("/");
+        for (var i = 0; i < segments.length; i++) {
+            var segment = segments[i];
+            if (segment === "" || segment === ".") continue;
+            if (segment === "..") {
+                if (parts.length === 0) return null;
+                parts.pop();
+            } else {
+                parts.push(segment);
+            }
+        }
+        return parts.join("/");
+    }
+
+    // The ids a require(spec) from `from` may mean, in the order tried.
+    function candidates(spec, from) {
+        var relative = spec.indexOf("./") === 0 || spec.indexOf("../") === 0;
+        var id = join(relative ? dirname(from) : "", spec);
+        if (id === null || id === "") return [];
+        if (/\.(js|json)$/.test(id)) return [id];
+        return [id + ".js", id + ".json", id + "/index.js"];
+    }
+
+    // ── Loader ──
+
+    // options.resources: { read(id) -> the text of entrypoints/x.js etc. or
+    // null when there is none, path(id) -> where it is read from, or null }.
+    // options.main: the entry script's module object; options.mainId its id.
+    function create(options) {
+        var resources = options.resources;
+        var cache = {};         // id -> module, the entry script included
+        var loading = [];       // ids being evaluated, outermost first
+
+        function load(id, source) {
+            var module = { id: id, exports: {}, loaded: false };
+            module.require = requireFrom(id);
+            cache[id] = module;
+            loading.push(id);
+            try {
+                if (/\.json$/.test(id)) {
+                    module.exports = JSON.parse(source);
+                } else {
+                    var factory = (0, eval)("(function(require, module, exports, __filename, __dirname, __imported, __exportAll) {"
+                        + toCommonJs(source) + "\n})\n//# sourceURL=" + id);
+                    factory.call(module.exports, module.require, module, module.exports, id, dirname(id), imported, exportAll);
+                }
+                module.loaded = true;
+            } catch (e) {
+                // Not cached, so fixing the file and requiring it again works.
+                delete cache[id];
+                throw e;
+            } finally {
+                loading.pop();
+            }
+            return module;
+        }
+
+        function resolve(spec, from) {
+            var tried = candidates(spec, from);
+            for (var i = 0; i < tried.length; i++) {
+                if (cache[tried[i]] !== undefined) return { id: tried[i], source: null };
+                var source = resources.read(tried[i]);
+                if (source !== null) return { id: tried[i], source: String(source) };
+            }
+            var error = new Error("Cannot find module \"" + spec + "\" required from " + from
+                + (tried.length === 0 ? " (outside the mod's resources)" : " (tried " + tried.join(", ") + ")"));
+            error.code = "MODULE_NOT_FOUND";
+            throw error;
+        }
+
+        function requireFrom(from) {
+            var require = function(spec) {
+                if (typeof spec !== "string" || spec === "") throw new TypeError("require() needs a module name, got " + spec);
+                var found = resolve(spec, from);
+                var module = cache[found.id];
+                if (module === undefined) return load(found.id, found.source).exports;
+                if (!module.loaded) {
+                    // The entry script is never done loading as far as its
+                    // modules are concerned: they can't require it.
+                    var start = loading.indexOf(found.id);
+                    var chain = (start < 0 ? [found.id].concat(loading) : loading.slice(start)).concat([found.id]);
+                    throw new Error("Circular require: " + chain.join(" -> ")
+                        + ". Move what both modules need into a third one, or require it inside a function.");
+                }
+                return module.exports;
+            };
+            require.resolve = function(spec) {
+                return resolve(spec, from).id;
+            };
+            require.main = options.main;
+            require.cache = cache;
+            require.resources = resources;
+            return require;
+        }
+
+        cache[options.mainId] = options.main;
+        return requireFrom(options.mainId);
+    }
+
+    return {
+        create: create,
+        toCommonJs: toCommonJs
+    };
+})();
+
+module.exports = { Modules: Modules };
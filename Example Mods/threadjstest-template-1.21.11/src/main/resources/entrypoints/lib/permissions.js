@@ -0,0 +1,192 @@
+// ── PERMISSIONS ────────────────────────────────────────────────────────────
+//
+// Every command node is guarded by a permission node with a default op level:
+//
+//   CommandManager.literal("boom")
+//       .requires(Permissions.require("threadjstest.command.boom", 2))
+//
+//   Permissions.check(source, "threadjstest.command.boom")   // -> boolean
+//   Permissions.has(player, "threadjstest.command.boom")
+//
+// Per-node level overrides and per-player grants/denies live in
+// config/threadjstest-permissions.json:
+//
+//   {
+//     "levels":  { "threadjstest.command.boom": 4 },
+//     "players": { "<uuid>": { "name": "Steve",
+//                              "grant": ["threadjstest.command.warp.*"],
+//                              "deny":  ["threadjstest.command.tp"] } }
+//   }
+//
+// Lookup order for a player: the most specific explicit entry wins
+// (a.b.c, then a.b.*, a.*, *), deny beats grant at the same depth, and with no
+// entry the node's op level decides. Non-player sources (console, command
+// blocks) only use op levels.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var FabricLoader = Java.type("net.fabricmc.loader.api.FabricLoader");
+var Files = Java.type("java.nio.file.Files");
+
+var writeFileAtomically = require("../storage").writeFileAtomically;
+
+var OP_LEVEL_ALL = 0;
+var OP_LEVEL_GAMEMASTER = 2;
+var OP_LEVEL_ADMIN = 3;
+
+var Permissions = (function() {
+    var NODE_PATTERN = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*(\.\*)?$|^\*$/;
+    var defaults = {};      // node -> default op level
+    var levels = {};        // node -> op level override from file
+    var players = {};       // uuid -> { name, grant: [], deny: [] }
+
+    function file() {
+        return FabricLoader.getInstance().getConfigDir().resolve("threadjstest-permissions.json");
+    }
+
+    function validate(node) {
+        if (!NODE_PATTERN.test(node)) {
+            throw new Error("Invalid permission node '" + node + "'");
+        }
+        return node;
+    }
+
+    // "a.b.c" -> ["a.b.c", "a.b.*", "a.*", "*"]
+    function candidates(node) {
+        var parts = node.split(".");
+        var list = [node];
+        for (var i = parts.length - 1; i > 0; i--) {
+            list.push(parts.slice(0, i).join(".") + ".*");
+        }
+        list.push("*");
+        return list;
+    }
+
+    // true / false for an explicit grant / deny, null when nothing matches.
+    function explicit(uuid, node) {
+        var entry = players[uuid];
+        if (!entry) return null;
+        var list = candidates(node);
+        for (var i = 0; i < list.length; i++) {
+            if (entry.deny.indexOf(list[i]) >= 0) return false;
+            if (entry.grant.indexOf(list[i]) >= 0) return true;
+        }
+        return null;
+    }
+
+    function entryFor(player) {
+        var uuid = player.getUuid().toString();
+        if (!players[uuid]) players[uuid] = { name: "", grant: [], deny: [] };
+        players[uuid].name = player.getName().getString();
+        return players[uuid];
+    }
+
+    function without(list, node) {
+        return list.filter(function(n) { return n !== node; });
+    }
+
+    var permissions = {
+        // Declares a node with its default op level and returns a Brigadier
+        // requirement predicate for it.
+        require: function(node, defaultLevel) {
+            defaults[validate(node)] = defaultLevel;
+            return function(source) {
+                return permissions.check(source, node);
+            };
+        },
+
+        levelOf: function(node) {
+            if (levels[node] !== undefined) return levels[node];
+            if (defaults[node] !== undefined) return defaults[node];
+            return OP_LEVEL_GAMEMASTER;
+        },
+
+        check: function(source, node) {
+            var player = source.getPlayer();
+            if (player !== null) {
+                var result = explicit(player.getUuid().toString(), node);
+                if (result !== null) return result;
+            }
+            return source.hasPermissionLevel(permissions.levelOf(node));
+        },
+
+        has: function(player, node) {
+            return permissions.check(player.getCommandSource(), node);
+        },
+
+        nodes: function() {
+            return Object.keys(defaults).sort();
+        },
+
+        entry: function(uuid) {
+            return players[uuid] || null;
+        },
+
+        grant: function(player, node) {
+            var entry = entryFor(player);
+            validate(node);
+            entry.deny = without(entry.deny, node);
+            if (entry.grant.indexOf(node) < 0) entry.grant.push(node);
+            permissions.save();
+        },
+
+        deny: function(player, node) {
+            var entry = entryFor(player);
+            validate(node);
+            entry.grant = without(entry.grant, node);
+            if (entry.deny.indexOf(node) < 0) entry.deny.push(node);
+            permissions.save();
+        },
+
+        // Removes an explicit grant or deny; returns false if there was none.
+        revoke: function(player, node) {
+            var entry = entryFor(player);
+            var before = entry.grant.length + entry.deny.length;
+            entry.grant = without(entry.grant, node);
+            entry.deny = without(entry.deny, node);
+            permissions.save();
+            return entry.grant.length + entry.deny.length < before;
+        },
+
+        load: function() {
+            levels = {};
+            players = {};
+            var path = file();
+            if (!Files.exists(path)) {
+                permissions.save();
+                return;
+            }
+            var data = JSON.parse(String(Files.readString(path)));
+            levels = data.levels || {};
+            var stored = data.players || {};
+            for (var uuid in stored) {
+                players[uuid] = {
+                    name: stored[uuid].name || "",
+                    grant: stored[uuid].grant || [],
+                    deny: stored[uuid].deny || []
+                };
+            }
+            LOGGER.info("Loaded permissions ({} level overrides, {} players)",
+                Object.keys(levels).length, Object.keys(players).length);
+        },
+
+        save: function() {
+            writeFileAtomically(file(), JSON.stringify({ levels: levels, players: players }, null, 2));
+        }
+    };
+
+    return permissions;
+})();
+
+// Re-sends the command tree so the client's tab completion reflects new grants.
+function refreshCommandTree(player) {
+    player.getCommandSource().getServer().getCommandManager().sendCommandTree(player);
+}
+
+module.exports = {
+    OP_LEVEL_ALL: OP_LEVEL_ALL,
+    OP_LEVEL_GAMEMASTER: OP_LEVEL_GAMEMASTER,
+    OP_LEVEL_ADMIN: OP_LEVEL_ADMIN,
+    Permissions: Permissions,
+    refreshCommandTree: refreshCommandTree
+};
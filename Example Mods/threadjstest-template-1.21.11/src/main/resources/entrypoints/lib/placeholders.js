@@ -0,0 +1,205 @@
+// ── PLACEHOLDERS ───────────────────────────────────────────────────────────
+//
+// Player and server variables for any text shown to players. Each one is
+// registered once under a dotted name, with a resolver that returns its text:
+//
+//   Placeholders.register("player.health", {
+//       description: "Health (arg: decimals, default 0)",
+//       player: true,
+//       resolve: function(ctx, args) { return ctx.player.getHealth().toFixed(...); }
+//   });
+//
+// In text, arguments follow the name after ':' and are handed to the
+// resolver as strings: {player.health}, {player.health:1}, {server.tps:2}.
+//
+//   Placeholders.text("<gold>{player.name}</gold> has {eco.balance}", { player: p })  // -> Text (markup)
+//   Placeholders.apply("{server.online}/{server.max} online", { server: s })      // -> String
+//
+// ctx holds the player (if any), the server (defaults to the running one) and
+// optional fixed values, e.g. values: { name: "Steve" } for {name}. Unknown
+// names, bad arguments and player placeholders without a player are errors
+// ("Unknown placeholder {player.hp} at column 7"), never left in the text:
+// text() throws a MarkupError, apply() a plain Error.
+
+var System = Java.type("java.lang.System");
+var Math = Java.type("java.lang.Math");
+
+var formatDurationMs = require("../helpers/format").formatDurationMs;
+var Worlds = require("../helpers/worlds").Worlds;
+var Hub = require("./live").Hub;
+var Markup = require("./markup").Markup;
+var Session = require("../storage/session").Session;
+
+var Placeholders = (function() {
+    var NAME_PATTERN = /^[a-z][a-zA-Z0-9_]*(\.[a-z][a-zA-Z0-9_]*)+$/;
+    var resolvers = {};     // name -> { description, player, resolve(ctx, args) }
+
+    var api = {
+        // options: description, player (true when it needs ctx.player) and
+        // resolve(ctx, args). Throw an Error from resolve for bad arguments.
+        register: function(name, options) {
+            if (!NAME_PATTERN.test(name)) throw new Error("Invalid placeholder name '" + name + "' (use group.name)");
+            if (resolvers[name] !== undefined) throw new Error("Placeholder {" + name + "} is already registered");
+            if (typeof options.resolve !== "function") throw new Error("Placeholder {" + name + "} needs a resolve function");
+            resolvers[name] = {
+                description: options.description || "",
+                player: options.player === true,
+                resolve: options.resolve
+            };
+            return name;
+        },
+
+        has: function(name) {
+            return resolvers[name] !== undefined;
+        },
+
+        names: function() {
+            return Object.keys(resolvers).sort();
+        },
+
+        describe: function(name) {
+            var resolver = resolvers[name];
+            return resolver === undefined ? null : resolver.description;
+        },
+
+        // function(key) -> text, or undefined for unknown names; the form
+        // Markup.parse() takes as its placeholders.
+        lookup: function(ctx) {
+            ctx = ctx || {};
+            var values = ctx.values || {};
+            var resolved = { player: ctx.player || null, server: ctx.server || Hub.server };
+            return function(key) {
+                if (Object.prototype.hasOwnProperty.call(values, key)) return String(values[key]);
+                var args = key.split(":");
+                var resolver = resolvers[args.shift()];
+                if (resolver === undefined) return undefined;
+                if (resolver.player && resolved.player === null) throw new Error("only works for a player");
+                return String(resolver.resolve(resolved, args));
+            };
+        },
+
+        // Markup with placeholders, as a Text.
+        text: function(source, ctx) {
+            return Markup.parse(source, api.lookup(ctx));
+        },
+
+        // Plain text with placeholders, for places that take a String such as
+        // the MOTD. \{ keeps a brace as written.
+        apply: function(source, ctx) {
+            var lookup = api.lookup(ctx);
+            return String(source).replace(/\\([\\{])|\{([a-zA-Z0-9_.]+(?::[^{}]*)?)\}/g, function(match, escaped, key) {
+                if (escaped !== undefined) return escaped;
+                var value;
+                try {
+                    value = lookup(key);
+                } catch (e) {
+                    throw new Error("{" + key + "}: " + (e.message || e));
+                }
+                if (value === undefined) throw new Error("Unknown placeholder {" + key + "}");
+                return value;
+            });
+        }
+    };
+
+    return api;
+})();
+// ── Placeholders provided by this script ──
+
+// {x:2} -> 2 decimals; fallback when no argument is given.
+function placeholderDecimals(args, fallback) {
+    if (args.length === 0 || args[0] === "") return fallback;
+    if (!/^[0-6]$/.test(args[0])) throw new Error("expected a number of decimals from 0 to 6");
+    return parseInt(args[0], 10);
+}
+
+// Checks the one optional word argument of a placeholder.
+function placeholderStyle(args, styles) {
+    var style = args.length === 0 ? "" : args[0];
+    if (style !== "" && styles.indexOf(style) < 0) throw new Error("expected " + styles.join(" or ") + " after ':'");
+    return style;
+}
+
+Placeholders.register("player.name", {
+    description: "Player name",
+    player: true,
+    resolve: function(ctx, args) {
+        return ctx.player.getName().getString();
+    }
+});
+
+Placeholders.register("player.health", {
+    description: "Health (arg: decimals, default 0)",
+    player: true,
+    resolve: function(ctx, args) {
+        return ctx.player.getHealth().toFixed(placeholderDecimals(args, 0));
+    }
+});
+
+Placeholders.register("player.world", {
+    description: "World, e.g. overworld (arg: id for minecraft:overworld)",
+    player: true,
+    resolve: function(ctx, args) {
+        var id = Worlds.of(ctx.player).getRegistryKey().getValue();
+        return placeholderStyle(args, ["id"]) === "id" ? id.toString() : id.getPath();
+    }
+});
+
+["x", "y", "z"].forEach(function(axis) {
+    Placeholders.register("player." + axis, {
+        description: "Block " + axis + " coordinate",
+        player: true,
+        resolve: function(ctx, args) {
+            var pos = ctx.player.getBlockPos();
+            return String(axis === "x" ? pos.getX() : axis === "y" ? pos.getY() : pos.getZ());
+        }
+    });
+});
+
+Placeholders.register("player.playtime", {
+    description: "Time online this session, e.g. 4m 10s (arg: minutes or seconds for a number)",
+    player: true,
+    resolve: function(ctx, args) {
+        var style = placeholderStyle(args, ["minutes", "seconds"]);
+        var data = Session.playerData.get(ctx.player.getUuid().toString());
+        var elapsed = data === null ? 0 : System.currentTimeMillis() - data.joinedAt;
+        if (style === "minutes") return String(Math.floor(elapsed / 60000));
+        if (style === "seconds") return String(Math.floor(elapsed / 1000));
+        return formatDurationMs(elapsed);
+    }
+});
+
+Placeholders.register("server.online", {
+    description: "Players online",
+    resolve: function(ctx, args) {
+        return String(ctx.server.getCurrentPlayerCount());
+    }
+});
+
+Placeholders.register("server.max", {
+    description: "Player limit",
+    resolve: function(ctx, args) {
+        return String(ctx.server.getMaxPlayerCount());
+    }
+});
+
+Placeholders.register("server.tps", {
+    description: "Ticks per second, at most the tick rate (arg: decimals, default 1)",
+    resolve: function(ctx, args) {
+        var rate = ctx.server.getTickManager().getTickRate();
+        var mspt = ctx.server.getAverageTickTime();
+        return (mspt > 0 ? Math.min(rate, 1000 / mspt) : rate).toFixed(placeholderDecimals(args, 1));
+    }
+});
+
+Placeholders.register("server.mspt", {
+    description: "Average milliseconds per tick (arg: decimals, default 1)",
+    resolve: function(ctx, args) {
+        return ctx.server.getAverageTickTime().toFixed(placeholderDecimals(args, 1));
+    }
+});
+
+module.exports = {
+    Placeholders: Placeholders,
+    placeholderDecimals: placeholderDecimals,
+    placeholderStyle: placeholderStyle
+};
@@ -0,0 +1,175 @@
+// ── HOT RELOAD ─────────────────────────────────────────────────────────────
+//
+// `/js reload` (or the dev file watcher) re-evaluates main.js in the running
+// server, and with it every module it requires. Fabric events can't be
+// unregistered, so every listener this script registers is wrapped in live()
+// (see lib/live.js): it only runs while this evaluation of the script is the
+// active one. A reload then:
+//
+//   1. evaluates the new main.js and its modules (errors abort, nothing changes)
+//   2. calls onReloadSave() here and saves storage
+//   3. deactivates this script: listeners go quiet, scheduled tasks are
+//      cancelled, and the root commands it registered are removed
+//   4. calls onReloadRestore(state) and onInitialize() on the new script,
+//      which re-registers everything against the live server
+//
+// Only state returned from onReloadSave() survives; storage is re-read from
+// disk. Set -Dthreadjstest.watch=true to reload whenever main.js or a module
+// it loaded changes, and -Dthreadjstest.scriptPath=<path to main.js> to load
+// the scripts from your source folder instead of the built resources (both
+// are set for the dev run configs in build.gradle).
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var CommandManager = Java.type("net.minecraft.server.command.CommandManager");
+var System = Java.type("java.lang.System");
+var Files = Java.type("java.nio.file.Files");
+
+var Storage = require("../storage").Storage;
+var Scheduler = require("./scheduler").Scheduler;
+var OP_LEVEL_ADMIN = require("./permissions").OP_LEVEL_ADMIN;
+var Permissions = require("./permissions").Permissions;
+var refreshCommandTree = require("./permissions").refreshCommandTree;
+var Hub = require("./live").Hub;
+var registerRootCommand = require("./live").registerRootCommand;
+var colorText = require("../helpers/text").colorText;
+
+var ScriptReloader = (function() {
+    var CommandNode = Java.type("com.mojang.brigadier.tree.CommandNode");
+    var SCRIPT = "entrypoints/main.js";
+
+    // Latest modification time of main.js and the modules it loaded.
+    function lastModified() {
+        var latest = 0;
+        Object.keys(require.cache).forEach(function(id) {
+            var path = require.resources.path(id);
+            if (path === null || !Files.exists(path)) return;
+            var modified = Files.getLastModifiedTime(path).toMillis();
+            if (modified > latest) latest = modified;
+        });
+        return latest;
+    }
+
+    // Brigadier has no unregister; drop the node from all three child maps.
+    function removeRootCommand(dispatcher, name) {
+        var root = dispatcher.getRoot();
+        var fields = ["children", "literals", "arguments"];
+        for (var i = 0; i < fields.length; i++) {
+            var field = CommandNode.class.getDeclaredField(fields[i]);
+            field.setAccessible(true);
+            field.get(root).remove(name);
+        }
+    }
+
+    function removeCommands(server) {
+        var dispatcher = server.getCommandManager().getDispatcher();
+        for (var i = 0; i < Hub.commands.length; i++) removeRootCommand(dispatcher, Hub.commands[i]);
+        Hub.commands = [];
+    }
+
+    function resendCommandTrees(server) {
+        var players = server.getPlayerManager().getPlayerList();
+        for (var i = 0; i < players.size(); i++) refreshCommandTree(players.get(i));
+    }
+
+    // Keeps `/js reload` alive after a failed reload so a fixed script can be loaded.
+    function registerRecoveryCommand(server) {
+        var root = CommandManager.literal("js").then(CommandManager.literal("reload")
+            .requires(Permissions.require("threadjstest.command.reload", OP_LEVEL_ADMIN))
+            .executes(function(ctx) {
+                var result = reloader.reload(ctx.getSource().getServer());
+                if (!result.ok) {
+                    ctx.getSource().sendError(colorText(result.message, Formatting.RED));
+                    return 0;
+                }
+                ctx.getSource().sendFeedback(function() {
+                    return colorText("♻ " + result.message, Formatting.GREEN);
+                }, true);
+                return 1;
+            }));
+        registerRootCommand(server.getCommandManager().getDispatcher(), root);
+    }
+
+    function failure(message) {
+        LOGGER.error("Reload failed: {}", message);
+        return { ok: false, message: message };
+    }
+
+    function errorText(e) {
+        return String(e && e.stack ? e.stack.split("\n")[0] : e);
+    }
+
+    var reloader = {
+        // Returns { ok, message }. Never throws.
+        reload: function(server) {
+            var started = System.currentTimeMillis();
+            var next = { exports: {} };
+            try {
+                var source = require.resources.read(SCRIPT);
+                if (source === null) return failure("Cannot locate " + SCRIPT);
+                var factory = new Function("module", "exports", source);
+                factory(next, next.exports);
+            } catch (e) {
+                return failure("New script did not load, keeping the current one: " + errorText(e));
+            }
+            if (typeof next.exports.onInitialize !== "function") {
+                return failure("New script does not export onInitialize, keeping the current one");
+            }
+
+            var current = require.main.exports;
+            var state = typeof current.onReloadSave === "function" ? current.onReloadSave() : null;
+            Storage.saveAll();
+            Scheduler.cancelAll();
+            Hub.active = 0;
+            removeCommands(server);
+
+            try {
+                if (typeof next.exports.onReloadRestore === "function" && state !== null) {
+                    next.exports.onReloadRestore(state);
+                }
+                next.exports.onInitialize();
+            } catch (e) {
+                Hub.active = 0;
+                removeCommands(server);
+                registerRecoveryCommand(server);
+                resendCommandTrees(server);
+                return failure("New script failed in onInitialize, only /js reload is available: " + errorText(e));
+            }
+
+            resendCommandTrees(server);
+            var took = System.currentTimeMillis() - started;
+            LOGGER.info("Reloaded {} in {} ms", SCRIPT, took);
+            return { ok: true, message: "Reloaded main.js in " + took + " ms" };
+        },
+
+        // Dev only: polls the scripts' modification times once a second.
+        watch: function(server) {
+            if (System.getProperty("threadjstest.watch") !== "true") return;
+            var seen = lastModified();
+            LOGGER.info("Watching {} and {} modules for changes", SCRIPT, Object.keys(require.cache).length - 1);
+
+            Scheduler.runTimer(20, 20, function(handle) {
+                var modified = lastModified();
+                if (modified === seen) return;
+                seen = modified;
+
+                // On success the new script starts its own watcher.
+                var result = reloader.reload(server);
+                if (result.ok) handle.cancel();
+                var players = server.getPlayerManager().getPlayerList();
+                for (var i = 0; i < players.size(); i++) {
+                    var p = players.get(i);
+                    if (!Permissions.has(p, "threadjstest.command.reload")) continue;
+                    p.sendMessage(colorText("♻ " + result.message, result.ok ? Formatting.GREEN : Formatting.RED));
+                }
+            });
+        }
+    };
+
+    return reloader;
+})();
+
+module.exports = {
+    ScriptReloader: ScriptReloader
+};
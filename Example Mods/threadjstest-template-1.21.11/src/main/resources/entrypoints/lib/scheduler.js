@@ -0,0 +1,209 @@
+// ── SCHEDULER ──────────────────────────────────────────────────────────────
+//
+// Tick-based task scheduler driven by END_SERVER_TICK (20 ticks = 1 second).
+//
+//   var handle = Scheduler.runLater(40, function() { ... });       // in 2s
+//   Scheduler.runTimer(0, 20, function(handle) {                     // every 1s
+//       if (done) handle.cancel();
+//   });
+//   handle.cancel();
+//
+// Tasks tied to a player are cancelled automatically when they disconnect,
+// so closures never run against a stale player object:
+//
+//   Scheduler.forPlayer(player).runLater(100, function() { player.sendMessage(...); });
+//
+// Async work has to be Java: a GraalJS context may only be used by one thread
+// at a time, so no JS can run off the server thread. runAsync() waits for a
+// java.util.concurrent.Future that Java completes elsewhere (an HttpClient's
+// sendAsync(), a CompletableFuture on an executor) and hands its result back
+// on the tick thread:
+//
+//   Scheduler.runAsync(http.sendAsync(request, BodyHandlers.ofString()), function(response, error) {
+//       if (error !== null) { LOGGER.warn("Request failed: {}", String(error)); return; }
+//       broadcast(server, "Fetched " + response.body().length() + " characters");
+//   });
+//
+// Pending tasks live in a binary min-heap keyed on (due tick, insertion
+// order), so each tick only looks at tasks that are actually due.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var Math = Java.type("java.lang.Math");
+
+var Scheduler = (function() {
+    var heap = [];
+    var currentTick = 0;
+    var nextId = 1;
+    var playerTasks = {};   // uuid -> { taskId -> task }
+
+    function before(a, b) {
+        return a.due < b.due || (a.due === b.due && a.id < b.id);
+    }
+
+    function push(task) {
+        heap.push(task);
+        var i = heap.length - 1;
+        while (i > 0) {
+            var parent = (i - 1) >> 1;
+            if (!before(heap[i], heap[parent])) break;
+            var tmp = heap[i]; heap[i] = heap[parent]; heap[parent] = tmp;
+            i = parent;
+        }
+    }
+
+    function pop() {
+        var top = heap[0];
+        var last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            var i = 0;
+            for (;;) {
+                var left = 2 * i + 1, right = left + 1, smallest = i;
+                if (left < heap.length && before(heap[left], heap[smallest])) smallest = left;
+                if (right < heap.length && before(heap[right], heap[smallest])) smallest = right;
+                if (smallest === i) break;
+                var tmp = heap[i]; heap[i] = heap[smallest]; heap[smallest] = tmp;
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    function untrack(task) {
+        if (task.owner === null) return;
+        var tasks = playerTasks[task.owner];
+        if (!tasks) return;
+        delete tasks[task.id];
+        if (Object.keys(tasks).length === 0) delete playerTasks[task.owner];
+    }
+
+    function schedule(delayTicks, periodTicks, action, owner) {
+        if (typeof action !== "function") throw new Error("Scheduler: action must be a function");
+        if (delayTicks < 0 || periodTicks < 0) throw new Error("Scheduler: ticks must not be negative");
+
+        var task = {
+            id: nextId++,
+            due: currentTick + Math.max(1, delayTicks),
+            period: periodTicks,
+            action: action,
+            owner: owner,
+            cancelled: false
+        };
+        task.handle = {
+            id: task.id,
+            cancel: function() {
+                if (task.cancelled) return false;
+                task.cancelled = true;
+                untrack(task);
+                return true;
+            },
+            isCancelled: function() { return task.cancelled; },
+            isRepeating: function() { return task.period > 0; }
+        };
+
+        if (owner !== null) {
+            if (!playerTasks[owner]) playerTasks[owner] = {};
+            playerTasks[owner][task.id] = task;
+        }
+        push(task);
+        return task.handle;
+    }
+
+    function api(owner) {
+        return {
+            // Runs once after delayTicks (minimum 1).
+            runLater: function(delayTicks, action) {
+                return schedule(delayTicks, 0, action, owner);
+            },
+            // Runs after delayTicks, then every periodTicks until cancelled.
+            runTimer: function(delayTicks, periodTicks, action) {
+                if (periodTicks < 1) throw new Error("Scheduler: runTimer period must be at least 1 tick");
+                return schedule(delayTicks, periodTicks, action, owner);
+            },
+            // Calls callback(result, null) on the first tick after future is
+            // done, or callback(null, error) if it failed or was cancelled.
+            // Cancelling the handle drops the callback, not the Java work.
+            runAsync: function(future, callback) {
+                if (typeof future === "function" || future === null || typeof future !== "object" || typeof future.isDone !== "function") {
+                    throw new Error("Scheduler: runAsync needs a java.util.concurrent.Future; JS functions can't run off the server thread");
+                }
+                if (typeof callback !== "function") throw new Error("Scheduler: callback must be a function");
+                return schedule(1, 1, function(handle) {
+                    if (!future.isDone()) return;
+                    handle.cancel();
+
+                    var result;
+                    try {
+                        result = future.get();
+                    } catch (e) {
+                        // ExecutionException wraps what the work threw.
+                        var cause = e !== null && typeof e.getCause === "function" ? e.getCause() : null;
+                        callback(null, cause !== null ? cause : e);
+                        return;
+                    }
+                    callback(result, null);
+                }, owner);
+            }
+        };
+    }
+
+    var scheduler = api(null);
+
+    scheduler.forPlayer = function(player) {
+        return api(player.getUuid().toString());
+    };
+
+    scheduler.currentTick = function() {
+        return currentTick;
+    };
+
+    // Number of queued tasks, including cancelled ones not yet discarded.
+    scheduler.pending = function() {
+        return heap.length;
+    };
+
+    scheduler.cancelPlayer = function(uuid) {
+        var tasks = playerTasks[uuid];
+        if (!tasks) return 0;
+        var ids = Object.keys(tasks);
+        for (var i = 0; i < ids.length; i++) tasks[ids[i]].cancelled = true;
+        delete playerTasks[uuid];
+        return ids.length;
+    };
+
+    scheduler.cancelAll = function() {
+        for (var i = 0; i < heap.length; i++) heap[i].cancelled = true;
+        heap = [];
+        playerTasks = {};
+    };
+
+    // Called once per server tick.
+    scheduler.tick = function() {
+        currentTick++;
+        while (heap.length > 0 && heap[0].due <= currentTick) {
+            var task = pop();
+            if (task.cancelled) continue;
+
+            try {
+                task.action(task.handle);
+            } catch (e) {
+                LOGGER.warn("Scheduled task #{} failed: {}", task.id, String(e));
+            }
+
+            if (task.period > 0 && !task.cancelled) {
+                task.due = currentTick + task.period;
+                push(task);
+            } else {
+                task.cancelled = true;
+                untrack(task);
+            }
+        }
+    };
+
+    return scheduler;
+})();
+
+module.exports = {
+    Scheduler: Scheduler
+};
@@ -0,0 +1,188 @@
+// ── PERSISTENT STORAGE ─────────────────────────────────────────────────────
+//
+// Key-value stores that live in the world save folder, one JSON file per
+// namespace:
+//
+//   <world>/data/threadjstest/<namespace>.json
+//
+//   var homes = Storage.open("homes");
+//   homes.set(uuid, { x: 0, y: 64, z: 0 });
+//   homes.get(uuid);           // -> { x: 0, y: 64, z: 0 } or null
+//
+// Values must be plain JSON data (objects, arrays, strings, numbers) — never
+// Java objects like BlockPos. Stores are loaded when the server starts, saved
+// on every world save (autosave, /save-all) and on shutdown. Files are written
+// to a temp file first and then moved over the old one, so a crash mid-write
+// never leaves a half-written file behind.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var System = Java.type("java.lang.System");
+var Files = Java.type("java.nio.file.Files");
+var StandardCopyOption = Java.type("java.nio.file.StandardCopyOption");
+var AtomicMoveNotSupportedException = Java.type("java.nio.file.AtomicMoveNotSupportedException");
+var WorldSavePath = Java.type("net.minecraft.util.WorldSavePath");
+
+// Writes to <file>.tmp and moves it over the target, so readers only ever see
+// the old or the new contents.
+function writeFileAtomically(file, content) {
+    var tmp = file.resolveSibling(file.getFileName() + ".tmp");
+    Files.createDirectories(file.getParent());
+    Files.writeString(tmp, content);
+    try {
+        Files.move(tmp, file, StandardCopyOption.ATOMIC_MOVE, StandardCopyOption.REPLACE_EXISTING);
+    } catch (e) {
+        if (!(e instanceof AtomicMoveNotSupportedException)) throw e;
+        Files.move(tmp, file, StandardCopyOption.REPLACE_EXISTING);
+    }
+}
+
+var Storage = (function() {
+    var NAMESPACE_PATTERN = /^[a-z0-9_.-]+$/;
+    var stores = Object.create(null);
+    var directory = null;
+
+    // Store data has no prototype, so keys like "constructor" or "__proto__"
+    // (a warp name, say) are ordinary keys.
+    function createData(source) {
+        var data = Object.create(null);
+        if (source !== null && typeof source === "object" && !Array.isArray(source)) {
+            Object.keys(source).forEach(function(key) { data[key] = source[key]; });
+        }
+        return data;
+    }
+
+    function KeyValueStore(namespace) {
+        this.namespace = namespace;
+        this.data = createData();
+        this.dirty = false;
+    }
+
+    KeyValueStore.prototype.get = function(key, fallback) {
+        if (!this.has(key)) return fallback === undefined ? null : fallback;
+        return this.data[key];
+    };
+
+    KeyValueStore.prototype.has = function(key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key);
+    };
+
+    KeyValueStore.prototype.set = function(key, value) {
+        if (value === undefined || value === null) return this.remove(key);
+        this.data[String(key)] = value;
+        this.dirty = true;
+        return true;
+    };
+
+    KeyValueStore.prototype.remove = function(key) {
+        if (!this.has(key)) return false;
+        delete this.data[key];
+        this.dirty = true;
+        return true;
+    };
+
+    KeyValueStore.prototype.keys = function() {
+        return Object.keys(this.data).sort();
+    };
+
+    KeyValueStore.prototype.size = function() {
+        return Object.keys(this.data).length;
+    };
+
+    KeyValueStore.prototype.isEmpty = function() {
+        return this.size() === 0;
+    };
+
+    // Call after mutating a stored object in place (homes.get(k).y = 70).
+    KeyValueStore.prototype.markDirty = function() {
+        this.dirty = true;
+    };
+
+    KeyValueStore.prototype.file = function() {
+        return directory.resolve(this.namespace + ".json");
+    };
+
+    KeyValueStore.prototype.load = function() {
+        this.data = createData();
+        this.dirty = false;
+        var file = this.file();
+        if (!Files.exists(file)) return;
+
+        try {
+            this.data = createData(JSON.parse(String(Files.readString(file))));
+        } catch (e) {
+            // Keep the broken file around for manual recovery instead of
+            // overwriting it with an empty store on the next save.
+            var backup = directory.resolve(this.namespace + ".json.corrupt-" + System.currentTimeMillis());
+            LOGGER.error("Storage '{}' is unreadable, moved to {}: {}", this.namespace, backup.getFileName(), String(e));
+            Files.move(file, backup, StandardCopyOption.REPLACE_EXISTING);
+        }
+    };
+
+    KeyValueStore.prototype.save = function(force) {
+        if (!this.dirty && !force) return;
+
+        writeFileAtomically(this.file(), JSON.stringify(this.data, null, 2));
+        this.dirty = false;
+    };
+
+    return {
+        // Returns the store for a namespace, creating it on first use. Stores
+        // opened before the server starts are loaded once it does.
+        open: function(namespace) {
+            if (!NAMESPACE_PATTERN.test(namespace)) {
+                throw new Error("Invalid storage namespace '" + namespace + "' (use a-z, 0-9, _ . -)");
+            }
+            var store = stores[namespace];
+            if (!store) {
+                store = new KeyValueStore(namespace);
+                stores[namespace] = store;
+                if (directory !== null) store.load();
+            }
+            return store;
+        },
+
+        isAttached: function() {
+            return directory !== null;
+        },
+
+        // <world>/data/threadjstest while attached, otherwise null.
+        directory: function() {
+            return directory;
+        },
+
+        // Binds every store to the world folder of a starting server.
+        attach: function(server) {
+            directory = server.getSavePath(WorldSavePath.ROOT).resolve("data").resolve("threadjstest");
+            Files.createDirectories(directory);
+            for (var ns in stores) stores[ns].load();
+            LOGGER.info("Storage attached at {}", directory);
+        },
+
+        saveAll: function() {
+            if (directory === null) return;
+            for (var ns in stores) {
+                try {
+                    stores[ns].save(false);
+                } catch (e) {
+                    LOGGER.error("Failed to save storage '{}': {}", ns, String(e));
+                }
+            }
+        },
+
+        // Final save on shutdown; data is dropped so the next world starts clean.
+        detach: function() {
+            this.saveAll();
+            directory = null;
+            for (var ns in stores) {
+                stores[ns].data = createData();
+                stores[ns].dirty = false;
+            }
+        }
+    };
+})();
+
+module.exports = {
+    writeFileAtomically: writeFileAtomically,
+    Storage: Storage
+};
@@ -0,0 +1,83 @@
+// ── LOCATIONS ──────────────────────────────────────────────────────────────
+//
+// A location is the JSON-safe form of "where an entity stands":
+//
+//   { dimension: "minecraft:the_nether", x: 12.5, y: 70, z: -3.5, yaw: 90, pitch: 0 }
+//
+// Always teleport through teleportToLocation() so the player lands in the
+// world the location was recorded in, not whatever getOverworld() returns.
+
+var Identifier = Java.type("net.minecraft.util.Identifier");
+var RegistryKey = Java.type("net.minecraft.registry.RegistryKey");
+var RegistryKeys = Java.type("net.minecraft.registry.RegistryKeys");
+var Collections = Java.type("java.util.Collections");
+
+var Worlds = require("../helpers/worlds").Worlds;
+var Storage = require("./index").Storage;
+
+var OVERWORLD_ID = "minecraft:overworld";
+
+function captureLocation(entity) {
+    return {
+        dimension: Worlds.dimension(entity),
+        x: entity.getX(),
+        y: entity.getY(),
+        z: entity.getZ(),
+        yaw: entity.getYaw(),
+        pitch: entity.getPitch()
+    };
+}
+
+// Older saves stored bare { x, y, z } block positions in the Overworld.
+function normalizeLocation(loc) {
+    if (loc.dimension !== undefined) return loc;
+    return { dimension: OVERWORLD_ID, x: loc.x + 0.5, y: loc.y, z: loc.z + 0.5, yaw: 0, pitch: 0 };
+}
+
+function resolveWorld(server, dimensionId) {
+    return server.getWorld(RegistryKey.of(RegistryKeys.WORLD, Identifier.of(dimensionId)));
+}
+
+// Returns false when the location's dimension doesn't exist on this server.
+function teleportToLocation(player, server, loc) {
+    var world = resolveWorld(server, loc.dimension);
+    if (world === null) return false;
+    player.teleport(world, loc.x, loc.y, loc.z, Collections.EMPTY_SET, loc.yaw, loc.pitch, false);
+    return true;
+}
+
+// ── Homes and warps ──
+
+var DEFAULT_HOME_NAME = "home";
+
+var homeData = Storage.open("homes");       // uuid -> { homeName -> location }
+var warpData = Storage.open("warps");       // name -> location
+
+// A player's homes as a name -> location object without a prototype, so a
+// home may be called "constructor" or "__proto__". Pre-multi-home saves held
+// a single location per player, which becomes the default home.
+function getHomes(uuid) {
+    var stored = homeData.get(uuid);
+    var homes = Object.create(null);
+    if (stored === null) return homes;
+    if (typeof stored.x === "number") {
+        homes[DEFAULT_HOME_NAME] = normalizeLocation(stored);
+        return homes;
+    }
+    Object.keys(stored).forEach(function(name) {
+        homes[name] = normalizeLocation(stored[name]);
+    });
+    return homes;
+}
+
+module.exports = {
+    OVERWORLD_ID: OVERWORLD_ID,
+    captureLocation: captureLocation,
+    normalizeLocation: normalizeLocation,
+    resolveWorld: resolveWorld,
+    teleportToLocation: teleportToLocation,
+    getHomes: getHomes,
+    homeData: homeData,
+    warpData: warpData,
+    DEFAULT_HOME_NAME: DEFAULT_HOME_NAME
+};
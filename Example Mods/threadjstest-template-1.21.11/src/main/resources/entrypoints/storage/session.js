@@ -0,0 +1,16 @@
+// ── SESSION ────────────────────────────────────────────────────────────────
+//
+// State that only lasts while the server runs: who is online since when, and
+// the MOTD that motd.text replaced. Nothing here is written to disk, but
+// onReloadSave() in main.js hands it over to the reloaded script.
+
+var HashMap = Java.type("java.util.HashMap");
+
+var Session = {
+    playerData: new HashMap(),      // uuid -> { name, joinedAt } for players online
+    defaultMotd: null               // MOTD from server.properties, kept while motd.text replaces it
+};
+
+module.exports = {
+    Session: Session
+};
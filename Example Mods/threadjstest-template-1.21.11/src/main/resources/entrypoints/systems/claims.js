@@ -0,0 +1,254 @@
+// ── LAND CLAIMS ────────────────────────────────────────────────────────────
+//
+// Rectangular, full-height claims in one dimension, stored in the "claims"
+// world store. The owner and trusted members can do anything inside; for
+// everyone else the claim's flags decide:
+//
+//   build       place blocks                     (default: off)
+//   break       break blocks                     (default: off)
+//   interact    use blocks, hit animals/frames   (default: off)
+//   pvp         players hurt each other          (default: off, applies to all)
+//   explosions  /js boom                         (default: off, applies to all)
+//
+//   var claim = Claims.at("minecraft:overworld", x, z);    // or null
+//   Claims.allows(player, world, pos, "break")             // -> boolean
+//
+// Enforcement is wired up in onInitialize through the block.break.before,
+// block.use, entity.attack and entity.damage.allow events. Players with
+// threadjstest.claims.bypass (op level 2 by default) ignore build, break and
+// interact and can manage any claim.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var ParticleTypes = Java.type("net.minecraft.particle.ParticleTypes");
+var System = Java.type("java.lang.System");
+var Math = Java.type("java.lang.Math");
+
+var Worlds = require("../helpers/worlds").Worlds;
+var Storage = require("../storage").Storage;
+var Scheduler = require("../lib/scheduler").Scheduler;
+var OP_LEVEL_GAMEMASTER = require("../lib/permissions").OP_LEVEL_GAMEMASTER;
+var Permissions = require("../lib/permissions").Permissions;
+var Config = require("../lib/config").Config;
+
+var CLAIM_FLAGS = {
+    build: "Outsiders can place blocks",
+    "break": "Outsiders can break blocks",
+    interact: "Outsiders can use blocks and hit passive entities",
+    pvp: "Players can hurt each other",
+    explosions: "Explosions are allowed"
+};
+
+var Claims = (function() {
+    var NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+    var claims = Storage.open("claims");    // "<owner uuid>:<name>" -> claim
+    var canBypass = Permissions.require("threadjstest.claims.bypass", OP_LEVEL_GAMEMASTER);
+
+    function all() {
+        return claims.keys().map(function(key) { return claims.get(key); });
+    }
+
+    // Claims by dimension and chunk, so the protection events look at the
+    // few claims near a position instead of all of them:
+    //   index[dimension].chunks["<cx>,<cz>"] -> [claim]
+    //   index[dimension].large -> [claim]   (too many chunks to list each)
+    // Rebuilt when the store loads or detaches (both replace claims.data)
+    // and when a claim is abandoned; create() adds to it.
+    var LARGE_CLAIM_CHUNKS = 256;
+    var index = {};
+    var indexedData = null;
+
+    function addToIndex(claim) {
+        var entry = index[claim.dimension] || (index[claim.dimension] = { chunks: {}, large: [] });
+        var minCx = claim.minX >> 4, maxCx = claim.maxX >> 4;
+        var minCz = claim.minZ >> 4, maxCz = claim.maxZ >> 4;
+        if ((maxCx - minCx + 1) * (maxCz - minCz + 1) > LARGE_CLAIM_CHUNKS) {
+            entry.large.push(claim);
+            return;
+        }
+        for (var cx = minCx; cx <= maxCx; cx++) {
+            for (var cz = minCz; cz <= maxCz; cz++) {
+                var key = cx + "," + cz;
+                (entry.chunks[key] || (entry.chunks[key] = [])).push(claim);
+            }
+        }
+    }
+
+    function rebuildIndex() {
+        index = {};
+        indexedData = claims.data;
+        for (var key in claims.data) addToIndex(claims.data[key]);
+    }
+
+    function contains(claim, x, z) {
+        return x >= claim.minX && x <= claim.maxX && z >= claim.minZ && z <= claim.maxZ;
+    }
+
+    function overlaps(a, b) {
+        return a.dimension === b.dimension
+            && a.minX <= b.maxX && b.minX <= a.maxX
+            && a.minZ <= b.maxZ && b.minZ <= a.maxZ;
+    }
+
+    var api = {
+        at: function(dimension, x, z) {
+            if (indexedData !== claims.data) rebuildIndex();
+            var entry = index[dimension];
+            if (entry === undefined) return null;
+            var lists = [entry.chunks[(x >> 4) + "," + (z >> 4)] || [], entry.large];
+            for (var i = 0; i < lists.length; i++) {
+                for (var j = 0; j < lists[i].length; j++) {
+                    if (contains(lists[i][j], x, z)) return lists[i][j];
+                }
+            }
+            return null;
+        },
+
+        atPos: function(world, pos) {
+            return api.at(Worlds.dimension(world), pos.getX(), pos.getZ());
+        },
+
+        atEntity: function(entity) {
+            return api.atPos(Worlds.of(entity), entity.getBlockPos());
+        },
+
+        ownedBy: function(uuid) {
+            return all().filter(function(c) { return c.owner === uuid; });
+        },
+
+        isMember: function(claim, player) {
+            var uuid = player.getUuid().toString();
+            return claim.owner === uuid || claim.trusted[uuid] !== undefined;
+        },
+
+        canManage: function(claim, player) {
+            return claim.owner === player.getUuid().toString() || canBypass(player.getCommandSource());
+        },
+
+        // Whether the player may do `flag` at pos; claim-free land allows all.
+        allows: function(player, world, pos, flag) {
+            var claim = api.atPos(world, pos);
+            if (claim === null || claim.flags[flag]) return true;
+            return api.isMember(claim, player) || canBypass(player.getCommandSource());
+        },
+
+        // allows(), plus an action bar note to the player when it's denied.
+        guard: function(player, world, pos, flag) {
+            if (api.allows(player, world, pos, flag)) return true;
+            var claim = api.atPos(world, pos);
+            player.sendMessage(Text.literal("\uD83D\uDD12 This land belongs to " + claim.ownerName).formatted(Formatting.RED), true);
+            return false;
+        },
+
+        create: function(player, name, radius) {
+            if (!NAME_PATTERN.test(name)) throw new Error("Claim names use a-z, 0-9, _ and -, up to 32 characters.");
+            var maxRadius = Config.get("claims.maxRadius");
+            if (radius > maxRadius) throw new Error("The largest radius is " + maxRadius + ".");
+
+            var uuid = player.getUuid().toString();
+            var key = uuid + ":" + name;
+            if (claims.has(key)) throw new Error("You already have a claim called '" + name + "'.");
+            var owned = api.ownedBy(uuid).length;
+            var maxClaims = Config.get("claims.maxPerPlayer");
+            if (owned >= maxClaims) throw new Error("You already have " + owned + "/" + maxClaims + " claims.");
+
+            var pos = player.getBlockPos();
+            var claim = {
+                name: name,
+                owner: uuid,
+                ownerName: player.getName().getString(),
+                dimension: Worlds.dimension(player),
+                minX: pos.getX() - radius, maxX: pos.getX() + radius,
+                minZ: pos.getZ() - radius, maxZ: pos.getZ() + radius,
+                trusted: {},            // uuid -> name
+                flags: { build: false, "break": false, interact: false, pvp: false, explosions: false },
+                created: System.currentTimeMillis()
+            };
+            var clash = all().filter(function(other) { return overlaps(claim, other); })[0];
+            if (clash) throw new Error("That overlaps " + clash.ownerName + "'s claim '" + clash.name + "'.");
+
+            claims.set(key, claim);
+            if (indexedData === claims.data) addToIndex(claim);
+            return claim;
+        },
+
+        abandon: function(claim) {
+            var removed = claims.remove(claim.owner + ":" + claim.name);
+            if (removed) rebuildIndex();
+            return removed;
+        },
+
+        trust: function(claim, player) {
+            claim.trusted[player.getUuid().toString()] = player.getName().getString();
+            claims.markDirty();
+        },
+
+        // Removes a trusted member by name (they may be offline).
+        untrust: function(claim, name) {
+            for (var uuid in claim.trusted) {
+                if (claim.trusted[uuid].toLowerCase() === name.toLowerCase()) {
+                    delete claim.trusted[uuid];
+                    claims.markDirty();
+                    return true;
+                }
+            }
+            return false;
+        },
+
+        setFlag: function(claim, flag, value) {
+            if (CLAIM_FLAGS[flag] === undefined) {
+                throw new Error("Unknown flag '" + flag + "' (" + Object.keys(CLAIM_FLAGS).join(", ") + ")");
+            }
+            claim.flags[flag] = value;
+            claims.markDirty();
+        },
+
+        // Traces the border with particles for a few seconds.
+        outline: function(player, claim) {
+            var world = Worlds.of(player);
+            var y = player.getY() + 1.0;
+            var corners = [
+                [claim.minX, claim.minZ], [claim.maxX + 1, claim.minZ],
+                [claim.maxX + 1, claim.maxZ + 1], [claim.minX, claim.maxZ + 1]
+            ];
+            var shown = 0;
+            Scheduler.forPlayer(player).runTimer(0, 20, function(handle) {
+                for (var i = 0; i < corners.length; i++) {
+                    var from = corners[i];
+                    var to = corners[(i + 1) % corners.length];
+                    var length = Math.abs(to[0] - from[0]) + Math.abs(to[1] - from[1]);
+                    var step = Math.max(1, Math.ceil(length / 64));
+                    for (var d = 0; d < length; d += step) {
+                        var t = d / length;
+                        world.spawnParticles(ParticleTypes.HAPPY_VILLAGER,
+                            from[0] + (to[0] - from[0]) * t, y, from[1] + (to[1] - from[1]) * t,
+                            1, 0.0, 0.0, 0.0, 0.0);
+                    }
+                }
+                if (++shown >= 5) handle.cancel();
+            });
+        }
+    };
+
+    return api;
+})();
+
+Config.define("claims.defaultRadius", {
+    type: "int", default: 8, min: 1,
+    description: "Radius of /js claim create when none is given"
+});
+
+Config.define("claims.maxRadius", {
+    type: "int", default: 32, min: 1,
+    description: "Largest radius /js claim create accepts"
+});
+
+Config.define("claims.maxPerPlayer", {
+    type: "int", default: 3, min: 0,
+    description: "How many claims one player may own"
+});
+
+module.exports = {
+    CLAIM_FLAGS: CLAIM_FLAGS,
+    Claims: Claims
+};
@@ -0,0 +1,172 @@
+// ── ECONOMY ────────────────────────────────────────────────────────────────
+//
+// Per-player balances in whole coins, stored in the "economy" world store:
+//
+//   Economy.balance(player)                        // -> 120
+//   Economy.deposit(player, 50, "daily reward")
+//   Economy.withdraw(player, 30, "shop")          // false if they can't afford it
+//   Economy.transfer(from, to, 25, "pay")         // false if `from` is short
+//   Economy.has(player, 100)
+//
+// Accounts are players or UUID strings. withdraw() and transfer() check and
+// debit in one step, so a balance never goes negative. Every change is saved
+// right away and appended to <world>/data/threadjstest/economy-audit.log.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var Files = Java.type("java.nio.file.Files");
+var StandardOpenOption = Java.type("java.nio.file.StandardOpenOption");
+
+var Storage = require("../storage").Storage;
+var Config = require("../lib/config").Config;
+var Placeholders = require("../lib/placeholders").Placeholders;
+var placeholderStyle = require("../lib/placeholders").placeholderStyle;
+
+var Economy = (function() {
+    var accounts = Storage.open("economy");     // uuid -> { name, balance }
+
+    function accountOf(who) {
+        if (typeof who === "string") {
+            var stored = accounts.get(who);
+            return { uuid: who, name: stored === null ? who : stored.name };
+        }
+        return { uuid: who.getUuid().toString(), name: who.getName().getString() };
+    }
+
+    function checkAmount(amount) {
+        if (typeof amount !== "number" || amount % 1 !== 0 || amount < 0) {
+            throw new Error("Amount must be a whole number of at least 0, got " + amount);
+        }
+    }
+
+    function balanceOf(account) {
+        var stored = accounts.get(account.uuid);
+        return stored === null ? Config.get("economy.startingBalance") : stored.balance;
+    }
+
+    function store(account, balance) {
+        accounts.set(account.uuid, { name: account.name, balance: balance });
+    }
+
+    function audit(type, from, to, amount, reason) {
+        var directory = Storage.directory();
+        if (directory === null) return;
+        var line = [
+            new Date().toISOString(), type,
+            from === null ? "-" : from.name + "(" + from.uuid + ")",
+            to === null ? "-" : to.name + "(" + to.uuid + ")",
+            amount,
+            JSON.stringify(reason || "")
+        ].join(" ") + "\n";
+        try {
+            Files.writeString(directory.resolve("economy-audit.log"), line,
+                StandardOpenOption.CREATE, StandardOpenOption.APPEND);
+        } catch (e) {
+            LOGGER.error("Could not write economy audit log: {}", String(e));
+        }
+    }
+
+    function commit(type, from, to, amount, reason) {
+        if (Storage.isAttached()) accounts.save();
+        audit(type, from, to, amount, reason);
+    }
+
+    var economy = {
+        balance: function(who) {
+            return balanceOf(accountOf(who));
+        },
+
+        has: function(who, amount) {
+            return economy.balance(who) >= amount;
+        },
+
+        deposit: function(who, amount, reason) {
+            checkAmount(amount);
+            var account = accountOf(who);
+            store(account, balanceOf(account) + amount);
+            commit("deposit", null, account, amount, reason);
+            return balanceOf(account);
+        },
+
+        withdraw: function(who, amount, reason) {
+            checkAmount(amount);
+            var account = accountOf(who);
+            var balance = balanceOf(account);
+            if (balance < amount) return false;
+            store(account, balance - amount);
+            commit("withdraw", account, null, amount, reason);
+            return true;
+        },
+
+        transfer: function(from, to, amount, reason) {
+            checkAmount(amount);
+            var source = accountOf(from);
+            var target = accountOf(to);
+            if (source.uuid === target.uuid) throw new Error("Can't transfer to the same account");
+            var balance = balanceOf(source);
+            if (balance < amount) return false;
+            store(source, balance - amount);
+            store(target, balanceOf(target) + amount);
+            commit("transfer", source, target, amount, reason);
+            return true;
+        },
+
+        set: function(who, amount, reason) {
+            checkAmount(amount);
+            var account = accountOf(who);
+            store(account, amount);
+            commit("set", null, account, amount, reason);
+        },
+
+        // Richest accounts first: [{ uuid, name, balance }]
+        top: function(limit) {
+            return accounts.keys().map(function(uuid) {
+                var stored = accounts.get(uuid);
+                return { uuid: uuid, name: stored.name, balance: stored.balance };
+            }).sort(function(a, b) {
+                return b.balance - a.balance || a.name.localeCompare(b.name);
+            }).slice(0, limit);
+        },
+
+        format: function(amount) {
+            return amount + " " + Config.get(amount === 1 ? "economy.currencySingular" : "economy.currencyPlural");
+        }
+    };
+
+    return economy;
+})();
+
+Config.define("economy.startingBalance", {
+    type: "int", default: 0, min: 0,
+    description: "Balance of a player who has never had an account"
+});
+
+Config.define("economy.currencySingular", {
+    type: "string", default: "coin",
+    description: "Currency name for an amount of 1"
+});
+
+Config.define("economy.currencyPlural", {
+    type: "string", default: "coins",
+    description: "Currency name for any other amount"
+});
+
+Config.define("daily.coins", {
+    type: "int", default: 0, min: 0,
+    description: "Coins paid by /js daily, on top of daily.rewards (0 for none)"
+});
+
+// ── Placeholders ──
+
+Placeholders.register("eco.balance", {
+    description: "Balance, e.g. 120 coins (arg: raw for the number)",
+    player: true,
+    resolve: function(ctx, args) {
+        var balance = Economy.balance(ctx.player);
+        return placeholderStyle(args, ["raw"]) === "raw" ? String(balance) : Economy.format(balance);
+    }
+});
+
+module.exports = {
+    Economy: Economy
+};
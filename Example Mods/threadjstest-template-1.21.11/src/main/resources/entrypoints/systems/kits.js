@@ -0,0 +1,337 @@
+// ── KITS ───────────────────────────────────────────────────────────────────
+//
+// Kits are read from config/threadjstest-kits.json, which is written with the
+// sample kits on first run. Each kit is keyed by its name:
+//
+//   "diamond": {
+//     "label": "Diamond kit",
+//     "cooldown": 3600,                  // seconds; "perDay"/"perWeek" work too
+//     "once": false,                     // true: each player may claim it once
+//     "level": 0,                        // op level for threadjstest.kit.diamond
+//     "items": [
+//       { "id": "minecraft:diamond_sword", "count": 1, "name": "Trusty Blade",
+//         "lore": ["Issued to new arrivals"], "enchantments": { "minecraft:sharpness": 2 } },
+//       { "id": "minecraft:iron_chestplate", "count": 1, "slot": "chest" }
+//     ]
+//   }
+//
+// An item with a "slot" (head, chest, legs, feet or offhand) is put on that
+// slot when it is empty; everything else goes into the inventory, or drops at
+// the player's feet when it is full.
+//
+// Cooldowns go through the Cooldowns service as the action kit.<name>, so
+// threadjstest.cooldown.bypass.kit.* skips all of them. One-time claims are
+// kept in the "kits" world store. /js kit create snapshots an admin's
+// inventory into a new kit and saves the file.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var Text = Java.type("net.minecraft.text.Text");
+var Identifier = Java.type("net.minecraft.util.Identifier");
+var ItemStack = Java.type("net.minecraft.item.ItemStack");
+var DataComponentTypes = Java.type("net.minecraft.component.DataComponentTypes");
+var LoreComponent = Java.type("net.minecraft.component.type.LoreComponent");
+var EquipmentSlot = Java.type("net.minecraft.entity.EquipmentSlot");
+var Registries = Java.type("net.minecraft.registry.Registries");
+var RegistryKeys = Java.type("net.minecraft.registry.RegistryKeys");
+var FabricLoader = Java.type("net.fabricmc.loader.api.FabricLoader");
+var ArrayList = Java.type("java.util.ArrayList");
+var System = Java.type("java.lang.System");
+var Math = Java.type("java.lang.Math");
+var Files = Java.type("java.nio.file.Files");
+
+var Worlds = require("../helpers/worlds").Worlds;
+var writeFileAtomically = require("../storage").writeFileAtomically;
+var Storage = require("../storage").Storage;
+var Permissions = require("../lib/permissions").Permissions;
+var Cooldowns = require("../lib/cooldowns").Cooldowns;
+var Menus = require("../lib/menus").Menus;
+
+var KIT_SLOTS = {
+    head: EquipmentSlot.HEAD,
+    chest: EquipmentSlot.CHEST,
+    legs: EquipmentSlot.LEGS,
+    feet: EquipmentSlot.FEET,
+    offhand: EquipmentSlot.OFFHAND
+};
+
+var Kits = (function() {
+    var NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+    var RESERVED = ["create", "preview", "reload"];   // /js kit subcommands
+    var claims = Storage.open("kits");                 // uuid -> { kit name -> claimed at (epoch ms) }
+    var kits = Object.create(null);                    // no prototype: "constructor" is a valid kit name
+
+    var SAMPLE_KITS = {
+        starter: {
+            label: "Starter kit",
+            cooldown: 600,
+            items: [
+                { id: "minecraft:iron_sword", count: 1 },
+                { id: "minecraft:iron_pickaxe", count: 1 },
+                { id: "minecraft:iron_axe", count: 1 },
+                { id: "minecraft:iron_chestplate", count: 1, slot: "chest" },
+                { id: "minecraft:bread", count: 16 },
+                { id: "minecraft:torch", count: 32 },
+                { id: "minecraft:oak_planks", count: 64 },
+                { id: "minecraft:crafting_table", count: 1 },
+                { id: "minecraft:furnace", count: 1 }
+            ]
+        },
+        diamond: {
+            label: "Diamond kit",
+            cooldown: 3600,
+            items: [
+                {
+                    id: "minecraft:diamond_sword", count: 1, name: "Trusty Blade",
+                    lore: ["Issued to new arrivals"], enchantments: { "minecraft:sharpness": 2 }
+                },
+                { id: "minecraft:diamond_pickaxe", count: 1 },
+                { id: "minecraft:cooked_beef", count: 32 },
+                { id: "minecraft:torch", count: 64 },
+                { id: "minecraft:oak_planks", count: 64 }
+            ]
+        }
+    };
+
+    function file() {
+        return FabricLoader.getInstance().getConfigDir().resolve("threadjstest-kits.json");
+    }
+
+    function isCount(value) {
+        return typeof value === "number" && value % 1 === 0 && value >= 0;
+    }
+
+    // Checks one item entry; returns an error message or null. Enchantment
+    // ids can only be checked against a running server, so unknown ones are
+    // logged and skipped when the kit is handed out.
+    function itemProblem(entry) {
+        if (entry === null || typeof entry !== "object" || typeof entry.id !== "string") return "needs an \"id\"";
+        var id = Identifier.tryParse(entry.id);
+        if (id === null || !Registries.ITEM.containsId(id)) return "unknown item " + entry.id;
+        if (!isCount(entry.count) || entry.count < 1) return entry.id + " needs a count of at least 1";
+        if (entry.name !== undefined && typeof entry.name !== "string") return entry.id + ": name must be a string";
+        if (entry.lore !== undefined && (!Array.isArray(entry.lore) || entry.lore.some(function(line) { return typeof line !== "string"; }))) {
+            return entry.id + ": lore must be a list of strings";
+        }
+        if (entry.enchantments !== undefined) {
+            if (entry.enchantments === null || typeof entry.enchantments !== "object") return entry.id + ": enchantments must be an object";
+            for (var enchantment in entry.enchantments) {
+                if (Identifier.tryParse(enchantment) === null) return entry.id + ": bad enchantment id " + enchantment;
+                if (!isCount(entry.enchantments[enchantment]) || entry.enchantments[enchantment] < 1) {
+                    return entry.id + ": " + enchantment + " needs a level of at least 1";
+                }
+            }
+        }
+        if (entry.slot !== undefined && !Object.prototype.hasOwnProperty.call(KIT_SLOTS, entry.slot)) {
+            return entry.id + ": slot must be one of " + Object.keys(KIT_SLOTS).join(", ");
+        }
+        return null;
+    }
+
+    // Checks a kit and fills in defaults; returns an error message or null.
+    function prepare(name, kit) {
+        if (!NAME_PATTERN.test(name) || RESERVED.indexOf(name) >= 0) {
+            return "names use a-z, 0-9, _ and -, and can't be " + RESERVED.join(", ");
+        }
+        if (kit === null || typeof kit !== "object") return "must be an object";
+        if (!Array.isArray(kit.items) || kit.items.length === 0) return "needs at least one item";
+        for (var i = 0; i < kit.items.length; i++) {
+            var problem = itemProblem(kit.items[i]);
+            if (problem !== null) return "item " + (i + 1) + ": " + problem;
+        }
+        var limits = ["cooldown", "perDay", "perWeek", "level"];
+        for (var j = 0; j < limits.length; j++) {
+            if (kit[limits[j]] === undefined) kit[limits[j]] = 0;
+            if (!isCount(kit[limits[j]])) return limits[j] + " must be a whole number of at least 0";
+        }
+        if (kit.label === undefined) kit.label = name;
+        kit.once = kit.once === true;
+        return null;
+    }
+
+    function register(name, kit) {
+        kits[name] = kit;
+        Permissions.require("threadjstest.kit." + name, kit.level);
+        Cooldowns.define("kit." + name, {
+            label: kit.label, seconds: kit.cooldown, perDay: kit.perDay, perWeek: kit.perWeek, config: false
+        });
+    }
+
+    function buildStack(world, entry) {
+        var stack = new ItemStack(Registries.ITEM.get(Identifier.of(entry.id)), entry.count);
+        if (entry.name !== undefined) stack.set(DataComponentTypes.CUSTOM_NAME, Text.literal(entry.name));
+        if (entry.lore !== undefined) {
+            var lines = new ArrayList();
+            entry.lore.forEach(function(line) { lines.add(Text.literal(line)); });
+            stack.set(DataComponentTypes.LORE, new LoreComponent(lines));
+        }
+        if (entry.enchantments !== undefined) {
+            var registry = world.getRegistryManager().getOrThrow(RegistryKeys.ENCHANTMENT);
+            for (var id in entry.enchantments) {
+                var enchantment = registry.getEntry(Identifier.of(id));
+                if (enchantment.isPresent()) stack.addEnchantment(enchantment.get(), entry.enchantments[id]);
+                else LOGGER.warn("Kit item {}: unknown enchantment {}", entry.id, id);
+            }
+        }
+        return stack;
+    }
+
+    // The kit file form of an ItemStack.
+    function describeStack(stack) {
+        var entry = { id: Registries.ITEM.getId(stack.getItem()).toString(), count: stack.getCount() };
+        var name = stack.get(DataComponentTypes.CUSTOM_NAME);
+        if (name !== null) entry.name = name.getString();
+        var lore = stack.get(DataComponentTypes.LORE);
+        if (lore !== null && !lore.lines().isEmpty()) {
+            entry.lore = [];
+            for (var i = 0; i < lore.lines().size(); i++) entry.lore.push(lore.lines().get(i).getString());
+        }
+        var enchantments = stack.getEnchantments();
+        if (!enchantments.isEmpty()) {
+            entry.enchantments = {};
+            var it = enchantments.getEnchantments().iterator();
+            while (it.hasNext()) {
+                var enchantment = it.next();
+                entry.enchantments[enchantment.getIdAsString()] = enchantments.getLevel(enchantment);
+            }
+        }
+        return entry;
+    }
+
+    var api = {
+        // (Re)reads the kits file, writing the samples first if it is
+        // missing. Returns a list of problems; bad kits are skipped.
+        load: function() {
+            var path = file();
+            if (!Files.exists(path)) writeFileAtomically(path, JSON.stringify(SAMPLE_KITS, null, 2));
+            var contents = JSON.parse(String(Files.readString(path)));
+            if (contents === null || typeof contents !== "object" || Array.isArray(contents)) {
+                throw new Error("threadjstest-kits.json must contain a JSON object");
+            }
+
+            kits = Object.create(null);
+            var problems = [];
+            Object.keys(contents).forEach(function(name) {
+                var problem = prepare(name, contents[name]);
+                if (problem !== null) {
+                    problems.push(name + ": " + problem);
+                    LOGGER.warn("Skipping kit '{}' from threadjstest-kits.json: {}", name, problem);
+                    return;
+                }
+                register(name, contents[name]);
+            });
+            LOGGER.info("Loaded {} kits from threadjstest-kits.json", Object.keys(kits).length);
+            return problems;
+        },
+
+        get: function(name) {
+            return kits[name] || null;
+        },
+
+        names: function() {
+            return Object.keys(kits).sort();
+        },
+
+        canUse: function(player, name) {
+            return kits[name] !== undefined && Permissions.has(player, "threadjstest.kit." + name);
+        },
+
+        // Kits the player has permission for.
+        usable: function(player) {
+            return api.names().filter(function(name) { return api.canUse(player, name); });
+        },
+
+        // Whether a one-time kit has been claimed already.
+        claimed: function(player, name) {
+            var claimed = claims.get(player.getUuid().toString());
+            return kits[name].once && claimed !== null && Object.prototype.hasOwnProperty.call(claimed, name);
+        },
+
+        // ms until the kit's cooldown or quota allows another claim.
+        remaining: function(player, name) {
+            return Cooldowns.remaining(player, "kit." + name);
+        },
+
+        // Hands the kit out and records the claim. Check claimed() and
+        // remaining() first.
+        claim: function(player, name) {
+            var kit = kits[name];
+            var world = Worlds.of(player);
+            kit.items.forEach(function(entry) {
+                var stack = buildStack(world, entry);
+                var slot = entry.slot === undefined ? null : KIT_SLOTS[entry.slot];
+                if (slot !== null && player.getEquippedStack(slot).isEmpty()) player.equipStack(slot, stack);
+                else player.getInventory().offerOrDrop(stack);
+            });
+
+            Cooldowns.use(player, "kit." + name);
+            if (kit.once) {
+                var uuid = player.getUuid().toString();
+                var claimed = claims.get(uuid) || {};
+                claimed[name] = System.currentTimeMillis();
+                claims.set(uuid, claimed);
+            }
+            return kit;
+        },
+
+        // Shows the kit in a menu the player can't take items from. A kit
+        // with more items than six rows hold is shown in pages.
+        preview: function(player, name) {
+            var kit = kits[name];
+            var world = Worlds.of(player);
+            if (kit.items.length > 6 * 9) {
+                Menus.paged(player, {
+                    title: Text.literal(kit.label),
+                    entries: kit.items,
+                    render: function(entry) { return { icon: buildStack(world, entry) }; }
+                });
+                return;
+            }
+            var rows = Math.max(1, Math.ceil(kit.items.length / 9));
+            var slots = {};
+            kit.items.forEach(function(entry, i) {
+                slots[i] = { icon: buildStack(world, entry) };
+            });
+            Menus.open(player, { title: Text.literal(kit.label), rows: rows, slots: slots });
+        },
+
+        // Saves the player's inventory, armor and offhand as a new kit.
+        create: function(player, name) {
+            if (!NAME_PATTERN.test(name)) throw new Error("Kit names use a-z, 0-9, _ and -, up to 32 characters.");
+            if (RESERVED.indexOf(name) >= 0) throw new Error("'" + name + "' is a /js kit subcommand.");
+            if (kits[name] !== undefined) throw new Error("There is already a kit called '" + name + "'.");
+
+            var items = [];
+            var inventory = player.getInventory();
+            for (var i = 0; i < 36; i++) {       // hotbar and main inventory
+                var stack = inventory.getStack(i);
+                if (!stack.isEmpty()) items.push(describeStack(stack));
+            }
+            Object.keys(KIT_SLOTS).forEach(function(slot) {
+                var equipped = player.getEquippedStack(KIT_SLOTS[slot]);
+                if (equipped.isEmpty()) return;
+                var entry = describeStack(equipped);
+                entry.slot = slot;
+                items.push(entry);
+            });
+            if (items.length === 0) throw new Error("Your inventory is empty.");
+
+            var path = file();
+            var contents = Files.exists(path) ? JSON.parse(String(Files.readString(path))) : {};
+            var kit = { label: name, cooldown: 0, once: false, items: items };
+            contents[name] = JSON.parse(JSON.stringify(kit));
+            writeFileAtomically(path, JSON.stringify(contents, null, 2));
+
+            prepare(name, kit);
+            register(name, kit);
+            return kit;
+        }
+    };
+
+    return api;
+})();
+
+module.exports = {
+    KIT_SLOTS: KIT_SLOTS,
+    Kits: Kits
+};
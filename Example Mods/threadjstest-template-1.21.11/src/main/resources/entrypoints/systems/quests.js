@@ -0,0 +1,410 @@
+// ── QUESTS ─────────────────────────────────────────────────────────────────
+//
+// Data-driven quests with per-player progress in the "quests" world store.
+// A quest is a plain object, defined in JS or listed in
+// config/threadjstest-quests.json (a JSON array of the same objects):
+//
+//   Quests.define({
+//       id: "zombie_hunter",
+//       name: "Zombie Hunter",
+//       description: "Clear out the zombies around spawn",
+//       objectives: [
+//           { type: "kill", entity: "minecraft:zombie", count: 5 },
+//           { type: "collect", item: "minecraft:rotten_flesh", count: 8 },
+//           { type: "reach", x: 0, z: 0, radius: 16 },   // optional y, dimension
+//           { type: "command", command: "/js home set" }
+//       ],
+//       rewards: { items: [{ id: "minecraft:iron_ingot", count: 5 }], coins: 25 },
+//       repeatable: false
+//   });
+//
+// Kills come from the entity.death event and commands from
+// Commands.onRun (so only builder commands count). Collect and reach
+// objectives are checked once a second by Quests.tick(); collect counts what
+// is in the inventory and never takes the items. Every change in progress is
+// shown on the action bar.
+
+var LoggerFactory = Java.type("org.slf4j.LoggerFactory");
+var LOGGER = LoggerFactory.getLogger("threadjstest");
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var Identifier = Java.type("net.minecraft.util.Identifier");
+var SoundEvents = Java.type("net.minecraft.sound.SoundEvents");
+var SoundCategory = Java.type("net.minecraft.sound.SoundCategory");
+var Registries = Java.type("net.minecraft.registry.Registries");
+var FabricLoader = Java.type("net.fabricmc.loader.api.FabricLoader");
+var Math = Java.type("java.lang.Math");
+var Files = Java.type("java.nio.file.Files");
+
+var Worlds = require("../helpers/worlds").Worlds;
+var Storage = require("../storage").Storage;
+var Config = require("../lib/config").Config;
+var itemListProblem = require("../lib/config").itemListProblem;
+var giveItems = require("../lib/config").giveItems;
+var OVERWORLD_ID = require("../storage/locations").OVERWORLD_ID;
+var captureLocation = require("../storage/locations").captureLocation;
+var Placeholders = require("../lib/placeholders").Placeholders;
+var placeholderStyle = require("../lib/placeholders").placeholderStyle;
+var Hud = require("../lib/hud").Hud;
+var Economy = require("./economy").Economy;
+
+var Quests = (function() {
+    var ID_PATTERN = /^[a-z0-9_]+$/;
+    var progressData = Storage.open("quests");  // uuid -> { active: { id: [n, ...] }, completed: { id: times } }
+    var quests = Object.create(null);  // no prototype: "constructor" is a valid quest id
+    var order = [];
+
+    function registryName(registry, idString) {
+        return registry.get(Identifier.of(idString)).getName().getString();
+    }
+
+    // Checks one objective and fills in defaults; returns an error or null.
+    function prepareObjective(o) {
+        if (o === null || typeof o !== "object") return "objective must be an object";
+        var id;
+        if (o.type === "kill") {
+            id = typeof o.entity === "string" ? Identifier.tryParse(o.entity) : null;
+            if (id === null || !Registries.ENTITY_TYPE.containsId(id)) return "unknown entity: " + o.entity;
+        } else if (o.type === "collect") {
+            id = typeof o.item === "string" ? Identifier.tryParse(o.item) : null;
+            if (id === null || !Registries.ITEM.containsId(id)) return "unknown item: " + o.item;
+        } else if (o.type === "reach") {
+            if (typeof o.x !== "number" || typeof o.z !== "number") return "reach needs numeric x and z";
+            if (o.y !== undefined && typeof o.y !== "number") return "reach y must be a number";
+            if (o.radius === undefined) o.radius = 8;
+            if (o.dimension === undefined) o.dimension = OVERWORLD_ID;
+            o.count = 1;
+        } else if (o.type === "command") {
+            if (typeof o.command !== "string" || o.command.charAt(0) !== "/") return "command must start with /";
+            o.command = o.command.trim().toLowerCase();
+        } else {
+            return "unknown objective type '" + o.type + "' (kill, collect, reach, command)";
+        }
+        if (o.count === undefined) o.count = 1;
+        if (typeof o.count !== "number" || o.count % 1 !== 0 || o.count < 1) return "count must be at least 1";
+        return null;
+    }
+
+    function label(o) {
+        if (o.label) return o.label;
+        if (o.type === "kill") return "Kill " + registryName(Registries.ENTITY_TYPE, o.entity);
+        if (o.type === "collect") return "Collect " + registryName(Registries.ITEM, o.item);
+        if (o.type === "reach") return "Reach " + Math.round(o.x) + ", " + (o.y === undefined ? "" : Math.round(o.y) + ", ") + Math.round(o.z);
+        return "Run " + o.command;
+    }
+
+    // Copies a stored id -> value map into one without a prototype, so an id
+    // like "constructor" only finds what was stored under it.
+    function idMap(stored) {
+        var map = Object.create(null);
+        if (stored) Object.keys(stored).forEach(function(id) { map[id] = stored[id]; });
+        return map;
+    }
+
+    function stateOf(uuid) {
+        var state = progressData.get(uuid);
+        if (state === null) return { active: idMap(null), completed: idMap(null) };
+        return { active: idMap(state.active), completed: idMap(state.completed) };
+    }
+
+    // Progress array for an active quest, padded if the definition grew.
+    function progressOf(state, quest) {
+        var progress = state.active[quest.id];
+        while (progress.length < quest.objectives.length) progress.push(0);
+        return progress;
+    }
+
+    function isDone(quest, progress) {
+        for (var i = 0; i < quest.objectives.length; i++) {
+            if (progress[i] < quest.objectives[i].count) return false;
+        }
+        return true;
+    }
+
+    function showProgress(player, quest, index, value) {
+        var o = quest.objectives[index];
+        player.sendMessage(Text.literal("\uD83D\uDCDC " + quest.name + ": ").formatted(Formatting.GOLD)
+            .append(Text.literal(label(o) + " " + Math.min(value, o.count) + "/" + o.count)
+                .formatted(value >= o.count ? Formatting.GREEN : Formatting.YELLOW)), true);
+    }
+
+    function complete(player, state, quest) {
+        delete state.active[quest.id];
+        state.completed[quest.id] = (state.completed[quest.id] || 0) + 1;
+
+        var rewards = quest.rewards;
+        giveItems(player, rewards.items);
+        if (rewards.coins > 0) Economy.deposit(player, rewards.coins, "quest " + quest.id);
+
+        var text = Text.literal("\uD83D\uDCDC Quest complete: ").formatted(Formatting.GOLD)
+            .append(Text.literal(quest.name).formatted(Formatting.AQUA));
+        if (rewards.coins > 0) text.append(Text.literal(" (+" + Economy.format(rewards.coins) + ")").formatted(Formatting.YELLOW));
+        player.sendMessage(text);
+        Worlds.sound(Worlds.at(player), SoundEvents.UI_TOAST_CHALLENGE_COMPLETE, SoundCategory.PLAYERS);
+    }
+
+    // Runs update(objective, current) -> new value for every matching
+    // objective of the player's active quests.
+    function advance(player, type, update) {
+        var uuid = player.getUuid().toString();
+        if (!progressData.has(uuid)) return;
+        var state = stateOf(uuid);
+
+        var changed = false;
+        Object.keys(state.active).forEach(function(id) {
+            var quest = quests[id];
+            if (!quest) return;
+            var progress = progressOf(state, quest);
+            for (var i = 0; i < quest.objectives.length; i++) {
+                var o = quest.objectives[i];
+                if (o.type !== type || progress[i] >= o.count) continue;
+                var value = Math.min(update(o, progress[i]), o.count);
+                if (value === progress[i]) continue;
+                progress[i] = value;
+                changed = true;
+                showProgress(player, quest, i, value);
+            }
+            if (isDone(quest, progress)) {
+                complete(player, state, quest);
+                changed = true;
+            }
+        });
+        if (changed) progressData.set(uuid, state);
+    }
+
+    function isNear(player, o) {
+        if (captureLocation(player).dimension !== o.dimension) return false;
+        var dx = player.getX() - o.x;
+        var dz = player.getZ() - o.z;
+        var dy = o.y === undefined ? 0 : player.getY() - o.y;
+        return dx * dx + dy * dy + dz * dz <= o.radius * o.radius;
+    }
+
+    var api = {
+        // Validates a definition; throws with the quest id and the problem.
+        define: function(def) {
+            if (!def || typeof def.id !== "string" || !ID_PATTERN.test(def.id)) {
+                throw new Error("Quest id must match " + ID_PATTERN + ", got " + (def && def.id));
+            }
+            if (quests[def.id]) throw new Error("Quest '" + def.id + "' is already defined");
+            if (!Array.isArray(def.objectives) || def.objectives.length === 0) {
+                throw new Error("Quest '" + def.id + "' needs at least one objective");
+            }
+            var objectives = JSON.parse(JSON.stringify(def.objectives));
+            for (var i = 0; i < objectives.length; i++) {
+                var problem = prepareObjective(objectives[i]);
+                if (problem !== null) throw new Error("Quest '" + def.id + "', objective " + (i + 1) + ": " + problem);
+            }
+            var rewards = def.rewards || {};
+            var items = rewards.items || [];
+            var itemProblem = itemListProblem(items);
+            if (itemProblem !== null) throw new Error("Quest '" + def.id + "' rewards: " + itemProblem);
+            var coins = rewards.coins || 0;
+            if (typeof coins !== "number" || coins % 1 !== 0 || coins < 0) {
+                throw new Error("Quest '" + def.id + "' reward coins must be a whole number of at least 0");
+            }
+
+            quests[def.id] = {
+                id: def.id,
+                name: def.name || def.id,
+                description: def.description || "",
+                objectives: objectives,
+                rewards: { items: items, coins: coins },
+                repeatable: def.repeatable === true
+            };
+            order.push(def.id);
+        },
+
+        // Defines every quest in config/threadjstest-quests.json, if it
+        // exists. Bad entries are logged and skipped.
+        loadFile: function() {
+            var path = FabricLoader.getInstance().getConfigDir().resolve("threadjstest-quests.json");
+            if (!Files.exists(path)) return 0;
+            var list = JSON.parse(String(Files.readString(path)));
+            if (!Array.isArray(list)) throw new Error("threadjstest-quests.json must contain a JSON array");
+            var loaded = 0;
+            list.forEach(function(def) {
+                try {
+                    api.define(def);
+                    loaded++;
+                } catch (e) {
+                    LOGGER.warn("Skipping quest from threadjstest-quests.json: {}", String(e.message || e));
+                }
+            });
+            LOGGER.info("Loaded {} quests from threadjstest-quests.json", loaded);
+            return loaded;
+        },
+
+        get: function(id) {
+            return quests[id] || null;
+        },
+
+        ids: function() {
+            return order.slice();
+        },
+
+        // "active", "completed" or "available"
+        status: function(player, id) {
+            var state = stateOf(player.getUuid().toString());
+            if (state.active[id]) return "active";
+            if (state.completed[id] && !quests[id].repeatable) return "completed";
+            return "available";
+        },
+
+        start: function(player, id) {
+            var quest = quests[id];
+            if (!quest) throw new Error("Unknown quest: " + id);
+            var status = api.status(player, id);
+            if (status === "active") throw new Error("You are already on " + quest.name + ".");
+            if (status === "completed") throw new Error("You have already completed " + quest.name + ".");
+
+            var uuid = player.getUuid().toString();
+            var state = stateOf(uuid);
+            state.active[id] = quest.objectives.map(function() { return 0; });
+            progressData.set(uuid, state);
+            return quest;
+        },
+
+        abandon: function(player, id) {
+            var uuid = player.getUuid().toString();
+            var state = stateOf(uuid);
+            if (!state.active[id]) return false;
+            delete state.active[id];
+            progressData.set(uuid, state);
+            return true;
+        },
+
+        // Active quest ids for a player.
+        active: function(player) {
+            return Object.keys(stateOf(player.getUuid().toString()).active).filter(function(id) {
+                return quests[id] !== undefined;
+            });
+        },
+
+        // [{ label, current, target }] for an active quest, or null.
+        progress: function(player, id) {
+            var state = stateOf(player.getUuid().toString());
+            var quest = quests[id];
+            if (!quest || !state.active[id]) return null;
+            var progress = progressOf(state, quest);
+            return quest.objectives.map(function(o, i) {
+                return { label: label(o), current: Math.min(progress[i], o.count), target: o.count };
+            });
+        },
+
+        recordKill: function(player, entity) {
+            var type = Registries.ENTITY_TYPE.getId(entity.getType()).toString();
+            advance(player, "kill", function(o, current) {
+                return o.entity === type ? current + 1 : current;
+            });
+        },
+
+        recordCommand: function(player, command) {
+            command = command.toLowerCase();
+            advance(player, "command", function(o, current) {
+                return o.command === command ? current + 1 : current;
+            });
+        },
+
+        // Checks collect and reach objectives for everyone online.
+        tick: function(server) {
+            var players = server.getPlayerManager().getPlayerList();
+            for (var i = 0; i < players.size(); i++) {
+                var player = players.get(i);
+                if (!progressData.has(player.getUuid().toString())) continue;
+                advance(player, "collect", function(o, current) {
+                    return Math.max(current, player.getInventory().count(Registries.ITEM.get(Identifier.of(o.item))));
+                });
+                advance(player, "reach", function(o, current) {
+                    return isNear(player, o) ? 1 : current;
+                });
+            }
+        }
+    };
+
+    return api;
+})();
+
+// ── Placeholders ──
+
+// The player's first active quest, with its objectives added up:
+// { quest, current, target }, or null.
+function questSummary(player) {
+    var id = Quests.active(player)[0];
+    if (id === undefined) return null;
+    var summary = { quest: Quests.get(id), current: 0, target: 0 };
+    Quests.progress(player, id).forEach(function(step) {
+        summary.current += step.current;
+        summary.target += step.target;
+    });
+    return summary;
+}
+
+Placeholders.register("quest.name", {
+    description: "Name of the first active quest, or none",
+    player: true,
+    resolve: function(ctx, args) {
+        var summary = questSummary(ctx.player);
+        return summary === null ? "none" : summary.quest.name;
+    }
+});
+
+Placeholders.register("quest.progress", {
+    description: "Objectives done in that quest, e.g. 3/13, or empty (arg: percent for 23%)",
+    player: true,
+    resolve: function(ctx, args) {
+        var percent = placeholderStyle(args, ["percent"]) === "percent";
+        var summary = questSummary(ctx.player);
+        if (summary === null) return "";
+        return percent ? Math.floor(100 * summary.current / summary.target) + "%" : summary.current + "/" + summary.target;
+    }
+});
+
+// ── Quest boss bar ──
+
+Hud.bossBar("quest", function(player) {
+    var summary = Config.get("hud.questBar") ? questSummary(player) : null;
+    if (summary === null) return null;
+    return {
+        text: "<gold>\uD83D\uDCDC {quest.name} <yellow>{quest.progress}",
+        progress: summary.current / summary.target,
+        color: "yellow",
+        style: "notched_10"
+    };
+});
+
+// ── Quests offered by this script ──
+
+Quests.define({
+    id: "getting_started",
+    name: "Getting Started",
+    description: "Learn the basics: read the help, set a home and visit spawn",
+    objectives: [
+        { type: "command", command: "/js help", label: "Open /js help" },
+        { type: "command", command: "/js home set", label: "Set a home" },
+        { type: "reach", x: 0, z: 0, radius: 32, label: "Visit spawn" }
+    ],
+    rewards: { items: [{ id: "minecraft:bread", count: 8 }], coins: 10 }
+});
+
+Quests.define({
+    id: "zombie_hunter",
+    name: "Zombie Hunter",
+    description: "Thin out the undead",
+    objectives: [{ type: "kill", entity: "minecraft:zombie", count: 5 }],
+    rewards: { items: [{ id: "minecraft:iron_ingot", count: 5 }], coins: 25 },
+    repeatable: true
+});
+
+Quests.define({
+    id: "lumberjack",
+    name: "Lumberjack",
+    description: "Gather a stack of oak logs",
+    objectives: [{ type: "collect", item: "minecraft:oak_log", count: 32 }],
+    rewards: { items: [{ id: "minecraft:iron_axe", count: 1 }], coins: 15 }
+});
+
+module.exports = {
+    Quests: Quests,
+    questSummary: questSummary
+};
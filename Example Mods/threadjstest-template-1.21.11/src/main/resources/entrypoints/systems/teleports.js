@@ -0,0 +1,241 @@
+// ── TELEPORT REQUESTS ──────────────────────────────────────────────────────
+//
+// /js tpa asks to go to another player, /js tpahere asks them to come to you.
+// The target gets clickable [Accept] / [Deny] buttons; requests nobody
+// answers expire after teleport.requestTimeoutSeconds.
+//
+// Accepted requests and /js back start a warmup of teleport.warmupSeconds
+// that is cancelled if the player being moved walks away or takes damage.
+// Players with threadjstest.teleport.instant (op level 2 by default) skip it.
+//
+//   Teleports.teleport(player, server, loc)   // teleportToLocation() that /js back can undo
+//   Teleports.rememberBack(player)            // before teleporting some other way
+//
+// Back locations live in the "back" world store; pending requests and
+// warmups are in memory only and are dropped when either player leaves.
+
+var Text = Java.type("net.minecraft.text.Text");
+var Formatting = Java.type("net.minecraft.util.Formatting");
+var ClickEvent = Java.type("net.minecraft.text.ClickEvent");
+var HoverEvent = Java.type("net.minecraft.text.HoverEvent");
+var UUID = Java.type("java.util.UUID");
+
+var Storage = require("../storage").Storage;
+var Scheduler = require("../lib/scheduler").Scheduler;
+var OP_LEVEL_GAMEMASTER = require("../lib/permissions").OP_LEVEL_GAMEMASTER;
+var Permissions = require("../lib/permissions").Permissions;
+var Config = require("../lib/config").Config;
+var captureLocation = require("../storage/locations").captureLocation;
+var teleportToLocation = require("../storage/locations").teleportToLocation;
+var colorText = require("../helpers/text").colorText;
+
+var Teleports = (function() {
+    var backData = Storage.open("back");   // uuid -> location before the last teleport or death
+    var requests = [];                      // { from, fromName, to, toName, here, expiry }
+    var warmups = {};                       // uuid -> scheduler handle
+    var isInstant = Permissions.require("threadjstest.teleport.instant", OP_LEVEL_GAMEMASTER);
+
+    function uuidOf(player) {
+        return player.getUuid().toString();
+    }
+
+    function online(server, uuid) {
+        return server.getPlayerManager().getPlayer(UUID.fromString(uuid));
+    }
+
+    function notify(server, uuid, text) {
+        var player = online(server, uuid);
+        if (player !== null) player.sendMessage(text);
+    }
+
+    function drop(request) {
+        var i = requests.indexOf(request);
+        if (i >= 0) requests.splice(i, 1);
+        request.expiry.cancel();
+    }
+
+    // The newest request in list, or the one whose `field` matches name.
+    function pick(list, field, name) {
+        for (var i = list.length - 1; i >= 0; i--) {
+            if (name === undefined || list[i][field].toLowerCase() === name.toLowerCase()) return list[i];
+        }
+        return null;
+    }
+
+    function stopWarmup(uuid) {
+        var task = warmups[uuid];
+        if (task === undefined) return false;
+        task.cancel();
+        delete warmups[uuid];
+        return true;
+    }
+
+    function button(label, color, command, hover) {
+        return Text.literal(label).styled(function(style) {
+            return style.withColor(color).withBold(true)
+                .withClickEvent(new ClickEvent.RunCommand(command))
+                .withHoverEvent(new HoverEvent.ShowText(Text.literal(hover)));
+        });
+    }
+
+    var api = {
+        rememberBack: function(player) {
+            backData.set(uuidOf(player), captureLocation(player));
+        },
+
+        back: function(player) {
+            return backData.get(uuidOf(player));
+        },
+
+        // Like teleportToLocation(), but remembers where the player came from.
+        teleport: function(player, server, loc) {
+            var from = captureLocation(player);
+            if (!teleportToLocation(player, server, loc)) return false;
+            backData.set(uuidOf(player), from);
+            return true;
+        },
+
+        // Runs action after the warmup, unless the player moves or is hurt first.
+        warmup: function(player, action) {
+            var uuid = uuidOf(player);
+            stopWarmup(uuid);
+
+            var seconds = Config.get("teleport.warmupSeconds");
+            if (seconds === 0 || isInstant(player.getCommandSource())) {
+                action();
+                return;
+            }
+
+            var x = player.getX(), y = player.getY(), z = player.getZ();
+            var due = Scheduler.currentTick() + seconds * 20;
+            player.sendMessage(colorText("\u231B Teleporting in " + seconds + "s \u2014 don't move.", Formatting.YELLOW), true);
+
+            warmups[uuid] = Scheduler.forPlayer(player).runTimer(5, 5, function(handle) {
+                var dx = player.getX() - x, dy = player.getY() - y, dz = player.getZ() - z;
+                if (dx * dx + dy * dy + dz * dz > 0.25) {
+                    api.interrupt(player, "you moved");
+                } else if (Scheduler.currentTick() >= due) {
+                    stopWarmup(uuid);
+                    action();
+                }
+            });
+        },
+
+        interrupt: function(player, reason) {
+            if (!stopWarmup(uuidOf(player))) return false;
+            player.sendMessage(colorText("\u2716 Teleport cancelled: " + reason + ".", Formatting.RED));
+            return true;
+        },
+
+        incoming: function(player) {
+            var uuid = uuidOf(player);
+            return requests.filter(function(r) { return r.to === uuid; });
+        },
+
+        outgoing: function(player) {
+            var uuid = uuidOf(player);
+            return requests.filter(function(r) { return r.from === uuid; });
+        },
+
+        // here = false: `from` goes to `to` (/js tpa); true: `to` comes to `from`.
+        // A new request replaces an earlier one between the same two players.
+        request: function(server, from, to, here) {
+            var fromId = uuidOf(from), toId = uuidOf(to);
+            if (fromId === toId) throw new Error("You can't send a teleport request to yourself.");
+            requests.filter(function(r) { return r.from === fromId && r.to === toId; }).forEach(drop);
+
+            var seconds = Config.get("teleport.requestTimeoutSeconds");
+            var request = {
+                from: fromId, fromName: from.getName().getString(),
+                to: toId, toName: to.getName().getString(),
+                here: here, expiry: null
+            };
+            request.expiry = Scheduler.runLater(seconds * 20, function() {
+                var i = requests.indexOf(request);
+                if (i < 0) return;
+                requests.splice(i, 1);
+                notify(server, request.from, colorText("Your teleport request to " + request.toName + " expired.", Formatting.GRAY));
+                notify(server, request.to, colorText("The teleport request from " + request.fromName + " expired.", Formatting.GRAY));
+            });
+            requests.push(request);
+
+            to.sendMessage(Text.literal("\u2709 " + request.fromName
+                    + (here ? " wants you to teleport to them. " : " wants to teleport to you. ")).formatted(Formatting.GOLD)
+                .append(button("[Accept]", Formatting.GREEN, "/js tpaccept " + request.fromName, "Click to accept"))
+                .append(Text.literal(" "))
+                .append(button("[Deny]", Formatting.RED, "/js tpdeny " + request.fromName, "Click to deny"))
+                .append(Text.literal(" (" + seconds + "s)").formatted(Formatting.GRAY)));
+            return request;
+        },
+
+        // Accepts the newest request to player (or the one from `name`) and
+        // starts the warmup. Returns null when there is no such request, and
+        // throws when the requester is no longer online (a request can outlive
+        // them, e.g. across a hot reload).
+        accept: function(server, player, name) {
+            var request = pick(api.incoming(player), "fromName", name);
+            if (request === null) return null;
+            drop(request);
+
+            var requester = online(server, request.from);
+            if (requester === null) throw new Error("Can't accept: the other player left.");
+            var mover = request.here ? player : requester;
+            var destinationId = request.here ? request.from : request.to;
+            requester.sendMessage(colorText("\u2714 " + request.toName + " accepted your teleport request.", Formatting.GREEN));
+
+            api.warmup(mover, function() {
+                var destination = online(server, destinationId);
+                if (destination === null) {
+                    mover.sendMessage(colorText("\u2716 Teleport cancelled: the other player left.", Formatting.RED));
+                    return;
+                }
+                api.teleport(mover, server, captureLocation(destination));
+                mover.sendMessage(colorText("\u2708 Teleported to " + destination.getName().getString() + ".", Formatting.GREEN));
+            });
+            return request;
+        },
+
+        deny: function(server, player, name) {
+            var request = pick(api.incoming(player), "fromName", name);
+            if (request === null) return null;
+            drop(request);
+            notify(server, request.from, colorText("\u2716 " + request.toName + " denied your teleport request.", Formatting.RED));
+            return request;
+        },
+
+        cancel: function(server, player, name) {
+            var request = pick(api.outgoing(player), "toName", name);
+            if (request === null) return null;
+            drop(request);
+            notify(server, request.to, colorText(request.fromName + " cancelled their teleport request.", Formatting.GRAY));
+            return request;
+        },
+
+        // Drops the leaving player's warmup and every request they are part of.
+        forget: function(server, player) {
+            var uuid = uuidOf(player);
+            stopWarmup(uuid);
+            requests.filter(function(r) { return r.from === uuid || r.to === uuid; }).forEach(function(r) {
+                drop(r);
+                var other = r.from === uuid ? r.to : r.from;
+                notify(server, other, colorText("Teleport request cancelled: " + player.getName().getString() + " left.", Formatting.GRAY));
+            });
+        }
+    };
+
+    return api;
+})();
+
+Config.define("teleport.requestTimeoutSeconds", {
+    type: "int", default: 60, min: 5,
+    description: "How long /js tpa and /js tpahere requests stay open"
+});
+
+Config.define("teleport.warmupSeconds", {
+    type: "int", default: 3, min: 0,
+    description: "Seconds to stand still before an accepted request or /js back teleports (0 = instant)"
+});
+
+module.exports = {
+    Teleports: Teleports
+};
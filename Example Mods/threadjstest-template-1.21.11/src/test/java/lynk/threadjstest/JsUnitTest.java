@@ -0,0 +1,75 @@
+package lynk.threadjstest;
+
+import java.io.IOException;
+import java.nio.file.Files;
+import java.nio.file.Path;
+import java.util.ArrayList;
+import java.util.List;
+import java.util.stream.Stream;
+
+import org.graalvm.polyglot.Context;
+import org.graalvm.polyglot.HostAccess;
+import org.graalvm.polyglot.PolyglotException;
+import org.graalvm.polyglot.Source;
+import org.graalvm.polyglot.Value;
+import org.junit.jupiter.api.DynamicContainer;
+import org.junit.jupiter.api.DynamicNode;
+import org.junit.jupiter.api.DynamicTest;
+import org.junit.jupiter.api.TestFactory;
+import org.opentest4j.AssertionFailedError;
+
+// Runs every src/test/js/*.test.js on GraalJS, without Minecraft. Each file
+// gets its own context with harness.js evaluated first, and each of its `it`
+// blocks becomes a JUnit test, so `./gradlew test` reports them in
+// build/test-results/test like any other test.
+public class JsUnitTest {
+	private static final Path TESTS = Path.of("src/test/js");
+	private static final Path SCRIPTS = Path.of("src/main/resources");
+
+	// Bound as __host, for harness.js's require().
+	public static class Host {
+		// The file's text, or null when there is no such file.
+		public String read(String path) throws IOException {
+			Path file = SCRIPTS.resolve(path);
+			return Files.isRegularFile(file) ? Files.readString(file) : null;
+		}
+	}
+
+	@TestFactory
+	Stream<DynamicNode> jsTests() throws IOException {
+		List<Path> files;
+		try (Stream<Path> list = Files.list(TESTS)) {
+			files = list.filter(file -> file.getFileName().toString().endsWith(".test.js")).sorted().toList();
+		}
+		return files.stream().map(JsUnitTest::runFile);
+	}
+
+	private static DynamicNode runFile(Path file) {
+		String name = file.getFileName().toString();
+		List<DynamicTest> tests = new ArrayList<>();
+		try (Context context = Context.newBuilder("js")
+				.allowHostAccess(HostAccess.ALL)
+				.option("engine.WarnInterpreterOnly", "false")
+				.build()) {
+			context.getBindings("js").putMember("__host", new Host());
+			context.eval(Source.newBuilder("js", TESTS.resolve("harness.js").toFile()).build());
+			context.eval(Source.newBuilder("js", file.toFile()).build());
+
+			Value results = context.eval("js", "__harness.run()");
+			for (long i = 0; i < results.getArraySize(); i++) {
+				Value result = results.getArrayElement(i);
+				String error = result.getMember("error").isNull() ? null : result.getMember("error").asString();
+				tests.add(DynamicTest.dynamicTest(result.getMember("name").asString(), () -> {
+					if (error != null) throw new AssertionFailedError(error);
+				}));
+			}
+		} catch (PolyglotException | IOException e) {
+			// A file that doesn't load fails as a whole, with the script's error.
+			String error = e.getMessage();
+			tests.add(DynamicTest.dynamicTest("loads", () -> {
+				throw new AssertionFailedError(name + " failed to load: " + error);
+			}));
+		}
+		return DynamicContainer.dynamicContainer(name, file.toUri(), tests.stream());
+	}
+}
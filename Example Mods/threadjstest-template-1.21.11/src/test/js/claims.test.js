@@ -0,0 +1,78 @@
+// Claims.at() over the per-dimension chunk index
+
+var Claims = require("entrypoints/systems/claims").Claims;
+var Storage = require("entrypoints/storage").Storage;
+
+function world(id) {
+    return {
+        getRegistryKey: function() {
+            return { getValue: function() { return { toString: function() { return id; } }; } };
+        }
+    };
+}
+
+var OVERWORLD = world("minecraft:overworld");
+var NETHER = world("minecraft:the_nether");
+
+function player(name, w, x, z) {
+    return {
+        getUuid: function() { return { toString: function() { return "uuid-" + name; } }; },
+        getName: function() { return { getString: function() { return name; } }; },
+        getEntityWorld: function() { return w; },
+        getBlockPos: function() {
+            return { getX: function() { return x; }, getZ: function() { return z; } };
+        }
+    };
+}
+
+describe("Claims.at", function() {
+    beforeEach(function() {
+        // Without a world folder this only empties the stores, as a new
+        // world's load would.
+        Storage.detach();
+    });
+
+    it("finds the claim around a position, up to its edges", function() {
+        var claim = Claims.create(player("Steve", OVERWORLD, 100, -40), "base", 8);
+        expect(Claims.at("minecraft:overworld", 100, -40)).toBe(claim);
+        expect(Claims.at("minecraft:overworld", 92, -48)).toBe(claim);
+        expect(Claims.at("minecraft:overworld", 108, -32)).toBe(claim);
+        expect(Claims.at("minecraft:overworld", 109, -40)).toBeNull();
+        expect(Claims.at("minecraft:overworld", 100, -49)).toBeNull();
+    });
+
+    it("only matches the claim's dimension", function() {
+        Claims.create(player("Steve", NETHER, 0, 0), "hub", 4);
+        expect(Claims.at("minecraft:the_nether", 2, 2)).not.toBeNull();
+        expect(Claims.at("minecraft:overworld", 2, 2)).toBeNull();
+    });
+
+    it("tells neighbouring claims in one chunk apart", function() {
+        var west = Claims.create(player("Steve", OVERWORLD, 2, 8), "west", 2);
+        var east = Claims.create(player("Alex", OVERWORLD, 12, 8), "east", 2);
+        expect(Claims.at("minecraft:overworld", 1, 8)).toBe(west);
+        expect(Claims.at("minecraft:overworld", 13, 8)).toBe(east);
+        expect(Claims.at("minecraft:overworld", 7, 8)).toBeNull();
+    });
+
+    it("forgets abandoned claims", function() {
+        var claim = Claims.create(player("Steve", OVERWORLD, 0, 0), "base", 4);
+        Claims.abandon(claim);
+        expect(Claims.at("minecraft:overworld", 0, 0)).toBeNull();
+    });
+
+    it("indexes claims loaded from the store", function() {
+        expect(Claims.create(player("Steve", OVERWORLD, 0, 0), "old", 4).name).toBe("old");
+        Storage.detach();
+
+        // Written straight to the store, as if read from another world's file;
+        // this one is too large to list chunk by chunk.
+        Storage.open("claims").set("uuid-Alex:plains", {
+            name: "plains", owner: "uuid-Alex", ownerName: "Alex", dimension: "minecraft:overworld",
+            minX: -5000, maxX: 5000, minZ: -5000, maxZ: 5000,
+            trusted: {}, flags: {}, created: 0
+        });
+        expect(Claims.at("minecraft:overworld", 0, 0).name).toBe("plains");
+        expect(Claims.at("minecraft:overworld", 4321, -1234).name).toBe("plains");
+    });
+});
@@ -0,0 +1,59 @@
+// Commands.usable(), which /js help lists, across repeated registrations
+
+// Builders that record nothing; mocks have no then(), so they can't stand in.
+function builder() {
+    return {
+        requires: function() { return this; },
+        executes: function() { return this; },
+        suggests: function() { return this; },
+        then: function() { return this; }
+    };
+}
+
+stub("net.minecraft.server.command.CommandManager", { literal: builder, argument: builder });
+
+var Commands = require("entrypoints/lib/commands").Commands;
+
+// A source allowed to run everything in a dispatcher that has every node.
+var node = {
+    getChild: function(name) { return node; },
+    canUse: function(source) { return true; }
+};
+var source = {
+    getServer: function() {
+        return {
+            getCommandManager: function() {
+                return { getDispatcher: function() { return { getRoot: function() { return node; } }; } };
+            }
+        };
+    }
+};
+
+function registerTrees() {
+    var run = function(c) {};
+    Commands.root("js")
+        .command("greet <target:player>", { description: "Greet a player", run: run })
+        .command("roll [sides:int(2,100)]", { description: "Roll a die", run: run })
+        .register(mock("dispatcher"));
+    Commands.root("kit")
+        .command("<name:word>", { description: "Claim a kit", run: run })
+        .register(mock("dispatcher"));
+}
+
+function usages() {
+    return Commands.usable(source).map(function(entry) { return entry.command; });
+}
+
+describe("Commands.usable", function() {
+    it("lists registered commands in registration order", function() {
+        registerTrees();
+        expect(usages()).toEqual(["/js greet", "/js roll", "/kit"]);
+    });
+
+    it("lists each command once after the trees are registered again", function() {
+        // A datapack /reload fires CommandRegistrationCallback again.
+        registerTrees();
+        registerTrees();
+        expect(usages()).toEqual(["/js greet", "/js roll", "/kit"]);
+    });
+});
@@ -0,0 +1,61 @@
+// /js daily after an upgrade from its own store and config key to Cooldowns
+
+// config/threadjstest.json as a server tuned it before the upgrade.
+var configFile = JSON.stringify({ daily: { cooldownSeconds: 3600, coins: 0 } });
+stub("java.nio.file.Files", {
+    exists: function() { return true; },
+    readString: function() { return configFile; },
+    createDirectories: function() {},
+    writeString: function(path, content) { configFile = content; },
+    move: function() {}
+});
+
+require("entrypoints/commands/daily");
+var Cooldowns = require("entrypoints/lib/cooldowns").Cooldowns;
+var Config = require("entrypoints/lib/config").Config;
+var Storage = require("entrypoints/storage").Storage;
+var System = Java.type("java.lang.System");
+
+// A player without op or permission overrides.
+function player(name) {
+    var source = {
+        getPlayer: function() { return null; },
+        hasPermissionLevel: function() { return false; }
+    };
+    return {
+        getUuid: function() { return { toString: function() { return "uuid-" + name; } }; },
+        getCommandSource: function() { return source; }
+    };
+}
+
+describe("/js daily", function() {
+    beforeEach(function() {
+        Storage.detach();
+        Config.load();
+    });
+
+    it("keeps the cooldown length from daily.cooldownSeconds", function() {
+        expect(Config.get("cooldowns.daily.seconds")).toBe(3600);
+        expect(JSON.parse(configFile).cooldowns.daily.seconds).toBe(3600);
+    });
+
+    it("still makes players wait who claimed before the upgrade", function() {
+        Storage.open("daily").set("uuid-Steve", System.currentTimeMillis() - 600 * 1000);
+        var wait = Cooldowns.remaining(player("Steve"), "daily");
+        expect(wait).toBeGreaterThan(2990 * 1000);
+        expect(wait).toBeLessThan(3000 * 1000 + 1);
+        expect(Storage.open("daily").has("uuid-Steve")).toBe(false);
+    });
+
+    it("lets players claim whose old cooldown has run out", function() {
+        Storage.open("daily").set("uuid-Alex", System.currentTimeMillis() - 7200 * 1000);
+        expect(Cooldowns.remaining(player("Alex"), "daily")).toBe(0);
+        expect(Storage.open("daily").isEmpty()).toBe(true);
+    });
+
+    it("clears an old claim on reset", function() {
+        Storage.open("daily").set("uuid-Steve", System.currentTimeMillis());
+        expect(Cooldowns.reset("uuid-Steve", "daily")).toBe(1);
+        expect(Cooldowns.remaining(player("Steve"), "daily")).toBe(0);
+    });
+});
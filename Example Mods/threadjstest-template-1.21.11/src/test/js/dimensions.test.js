@@ -0,0 +1,199 @@
+// Sounds, particles, explosions and teleports land in the world of the
+// player they are for, never the Overworld's when that player is elsewhere
+
+// The join listener, captured when players.js subscribes to player.join.
+var listeners = {};
+stub("net.fabricmc.fabric.api.networking.v1.ServerPlayConnectionEvents", {
+    JOIN: { register: function(listener) { listeners.join = listener; } },
+    DISCONNECT: { register: function(listener) { listeners.disconnect = listener; } }
+});
+
+// kit.js also registers the standalone /kit, which needs builders that
+// chain; mocks have no then().
+function builder() {
+    return {
+        requires: function() { return this; },
+        executes: function() { return this; },
+        suggests: function() { return this; },
+        then: function() { return this; }
+    };
+}
+stub("net.minecraft.server.command.CommandManager", { literal: builder, argument: builder });
+
+// A world that records what happens in it, as "PORTAL" or "explosion".
+// Worlds.dimension() tells worlds from entities with instanceof World.
+var World = stub("net.minecraft.world.World", function(id) {
+    this.id = id;
+    this.effects = [];
+});
+World.prototype = {
+    getRegistryKey: function() {
+        var id = this.id;
+        return { getValue: function() { return { toString: function() { return id; } }; } };
+    },
+    spawnParticles: function(type) { this.effects.push(String(type).replace(/^\[mock .*\.(\w+)\]$/, "$1")); },
+    playSound: function() { this.effects.push("sound"); },
+    createExplosion: function() { this.effects.push("explosion"); }
+};
+
+var live = require("entrypoints/lib/live");
+var Scheduler = require("entrypoints/lib/scheduler").Scheduler;
+var Storage = require("entrypoints/storage").Storage;
+var Kits = require("entrypoints/systems/kits").Kits;
+var ServerEvents = require("entrypoints/events/server");
+require("entrypoints/events/players").register();
+
+// Listeners only run for the active evaluation of main.js.
+live.Hub.active = live.GENERATION;
+
+// A player mock with a name, a position and a world; anything else it is
+// asked for is another mock.
+function player(name, w, x, y, z) {
+    var p = mock(name);
+    p.getName = function() { return { getString: function() { return name; } }; };
+    p.getUuid = function() { return { toString: function() { return "uuid-" + name; } }; };
+    p.getEntityWorld = function() { return w; };
+    p.getX = function() { return x; };
+    p.getY = function() { return y; };
+    p.getZ = function() { return z; };
+    p.getBlockPos = function() {
+        return { getX: function() { return x; }, getY: function() { return y; }, getZ: function() { return z; } };
+    };
+    p.teleport = function(to, tx, ty, tz) {
+        w = to;
+        x = tx;
+        y = ty;
+        z = tz;
+        return true;
+    };
+    return p;
+}
+
+function server(players) {
+    var s = mock("server");
+    var playerManager = mock("playerManager");
+    playerManager.getPlayerList = function() {
+        return { size: function() { return players.length; }, get: function(i) { return players[i]; } };
+    };
+    s.getPlayerManager = function() { return playerManager; };
+    return s;
+}
+
+function ticks(n) {
+    for (var i = 0; i < n; i++) Scheduler.tick();
+}
+
+// The run functions of a command module, by spec.
+function commands(module) {
+    var specs = {};
+    require(module).register({
+        command: function(spec, options) { specs[spec] = options.run; }
+    }, mock("dispatcher"));
+    return specs;
+}
+
+// What a command run by player gets as c.
+function context(player, args) {
+    return {
+        server: mock("server"),
+        world: player.getEntityWorld(),
+        player: player,
+        args: args || {},
+        reply: function() {},
+        fail: function(message) { throw new Error(message); }
+    };
+}
+
+var overworld, nether, steve;
+
+describe("in the Nether", function() {
+    beforeEach(function() {
+        Storage.detach();
+        overworld = new World("minecraft:overworld");
+        nether = new World("minecraft:the_nether");
+        steve = player("Steve", nether, 10, 70, -10);
+    });
+
+    afterEach(function() {
+        Scheduler.cancelAll();
+    });
+
+    describe("player join", function() {
+        it("plays the sound and the particles in the player's world", function() {
+            listeners.join.onPlayReady({ getPlayer: function() { return steve; } }, mock("sender"), server([steve]));
+            expect(nether.effects).toEqual(["sound"]);
+
+            ticks(20);
+            expect(nether.effects).toEqual(["sound", "TOTEM_OF_UNDYING"]);
+            expect(overworld.effects).toEqual([]);
+        });
+    });
+
+    describe("ambient particles", function() {
+        it("appear in each player's own world", function() {
+            var alex = player("Alex", overworld, 0, 64, 0);
+            ServerEvents.onServerStarted(server([steve, alex]));
+
+            ticks(1200);
+            expect(nether.effects).toEqual(["END_ROD"]);
+            expect(overworld.effects).toEqual(["END_ROD"]);
+        });
+    });
+
+    describe("tool commands", function() {
+        var tools = commands("entrypoints/commands/tools");
+
+        it("tp moves within the caller's world", function() {
+            tools["tp <x:float> <y:float> <z:float>"](context(steve, { x: 1, y: 80, z: 2 }));
+            expect(steve.getEntityWorld()).toBe(nether);
+            expect(steve.getY()).toBe(80);
+            expect(nether.effects).toEqual(["PORTAL"]);
+            expect(overworld.effects).toEqual([]);
+        });
+
+        it("boom and particles go off where the caller is", function() {
+            tools["boom"](context(steve));
+            expect(nether.effects).toEqual(["explosion", "EXPLOSION_EMITTER"]);
+
+            tools["particles"](context(steve));
+            expect(nether.effects.length).toBe(7);
+            expect(overworld.effects).toEqual([]);
+        });
+
+        it("heal shows hearts around the healed player", function() {
+            tools["heal"](context(steve));
+            expect(nether.effects).toEqual(["HEART"]);
+
+            var alex = player("Alex", overworld, 0, 64, 0);
+            tools["heal <target:player>"](context(steve, { target: alex }));
+            expect(overworld.effects).toEqual(["HEART"]);
+            expect(nether.effects).toEqual(["HEART"]);
+        });
+    });
+
+    describe("kit command", function() {
+        var kit = commands("entrypoints/commands/kit");
+
+        it("celebrates a claim in the player's world", function() {
+            var saved = {};
+            var fakes = {
+                get: function(name) { return { label: "Starter Kit" }; },
+                canUse: function() { return true; },
+                claimed: function() { return false; },
+                remaining: function() { return 0; },
+                claim: function() {}
+            };
+            for (var name in fakes) {
+                saved[name] = Kits[name];
+                Kits[name] = fakes[name];
+            }
+            try {
+                kit["kit <name:word>"](context(steve, { name: "starter" }));
+            } finally {
+                for (var restore in saved) Kits[restore] = saved[restore];
+            }
+            expect(nether.effects).toEqual(["sound", "HAPPY_VILLAGER"]);
+            expect(overworld.effects).toEqual([]);
+        });
+    });
+});
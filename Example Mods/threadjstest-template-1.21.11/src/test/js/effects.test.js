@@ -0,0 +1,51 @@
+// getStatusEffectByName() against a stubbed effect registry
+
+var EFFECTS = { "minecraft:speed": "speed entry", "minecraft:glowing": "glowing entry", "mymod:stun": "stun entry" };
+
+function identifier(namespace, path) {
+    return { toString: function() { return namespace + ":" + path; } };
+}
+
+stub("net.minecraft.util.Identifier", {
+    of: function(namespace, path) {
+        return path === undefined ? this.tryParse(namespace) : identifier(namespace, path);
+    },
+    ofVanilla: function(path) {
+        return identifier("minecraft", path);
+    },
+    tryParse: function(text) {
+        var match = /^(?:([a-z0-9_.-]+):)?([a-z0-9_.\/-]+)$/.exec(text);
+        return match === null ? null : identifier(match[1] || "minecraft", match[2]);
+    }
+});
+
+stub("net.minecraft.registry.Registries", {
+    STATUS_EFFECT: {
+        getEntry: function(id) {
+            var entry = EFFECTS[id.toString()];
+            return { orElse: function(other) { return entry === undefined ? other : entry; } };
+        }
+    }
+});
+
+var getStatusEffectByName = require("entrypoints/helpers/effects").getStatusEffectByName;
+
+describe("getStatusEffectByName", function() {
+    it("looks up vanilla effects without a namespace", function() {
+        expect(getStatusEffectByName("speed")).toBe("speed entry");
+    });
+
+    it("accepts full ids", function() {
+        expect(getStatusEffectByName("minecraft:glowing")).toBe("glowing entry");
+        expect(getStatusEffectByName("mymod:stun")).toBe("stun entry");
+    });
+
+    it("returns null for unknown effects", function() {
+        expect(getStatusEffectByName("flying")).toBeNull();
+        expect(getStatusEffectByName("mymod:speed")).toBeNull();
+    });
+
+    it("returns null for names that aren't ids", function() {
+        expect(getStatusEffectByName("Speed!")).toBeNull();
+    });
+});
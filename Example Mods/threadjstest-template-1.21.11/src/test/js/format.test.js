@@ -0,0 +1,56 @@
+// Text formatting helpers and stored locations
+
+var formatDurationMs = require("entrypoints/helpers/format").formatDurationMs;
+var dimensionLabel = require("entrypoints/helpers/format").dimensionLabel;
+var formatLocation = require("entrypoints/helpers/format").formatLocation;
+var normalizeLocation = require("entrypoints/storage/locations").normalizeLocation;
+
+describe("formatDurationMs", function() {
+    it("shows seconds under a minute", function() {
+        expect(formatDurationMs(0)).toBe("0s");
+        expect(formatDurationMs(45000)).toBe("45s");
+    });
+
+    it("rounds partial seconds up", function() {
+        expect(formatDurationMs(1)).toBe("1s");
+        expect(formatDurationMs(1500)).toBe("2s");
+    });
+
+    it("shows minutes and seconds", function() {
+        expect(formatDurationMs(250000)).toBe("4m 10s");
+        expect(formatDurationMs(60000)).toBe("1m 0s");
+    });
+
+    it("shows hours and minutes", function() {
+        expect(formatDurationMs((3 * 3600 + 5 * 60) * 1000)).toBe("3h 5m");
+    });
+
+    it("shows days and hours", function() {
+        expect(formatDurationMs((2 * 86400 + 7 * 3600 + 59) * 1000)).toBe("2d 7h");
+    });
+
+    it("treats negative durations as zero", function() {
+        expect(formatDurationMs(-5000)).toBe("0s");
+    });
+});
+
+describe("locations", function() {
+    it("labels vanilla dimensions without the namespace", function() {
+        expect(dimensionLabel("minecraft:the_nether")).toBe("the_nether");
+        expect(dimensionLabel("mymod:moon")).toBe("mymod:moon");
+    });
+
+    it("formats block coordinates and the dimension", function() {
+        expect(formatLocation({ dimension: "minecraft:overworld", x: 12.7, y: 64, z: -3.2 })).toBe("12, 64, -4 (overworld)");
+    });
+
+    it("upgrades old block positions to Overworld locations", function() {
+        expect(normalizeLocation({ x: 1, y: 2, z: 3 }))
+            .toEqual({ dimension: "minecraft:overworld", x: 1.5, y: 2, z: 3.5, yaw: 0, pitch: 0 });
+    });
+
+    it("keeps locations that have a dimension", function() {
+        var loc = { dimension: "minecraft:the_end", x: 0.5, y: 70, z: 0.5, yaw: 90, pitch: 0 };
+        expect(normalizeLocation(loc)).toBe(loc);
+    });
+});
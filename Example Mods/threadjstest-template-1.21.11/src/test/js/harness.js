@@ -0,0 +1,288 @@
+// ============================================================================
+// ThreadJS Sample Mod — Unit Test Harness
+// ============================================================================
+//
+// describe/it/expect for plain JS logic, run on GraalJS without Minecraft by
+// JsUnitTest (src/test/java) as part of `./gradlew test`. Every file in
+// src/test/js ending in .test.js gets a fresh JS context with this file
+// evaluated first:
+//
+//   var formatDurationMs = require("entrypoints/helpers/format").formatDurationMs;
+//
+//   describe("formatDurationMs", function() {
+//       it("rounds partial seconds up", function() {
+//           expect(formatDurationMs(1500)).toBe("2s");
+//       });
+//   });
+//
+// require() is the mod's own module loader (entrypoints/lib/modules.js),
+// reading from src/main/resources; names resolve from there, not from the
+// test file. Java.type() never loads a real class here:
+//
+//   - java.lang.Math, java.lang.System, java.util.HashMap, ArrayList and
+//     Random are small JS stand-ins
+//   - stub("net.minecraft.util.Identifier", MyIdentifier) provides your own;
+//     call it before the first require() of a module that uses it
+//   - anything else is a mock(): every property is another mock, calling it
+//     returns one, and `new` makes one, so top-level setup code runs
+//
+// Each `it` is reported as its own JUnit test, named "describe › it".
+//
+// ============================================================================
+
+(function(global) {
+    var stubs = {};
+    var tests = [];             // [{ name, fn, before: [fns], after: [fns] }]
+    var suites = [];            // stack of { name, before, after } while describing
+
+    // ── Mocks ──
+
+    function mock(name) {
+        var children = {};
+        var handler = {
+            get: function(target, key) {
+                if (key === Symbol.toPrimitive || key === "toString" || key === "valueOf") {
+                    return function() { return "[mock " + name + "]"; };
+                }
+                if (key === "then" || typeof key === "symbol") return undefined;
+                if (key === "prototype") return target.prototype;
+                if (!(key in children)) children[key] = mock(name + "." + key);
+                return children[key];
+            },
+            set: function(target, key, value) {
+                children[key] = value;
+                return true;
+            },
+            apply: function() {
+                return mock(name + "()");
+            },
+            construct: function() {
+                return mock("new " + name);
+            }
+        };
+        return new Proxy(function() {}, handler);
+    }
+
+    function JsHashMap() {
+        this.entries = {};
+    }
+    JsHashMap.prototype = {
+        get: function(key) { return this.containsKey(key) ? this.entries[key] : null; },
+        put: function(key, value) { var old = this.get(key); this.entries[key] = value; return old; },
+        remove: function(key) { var old = this.get(key); delete this.entries[key]; return old; },
+        containsKey: function(key) { return Object.prototype.hasOwnProperty.call(this.entries, key); },
+        size: function() { return Object.keys(this.entries).length; },
+        isEmpty: function() { return this.size() === 0; },
+        clear: function() { this.entries = {}; }
+    };
+
+    function JsArrayList() {
+        this.items = [];
+    }
+    JsArrayList.prototype = {
+        add: function(item) { this.items.push(item); return true; },
+        get: function(i) { return this.items[i]; },
+        size: function() { return this.items.length; },
+        isEmpty: function() { return this.items.length === 0; }
+    };
+
+    // Seeded like java.util.Random only in spirit: nextInt(n) is uniform.
+    function JsRandom() {}
+    JsRandom.prototype = {
+        nextInt: function(bound) { return Math.floor(Math.random() * bound); },
+        nextDouble: function() { return Math.random(); },
+        nextBoolean: function() { return Math.random() < 0.5; }
+    };
+
+    var BUILT_IN = {
+        "java.lang.Math": Math,
+        "java.lang.System": {
+            currentTimeMillis: function() { return Date.now(); },
+            nanoTime: function() { return Date.now() * 1000000; },
+            getProperty: function() { return null; }
+        },
+        "java.util.HashMap": JsHashMap,
+        "java.util.ArrayList": JsArrayList,
+        "java.util.Random": JsRandom
+    };
+
+    // Java.extend(type[, overrides]) -> a constructor whose instances carry
+    // the overrides: the class-level ones, or an object passed to `new`.
+    function extend(type) {
+        var classOverrides = arguments.length > 1 ? arguments[arguments.length - 1] : null;
+        return function() {
+            var overrides = classOverrides || arguments[arguments.length - 1] || {};
+            for (var key in overrides) this[key] = overrides[key];
+        };
+    }
+
+    global.Java = {
+        type: function(name) {
+            if (Object.prototype.hasOwnProperty.call(stubs, name)) return stubs[name];
+            if (Object.prototype.hasOwnProperty.call(BUILT_IN, name)) return BUILT_IN[name];
+            return mock(name);
+        },
+        extend: extend
+    };
+
+    global.mock = mock;
+
+    global.stub = function(name, value) {
+        stubs[name] = value;
+        return value;
+    };
+
+    // ── Modules ──
+
+    var resources = {
+        read: function(id) {
+            var source = __host.read(id);
+            return source === null ? null : String(source);
+        },
+        path: function(id) {
+            return null;
+        }
+    };
+
+    var loader = { exports: {} };
+    new Function("module", "exports", resources.read("entrypoints/lib/modules.js"))(loader, loader.exports);
+    global.Modules = loader.exports.Modules;
+    global.require = Modules.create({ resources: resources, main: { exports: {} }, mainId: "src/test/js" });
+
+    // ── describe / it ──
+
+    function suiteName() {
+        return suites.map(function(s) { return s.name; }).join(" › ");
+    }
+
+    global.describe = function(name, fn) {
+        suites.push({ name: name, before: [], after: [] });
+        try {
+            fn();
+        } finally {
+            suites.pop();
+        }
+    };
+
+    global.it = function(name, fn) {
+        var before = [], after = [];
+        suites.forEach(function(s) {
+            before = before.concat(s.before);
+            after = s.after.concat(after);
+        });
+        var prefix = suiteName();
+        tests.push({ name: prefix === "" ? name : prefix + " › " + name, fn: fn, before: before, after: after });
+    };
+
+    global.beforeEach = function(fn) {
+        if (suites.length === 0) throw new Error("beforeEach() belongs inside describe()");
+        suites[suites.length - 1].before.push(fn);
+    };
+
+    global.afterEach = function(fn) {
+        if (suites.length === 0) throw new Error("afterEach() belongs inside describe()");
+        suites[suites.length - 1].after.push(fn);
+    };
+
+    // ── expect ──
+
+    function show(value) {
+        if (typeof value === "string") return JSON.stringify(value);
+        if (typeof value === "function") return "[function]";
+        try {
+            var json = JSON.stringify(value);
+            return json === undefined ? String(value) : json;
+        } catch (e) {
+            return String(value);
+        }
+    }
+
+    function deepEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        var keys = Object.keys(a);
+        if (keys.length !== Object.keys(b).length) return false;
+        return keys.every(function(key) {
+            return Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]);
+        });
+    }
+
+    global.expect = function(actual) {
+        function matchers(negated) {
+            function check(pass, message) {
+                if (pass === negated) throw new Error((negated ? "Expected not: " : "Expected: ") + message);
+            }
+            return {
+                toBe: function(expected) {
+                    check(actual === expected, show(actual) + " to be " + show(expected));
+                },
+                toEqual: function(expected) {
+                    check(deepEqual(actual, expected), show(actual) + " to equal " + show(expected));
+                },
+                toBeNull: function() {
+                    check(actual === null, show(actual) + " to be null");
+                },
+                toBeTruthy: function() {
+                    check(!!actual, show(actual) + " to be truthy");
+                },
+                toBeFalsy: function() {
+                    check(!actual, show(actual) + " to be falsy");
+                },
+                toContain: function(item) {
+                    check(actual.indexOf(item) >= 0, show(actual) + " to contain " + show(item));
+                },
+                toBeCloseTo: function(expected, digits) {
+                    var places = digits === undefined ? 2 : digits;
+                    check(Math.abs(actual - expected) < Math.pow(10, -places) / 2, show(actual) + " to be close to " + show(expected));
+                },
+                toBeGreaterThan: function(expected) {
+                    check(actual > expected, show(actual) + " to be greater than " + show(expected));
+                },
+                toBeLessThan: function(expected) {
+                    check(actual < expected, show(actual) + " to be less than " + show(expected));
+                },
+                // actual is a function; text, if given, must be in the message.
+                toThrow: function(text) {
+                    var thrown = null;
+                    try {
+                        actual();
+                    } catch (e) {
+                        thrown = e;
+                    }
+                    var message = thrown === null ? null : String(thrown.message || thrown);
+                    check(thrown !== null && (text === undefined || message.indexOf(text) >= 0),
+                        "function to throw" + (text === undefined ? "" : " " + show(text))
+                        + (thrown === null ? ", nothing was thrown" : ", got " + show(message)));
+                }
+            };
+        }
+        var positive = matchers(false);
+        positive.not = matchers(true);
+        return positive;
+    };
+
+    // ── Runner, called by JsUnitTest ──
+
+    global.__harness = {
+        // [{ name, error }], error being null for a pass.
+        run: function() {
+            return tests.map(function(test) {
+                var error = null;
+                try {
+                    test.before.forEach(function(fn) { fn(); });
+                    test.fn();
+                } catch (e) {
+                    error = e && e.stack ? String(e.stack) : String(e);
+                } finally {
+                    try {
+                        test.after.forEach(function(fn) { fn(); });
+                    } catch (e) {
+                        if (error === null) error = "afterEach: " + (e && e.stack ? e.stack : e);
+                    }
+                }
+                return { name: test.name, error: error };
+            });
+        }
+    };
+})(globalThis);
@@ -0,0 +1,74 @@
+// /js home set|go|clear with home names that are also Object.prototype properties
+
+var Storage = require("entrypoints/storage").Storage;
+var getHomes = require("entrypoints/storage/locations").getHomes;
+
+// The run functions of /js home, by spec.
+var home = {};
+require("entrypoints/commands/home").register({
+    command: function(spec, options) { home[spec] = options.run; }
+});
+
+var OVERWORLD = {
+    getRegistryKey: function() {
+        return { getValue: function() { return { toString: function() { return "minecraft:overworld"; } }; } };
+    }
+};
+
+var steve = {
+    getUuid: function() { return { toString: function() { return "uuid-Steve"; } }; },
+    getEntityWorld: function() { return OVERWORLD; },
+    getX: function() { return 10.5; },
+    getY: function() { return 64; },
+    getZ: function() { return -3.5; },
+    getYaw: function() { return 90; },
+    getPitch: function() { return 0; }
+};
+
+// Runs a /js home command as Steve; returns its replies, or throws its failure.
+function run(spec, name) {
+    var replies = [];
+    home[spec]({
+        player: steve,
+        server: mock("server"),
+        args: { name: name },
+        reply: function(text) { replies.push(text); },
+        fail: function(message) { throw new Error(message); }
+    });
+    return replies;
+}
+
+describe("/js home", function() {
+    beforeEach(function() {
+        Storage.detach();
+    });
+
+    it("counts a home called constructor against the limit", function() {
+        run("home set [name:word]", "base");
+        run("home set [name:word]", "farm");
+        run("home set [name:word]", "mine");
+        expect(function() {
+            run("home set [name:word]", "constructor");
+        }).toThrow("You already have 3/3 homes");
+        expect(Object.keys(getHomes("uuid-Steve")).sort()).toEqual(["base", "farm", "mine"]);
+    });
+
+    it("has no home called constructor until one is set", function() {
+        expect(function() {
+            run("home go [name:word]", "constructor");
+        }).toThrow("No home named 'constructor'");
+        expect(function() {
+            run("home clear [name:word]", "constructor");
+        }).toThrow("No home named 'constructor'");
+    });
+
+    it("stores a home called __proto__", function() {
+        run("home set [name:word]", "__proto__");
+        var homes = getHomes("uuid-Steve");
+        expect(Object.keys(homes)).toEqual(["__proto__"]);
+        expect(homes["__proto__"].x).toBe(10.5);
+
+        run("home clear [name:word]", "__proto__");
+        expect(Object.keys(getHomes("uuid-Steve"))).toEqual([]);
+    });
+});
@@ -0,0 +1,95 @@
+// Kit names that are also Object.prototype properties, and previews of kits
+// too big for one chest
+
+function items(n, id) {
+    var list = [];
+    for (var i = 0; i < n; i++) list.push({ id: id, count: 1 });
+    return list;
+}
+
+// config/threadjstest-kits.json, read and written through Files.
+var kitsFile = JSON.stringify({
+    big: { items: items(60, "minecraft:dirt") },
+    small: { items: [{ id: "minecraft:bread", count: 4 }] }
+});
+stub("java.nio.file.Files", {
+    exists: function() { return true; },
+    readString: function() { return kitsFile; },
+    createDirectories: function() {},
+    writeString: function(path, content) { kitsFile = content; },
+    move: function() {}
+});
+
+var Kits = require("entrypoints/systems/kits").Kits;
+var Menus = require("entrypoints/lib/menus").Menus;
+var Storage = require("entrypoints/storage").Storage;
+
+// A player mock carrying one stack of cobblestone in the first slot.
+function player(name) {
+    var p = mock(name);
+    var empty = { isEmpty: function() { return true; } };
+    p.getUuid = function() { return { toString: function() { return "uuid-" + name; } }; };
+    p.getInventory = function() {
+        return {
+            getStack: function(i) {
+                if (i > 0) return empty;
+                return {
+                    isEmpty: function() { return false; },
+                    getItem: function() { return "cobblestone"; },
+                    getCount: function() { return 64; },
+                    get: function() { return null; },
+                    getEnchantments: function() { return empty; }
+                };
+            }
+        };
+    };
+    p.getEquippedStack = function() { return empty; };
+    return p;
+}
+
+// The menus opened while fn runs, as [kind, options].
+function menusDuring(fn) {
+    var opened = [];
+    var open = Menus.open, paged = Menus.paged;
+    Menus.open = function(player, menu) { opened.push(["open", menu]); };
+    Menus.paged = function(player, options) { opened.push(["paged", options]); };
+    try {
+        fn();
+    } finally {
+        Menus.open = open;
+        Menus.paged = paged;
+    }
+    return opened;
+}
+
+describe("Kits", function() {
+    beforeEach(function() {
+        Storage.detach();
+        Kits.load();
+    });
+
+    it("has no kit called constructor until one is created", function() {
+        var steve = player("Steve");
+        expect(Kits.get("constructor")).toBeNull();
+        expect(Kits.canUse(steve, "constructor")).toBe(false);
+        expect(Kits.names()).toEqual(["big", "small"]);
+
+        Kits.create(steve, "constructor");
+        expect(Kits.get("constructor").items.length).toBe(1);
+        expect(Object.keys(JSON.parse(kitsFile))).toEqual(["big", "small", "constructor"]);
+    });
+
+    it("shows a kit that fits in a chest on one screen", function() {
+        var opened = menusDuring(function() { Kits.preview(player("Steve"), "small"); });
+        expect(opened.length).toBe(1);
+        expect(opened[0][0]).toBe("open");
+        expect(opened[0][1].rows).toBe(1);
+    });
+
+    it("pages a kit with more items than a chest holds", function() {
+        var opened = menusDuring(function() { Kits.preview(player("Steve"), "big"); });
+        expect(opened.length).toBe(1);
+        expect(opened[0][0]).toBe("paged");
+        expect(opened[0][1].entries.length).toBe(60);
+    });
+});
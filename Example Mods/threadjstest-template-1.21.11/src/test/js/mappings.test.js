@@ -0,0 +1,65 @@
+// Reading tiny v2 mapping files for Yarn to intermediary remapping
+
+var Mappings = require("entrypoints/lib/mappings").Mappings;
+
+var TINY = [
+    "tiny\t2\t0\tofficial\tintermediary\tnamed",
+    "c\tcmq\tnet/minecraft/class_1297\tnet/minecraft/entity/Entity",
+    "\tc\tAn entity.",
+    "\tm\t()Lcmr;\tdm\tmethod_37908\tgetEntityWorld",
+    "\t\tp\t1\t\tunused",
+    "\tm\t(I)V\ta\tmethod_5808\tsetFireTicks",
+    "\tm\t()V\tequals\tequals\tequals",
+    "\tf\tI\tb\tfield_6012\tage",
+    "c\tcmr\tnet/minecraft/class_1937\tnet/minecraft/world/World",
+    "c\tcms\tnet/minecraft/class_1297$class_5529\tnet/minecraft/entity/Entity$RemovalReason",
+    "c\tcmt\tnet/minecraft/class_9999",
+    ""
+].join("\r\n");
+
+describe("Mappings.parse", function() {
+    var table;
+
+    beforeEach(function() {
+        table = Mappings.parse(TINY, "Yarn");
+    });
+
+    it("maps Yarn class names to intermediary ones", function() {
+        expect(table.classes["net.minecraft.entity.Entity"]).toBe("net.minecraft.class_1297");
+        expect(table.classes["net.minecraft.entity.Entity$RemovalReason"]).toBe("net.minecraft.class_1297$class_5529");
+        expect(table.named["net.minecraft.class_1937"]).toBe("net.minecraft.world.World");
+    });
+
+    it("keeps classes without a Yarn name under their intermediary name", function() {
+        expect(table.classes["net.minecraft.class_9999"]).toBe("net.minecraft.class_9999");
+    });
+
+    it("indexes methods and fields by their Yarn names", function() {
+        var entity = table.members["net.minecraft.class_1297"];
+        expect(entity.methods.getEntityWorld).toEqual([{ name: "method_37908", desc: "()Lcmr;" }]);
+        expect(entity.fields.age).toEqual({ name: "field_6012", desc: "I" });
+    });
+
+    it("skips parameters, comments and names that need no remapping", function() {
+        var entity = table.members["net.minecraft.class_1297"];
+        expect(Object.keys(entity.methods)).toEqual(["getEntityWorld", "setFireTicks"]);
+        expect(entity.methods.unused).toBe(undefined);
+    });
+
+    it("rejects other formats", function() {
+        expect(function() {
+            Mappings.parse("v1\tofficial\tintermediary\tnamed\n", "Yarn");
+        }).toThrow("not a tiny v2 file");
+        expect(function() {
+            Mappings.parse("tiny\t2\t0\tofficial\tintermediary\n", "Mojang");
+        }).toThrow("need named and intermediary columns, found official, intermediary");
+    });
+});
+
+describe("Mappings.parameterCount", function() {
+    it("counts primitives, objects and arrays", function() {
+        expect(Mappings.parameterCount("()V")).toBe(0);
+        expect(Mappings.parameterCount("(IZ)V")).toBe(2);
+        expect(Mappings.parameterCount("(Lnet/minecraft/class_1297;[J[[Ljava/lang/String;D)I")).toBe(4);
+    });
+});
@@ -0,0 +1,203 @@
+// The module loader: resolution, caching, cycles, errors and import/export
+
+// A loader over in-memory files instead of src/main/resources.
+function loader(files) {
+    return Modules.create({
+        resources: {
+            read: function(id) {
+                return Object.prototype.hasOwnProperty.call(files, id) ? files[id] : null;
+            },
+            path: function(id) {
+                return null;
+            }
+        },
+        main: { exports: {} },
+        mainId: "entrypoints/main.js"
+    });
+}
+
+describe("require", function() {
+    it("resolves names relative to the requiring file", function() {
+        var require = loader({
+            "entrypoints/commands/home.js": "module.exports = require('../lib/greet').greet('home');",
+            "entrypoints/lib/greet.js": "exports.greet = function(name) { return 'hi ' + name; };"
+        });
+        expect(require("./commands/home")).toBe("hi home");
+    });
+
+    it("resolves other names from the resources root", function() {
+        var require = loader({
+            "entrypoints/a.js": "module.exports = require('entrypoints/b');",
+            "entrypoints/b.js": "module.exports = 'b';"
+        });
+        expect(require("./a")).toBe("b");
+    });
+
+    it("tries .js, .json and index.js in that order", function() {
+        var require = loader({
+            "entrypoints/data/kits.json": "{ \"starter\": 1 }",
+            "entrypoints/storage/index.js": "module.exports = 'storage';",
+            "entrypoints/x.js": "module.exports = 'js';",
+            "entrypoints/x.json": "\"json\""
+        });
+        expect(require("./data/kits")).toEqual({ starter: 1 });
+        expect(require("./storage")).toBe("storage");
+        expect(require("./x")).toBe("js");
+        expect(require("./x.json")).toBe("json");
+    });
+
+    it("evaluates each module once", function() {
+        var require = loader({
+            "entrypoints/counter.js": "globalThis.__evaluations = (globalThis.__evaluations || 0) + 1; module.exports = {};",
+            "entrypoints/user.js": "module.exports = require('./counter');"
+        });
+        globalThis.__evaluations = 0;
+        var first = require("./counter");
+        expect(require("./user")).toBe(first);
+        expect(require("./counter.js")).toBe(first);
+        expect(globalThis.__evaluations).toBe(1);
+    });
+
+    it("gives modules the Java global", function() {
+        stub("test.Greeter", { greet: function() { return "hello"; } });
+        var require = loader({
+            "entrypoints/java.js": "module.exports = Java.type('test.Greeter').greet();"
+        });
+        expect(require("./java")).toBe("hello");
+    });
+
+    it("keeps top-level names private to their module", function() {
+        var require = loader({
+            "entrypoints/private.js": "var hidden = 1; function helper() {} module.exports = {};"
+        });
+        require("./private");
+        expect(typeof globalThis.hidden).toBe("undefined");
+        expect(typeof globalThis.helper).toBe("undefined");
+    });
+
+    it("names the requiring file when a module is missing", function() {
+        var require = loader({
+            "entrypoints/commands/home.js": "require('../lib/nope');"
+        });
+        expect(function() {
+            require("./commands/home");
+        }).toThrow("Cannot find module \"../lib/nope\" required from entrypoints/commands/home.js "
+            + "(tried entrypoints/lib/nope.js, entrypoints/lib/nope.json, entrypoints/lib/nope/index.js)");
+    });
+
+    it("rejects names outside the resources", function() {
+        var require = loader({});
+        expect(function() {
+            require("../../secret");
+        }).toThrow("outside the mod's resources");
+    });
+
+    it("reports cycles with the chain that led there", function() {
+        var require = loader({
+            "entrypoints/a.js": "require('./b');",
+            "entrypoints/b.js": "require('./c');",
+            "entrypoints/c.js": "require('./a');"
+        });
+        expect(function() {
+            require("./a");
+        }).toThrow("Circular require: entrypoints/a.js -> entrypoints/b.js -> entrypoints/c.js -> entrypoints/a.js");
+    });
+
+    it("allows cycles through a require inside a function", function() {
+        var require = loader({
+            "entrypoints/a.js": "exports.b = function() { return require('./b').name; }; exports.name = 'a';",
+            "entrypoints/b.js": "exports.name = 'b'; exports.a = require('./a').name;"
+        });
+        expect(require("./a").b()).toBe("b");
+        expect(require("./b").a).toBe("a");
+    });
+
+    it("does not cache a module that failed", function() {
+        var files = { "entrypoints/broken.js": "throw new Error('not yet');" };
+        var require = loader(files);
+        expect(function() {
+            require("./broken");
+        }).toThrow("not yet");
+        files["entrypoints/broken.js"] = "module.exports = 'fixed';";
+        expect(require("./broken")).toBe("fixed");
+    });
+
+    it("resolves without loading", function() {
+        var require = loader({ "entrypoints/lib/x/index.js": "throw new Error('loaded');" });
+        expect(require.resolve("./lib/x")).toBe("entrypoints/lib/x/index.js");
+    });
+});
+
+describe("import/export", function() {
+    it("imports named, default and namespace bindings", function() {
+        var require = loader({
+            "entrypoints/lib/math.js": [
+                "export function double(n) { return n * 2; }",
+                "export var ANSWER = 42;",
+                "export default function triple(n) { return n * 3; }"
+            ].join("\n"),
+            "entrypoints/user.js": [
+                "import triple, { double, ANSWER as answer } from \"./lib/math\";",
+                "import * as math from './lib/math';",
+                "module.exports = [double(2), answer, triple(2), math.ANSWER, math.default(1)];"
+            ].join("\n")
+        });
+        expect(require("./user")).toEqual([4, 42, 6, 42, 3]);
+    });
+
+    it("imports CommonJS modules", function() {
+        var require = loader({
+            "entrypoints/lib/scheduler.js": "module.exports = { Scheduler: { name: 'scheduler' } };",
+            "entrypoints/user.js": [
+                "import { Scheduler } from './lib/scheduler';",
+                "import all from './lib/scheduler';",
+                "export default Scheduler.name + ' ' + Object.keys(all);"
+            ].join("\n")
+        });
+        expect(require("./user").default).toBe("scheduler Scheduler");
+    });
+
+    it("re-exports and exports lists", function() {
+        var require = loader({
+            "entrypoints/lib/a.js": "export var a = 1;\nexport var shared = 'a';",
+            "entrypoints/lib/b.js": "export var b = 2;",
+            "entrypoints/lib/index.js": [
+                "export * from './a';",
+                "export { b as renamed } from './b';",
+                "var local = 3;",
+                "export { local };"
+            ].join("\n")
+        });
+        var lib = require("./lib");
+        expect([lib.a, lib.shared, lib.renamed, lib.local]).toEqual([1, "a", 2, 3]);
+    });
+
+    it("keeps exports live", function() {
+        var require = loader({
+            "entrypoints/counter.js": "export var count = 0;\nexport function increment() { count++; }"
+        });
+        var counter = require("./counter");
+        counter.increment();
+        expect(counter.count).toBe(1);
+    });
+
+    it("fails on a missing named import", function() {
+        var require = loader({
+            "entrypoints/lib/a.js": "export var a = 1;",
+            "entrypoints/user.js": "import { b } from './lib/a';"
+        });
+        expect(function() {
+            require("./user");
+        }).toThrow("Module \"./lib/a\" has no export named b");
+    });
+
+    it("keeps line numbers", function() {
+        var source = "import {\n    a\n} from './a';\nexport {\n    a\n};\nvar x = 1;";
+        expect(Modules.toCommonJs(source).split("\n").length).toBe(source.split("\n").length);
+    });
+
+    it("leaves scripts without import or export alone", function() {
+        var source = "var importer = 1; // export this later\nmodule.exports = importer;";
+        expect(Modules.toCommonJs(source)).toBe(source);
+    });
+});
@@ -0,0 +1,62 @@
+// Quest ids that are also Object.prototype properties
+
+var Quests = require("entrypoints/systems/quests").Quests;
+var Storage = require("entrypoints/storage").Storage;
+
+// A player mock with a UUID; anything else it is asked for is another mock.
+function player(name) {
+    var p = mock(name);
+    p.getUuid = function() { return { toString: function() { return "uuid-" + name; } }; };
+    return p;
+}
+
+describe("Quests", function() {
+    beforeEach(function() {
+        Storage.detach();
+    });
+
+    it("has no quest called constructor until one is defined", function() {
+        var steve = player("Steve");
+        expect(Quests.get("constructor")).toBeNull();
+        expect(Quests.progress(steve, "constructor")).toBeNull();
+        expect(Quests.abandon(steve, "constructor")).toBe(false);
+        expect(function() {
+            Quests.start(steve, "constructor");
+        }).toThrow("Unknown quest: constructor");
+    });
+
+    it("tracks a quest called constructor", function() {
+        Quests.define({
+            id: "constructor",
+            name: "Builder",
+            objectives: [{ type: "command", command: "/js home set", count: 2 }]
+        });
+        var steve = player("Steve");
+        expect(Quests.status(steve, "constructor")).toBe("available");
+        Quests.start(steve, "constructor");
+        expect(Quests.status(steve, "constructor")).toBe("active");
+        expect(Quests.progress(steve, "constructor")).toEqual([{ label: "Run /js home set", current: 0, target: 2 }]);
+
+        Quests.recordCommand(steve, "/js home set");
+        expect(Quests.progress(steve, "constructor")[0].current).toBe(1);
+        Quests.recordCommand(steve, "/js home set");
+        expect(Quests.status(steve, "constructor")).toBe("completed");
+        expect(Quests.active(steve)).toEqual([]);
+    });
+
+    it("keeps a quest called __proto__ in the saved progress", function() {
+        Quests.define({
+            id: "__proto__",
+            name: "Prototype",
+            objectives: [{ type: "command", command: "/js warp list" }]
+        });
+        var steve = player("Steve");
+        Quests.start(steve, "__proto__");
+        expect(Quests.active(steve)).toEqual(["__proto__"]);
+        var saved = JSON.parse(JSON.stringify(Storage.open("quests").get("uuid-Steve")));
+        expect(Object.keys(saved.active)).toEqual(["__proto__"]);
+
+        expect(Quests.abandon(steve, "__proto__")).toBe(true);
+        expect(Quests.active(steve)).toEqual([]);
+    });
+});
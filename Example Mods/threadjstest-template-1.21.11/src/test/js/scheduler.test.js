@@ -0,0 +1,142 @@
+// Scheduler: delays, repeats, ordering and cancellation, driven tick by tick
+
+var Scheduler = require("entrypoints/lib/scheduler").Scheduler;
+
+function ticks(n) {
+    for (var i = 0; i < n; i++) Scheduler.tick();
+}
+
+function fakePlayer(uuid) {
+    return { getUuid: function() { return { toString: function() { return uuid; } }; } };
+}
+
+// A java.util.concurrent.Future that the test completes by hand.
+function fakeFuture() {
+    var future = {
+        done: false,
+        value: null,
+        failure: null,
+        isDone: function() { return future.done; },
+        get: function() {
+            if (future.failure !== null) throw { getCause: function() { return future.failure; } };
+            return future.value;
+        },
+        complete: function(value) { future.done = true; future.value = value; },
+        fail: function(cause) { future.done = true; future.failure = cause; }
+    };
+    return future;
+}
+
+describe("Scheduler", function() {
+    beforeEach(function() {
+        Scheduler.cancelAll();
+    });
+
+    it("runs a task once its delay has passed", function() {
+        var runs = 0;
+        Scheduler.runLater(3, function() { runs++; });
+        ticks(2);
+        expect(runs).toBe(0);
+        ticks(1);
+        expect(runs).toBe(1);
+        ticks(10);
+        expect(runs).toBe(1);
+    });
+
+    it("waits at least one tick", function() {
+        var runs = 0;
+        Scheduler.runLater(0, function() { runs++; });
+        expect(runs).toBe(0);
+        ticks(1);
+        expect(runs).toBe(1);
+    });
+
+    it("runs tasks due on the same tick in the order they were scheduled", function() {
+        var order = [];
+        Scheduler.runLater(2, function() { order.push("first"); });
+        Scheduler.runLater(1, function() { order.push("earlier"); });
+        Scheduler.runLater(2, function() { order.push("second"); });
+        ticks(2);
+        expect(order).toEqual(["earlier", "first", "second"]);
+    });
+
+    it("repeats timers until they cancel themselves", function() {
+        var at = [];
+        var start = Scheduler.currentTick();
+        Scheduler.runTimer(1, 2, function(handle) {
+            at.push(Scheduler.currentTick() - start);
+            if (at.length === 3) handle.cancel();
+        });
+        ticks(20);
+        expect(at).toEqual([1, 3, 5]);
+    });
+
+    it("never runs a cancelled task", function() {
+        var runs = 0;
+        var handle = Scheduler.runLater(5, function() { runs++; });
+        expect(handle.cancel()).toBe(true);
+        expect(handle.cancel()).toBe(false);
+        ticks(10);
+        expect(runs).toBe(0);
+    });
+
+    it("cancels a player's tasks when they leave", function() {
+        var runs = [];
+        Scheduler.forPlayer(fakePlayer("u1")).runLater(5, function() { runs.push("u1"); });
+        Scheduler.forPlayer(fakePlayer("u1")).runTimer(1, 1, function() { runs.push("u1 timer"); });
+        Scheduler.forPlayer(fakePlayer("u2")).runLater(5, function() { runs.push("u2"); });
+        expect(Scheduler.cancelPlayer("u1")).toBe(2);
+        ticks(10);
+        expect(runs).toEqual(["u2"]);
+    });
+
+    it("keeps going when a task throws", function() {
+        var runs = 0;
+        Scheduler.runLater(1, function() { throw new Error("broken"); });
+        Scheduler.runLater(1, function() { runs++; });
+        ticks(1);
+        expect(runs).toBe(1);
+    });
+
+    it("hands async results back on the next tick", function() {
+        var future = fakeFuture();
+        var results = [];
+        Scheduler.runAsync(future, function(result, error) { results.push([result, error]); });
+        ticks(5);
+        expect(results).toEqual([]);
+
+        future.complete("body");
+        expect(results).toEqual([]);
+        ticks(1);
+        expect(results).toEqual([["body", null]]);
+        ticks(5);
+        expect(results.length).toBe(1);
+        expect(Scheduler.pending()).toBe(0);
+    });
+
+    it("passes what failed async work threw", function() {
+        var future = fakeFuture();
+        var results = [];
+        Scheduler.runAsync(future, function(result, error) { results.push([result, error]); });
+        future.fail("timed out");
+        ticks(1);
+        expect(results).toEqual([[null, "timed out"]]);
+    });
+
+    it("drops a player's async callback when they leave", function() {
+        var future = fakeFuture();
+        var runs = 0;
+        Scheduler.forPlayer(fakePlayer("u1")).runAsync(future, function() { runs++; });
+        expect(Scheduler.cancelPlayer("u1")).toBe(1);
+        future.complete("late");
+        ticks(2);
+        expect(runs).toBe(0);
+    });
+
+    it("rejects bad arguments", function() {
+        expect(function() { Scheduler.runLater(1, "not a function"); }).toThrow("action must be a function");
+        expect(function() { Scheduler.runLater(-1, function() {}); }).toThrow("must not be negative");
+        expect(function() { Scheduler.runTimer(0, 0, function() {}); }).toThrow("at least 1 tick");
+        expect(function() { Scheduler.runAsync(function() {}, function() {}); }).toThrow("can't run off the server thread");
+    });
+});
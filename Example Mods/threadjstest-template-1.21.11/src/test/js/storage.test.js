@@ -0,0 +1,35 @@
+// Key-value stores with keys that are also Object.prototype properties
+
+var Storage = require("entrypoints/storage").Storage;
+
+describe("KeyValueStore", function() {
+    beforeEach(function() {
+        Storage.detach();
+    });
+
+    it("has nothing under inherited property names", function() {
+        var warps = Storage.open("warps");
+        expect(warps.get("constructor")).toBeNull();
+        expect(warps.get("toString", "none")).toBe("none");
+        expect(warps.has("constructor")).toBe(false);
+        expect(warps.remove("constructor")).toBe(false);
+    });
+
+    it("stores constructor and __proto__ like any other key", function() {
+        var warps = Storage.open("warps");
+        warps.set("constructor", { x: 1 });
+        warps.set("__proto__", { x: 2 });
+        expect(warps.get("constructor")).toEqual({ x: 1 });
+        expect(warps.get("__proto__")).toEqual({ x: 2 });
+        expect(warps.keys()).toEqual(["__proto__", "constructor"]);
+
+        expect(warps.remove("__proto__")).toBe(true);
+        expect(warps.keys()).toEqual(["constructor"]);
+    });
+
+    it("starts empty again after detaching", function() {
+        Storage.open("warps").set("constructor", { x: 1 });
+        Storage.detach();
+        expect(Storage.open("warps").get("constructor")).toBeNull();
+    });
+});
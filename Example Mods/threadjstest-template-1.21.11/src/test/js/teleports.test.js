@@ -0,0 +1,40 @@
+// Accepting teleport requests whose sender may have gone
+
+var Teleports = require("entrypoints/systems/teleports").Teleports;
+var Scheduler = require("entrypoints/lib/scheduler").Scheduler;
+
+function player(name) {
+    return {
+        getUuid: function() { return { toString: function() { return "uuid-" + name; } }; },
+        getName: function() { return { getString: function() { return name; } }; },
+        sendMessage: function(text) {}
+    };
+}
+
+// A server where nobody can be looked up, as after the requester left.
+var EMPTY_SERVER = {
+    getPlayerManager: function() {
+        return { getPlayer: function(uuid) { return null; } };
+    }
+};
+
+describe("Teleports.accept", function() {
+    afterEach(function() {
+        Scheduler.cancelAll();
+    });
+
+    it("returns null without a request", function() {
+        expect(Teleports.accept(EMPTY_SERVER, player("Alex"), undefined)).toBeNull();
+    });
+
+    it("fails and drops the request when the requester has left", function() {
+        var steve = player("Steve"), alex = player("Alex");
+        Teleports.request(EMPTY_SERVER, steve, alex, false);
+        expect(Teleports.incoming(alex).length).toBe(1);
+
+        expect(function() {
+            Teleports.accept(EMPTY_SERVER, alex, "steve");
+        }).toThrow("the other player left");
+        expect(Teleports.incoming(alex).length).toBe(0);
+    });
+});
@@ -0,0 +1,61 @@
+// Welcome message templates: {name} and other placeholders, and their markup
+
+var Placeholders = require("entrypoints/lib/placeholders").Placeholders;
+var Markup = require("entrypoints/lib/markup").Markup;
+var Config = require("entrypoints/lib/config").Config;
+require("entrypoints/events/players");      // defines welcome.messages
+
+function server(online, max) {
+    return {
+        getCurrentPlayerCount: function() { return online; },
+        getMaxPlayerCount: function() { return max; }
+    };
+}
+
+describe("welcome templates", function() {
+    it("fill in the player's name", function() {
+        expect(Placeholders.apply("Welcome, {name}!", { values: { name: "Steve" } })).toBe("Welcome, Steve!");
+    });
+
+    it("fill in server placeholders", function() {
+        expect(Placeholders.apply("{name} is player {server.online}/{server.max}", { server: server(3, 20), values: { name: "Alex" } }))
+            .toBe("Alex is player 3/20");
+    });
+
+    it("keep escaped braces", function() {
+        expect(Placeholders.apply("\\{name} is {name}", { values: { name: "Steve" } })).toBe("{name} is Steve");
+    });
+
+    it("reject unknown placeholders", function() {
+        expect(function() {
+            Placeholders.apply("Hi {nmae}", { values: { name: "Steve" } });
+        }).toThrow("Unknown placeholder {nmae}");
+    });
+
+    it("reject player placeholders without a player", function() {
+        expect(function() {
+            Placeholders.apply("{player.health}", { server: server(1, 20) });
+        }).toThrow("only works for a player");
+    });
+
+    it("format placeholder arguments", function() {
+        var player = { getHealth: function() { return 17.26; } };
+        expect(Placeholders.apply("{player.health} / {player.health:1}", { player: player })).toBe("17 / 17.3");
+        expect(function() {
+            Placeholders.apply("{player.health:x}", { player: player });
+        }).toThrow("expected a number of decimals from 0 to 6");
+    });
+
+    it("default to messages with valid markup", function() {
+        var messages = Config.get("welcome.messages");
+        expect(messages.length).toBeGreaterThan(0);
+        messages.forEach(function(message) {
+            expect(message).toContain("{name}");
+            expect(Markup.check(message)).toBeNull();
+        });
+    });
+
+    it("report unclosed markup", function() {
+        expect(Markup.check("<gold>Welcome <bold")).toContain("Unclosed tag");
+    });
+});
@@ -0,0 +1,150 @@
+// Worlds helpers behind /js near and /js top, and /js near itself, with plain
+// JS worlds and players
+
+function world(id, options) {
+    options = options || {};
+    var players = [];
+    return {
+        players: players,
+        getRegistryKey: function() {
+            return { getValue: function() { return { toString: function() { return id; } }; } };
+        },
+        getPlayers: function() {
+            return { size: function() { return players.length; }, get: function(i) { return players[i]; } };
+        },
+        getTopY: function() { return 256; },
+        getBottomY: function() { return 0; },
+        getDimension: function() {
+            return {
+                hasCeiling: function() { return options.ceiling === true; },
+                logicalHeight: function() { return 128; }
+            };
+        },
+        getBlockState: function(pos) {
+            var solid = options.solid(pos.y);
+            return { isAir: function() { return !solid; } };
+        }
+    };
+}
+
+function player(name, w, x, y, z) {
+    var p = {
+        name: name,
+        getName: function() { return { getString: function() { return name; } }; },
+        getEntityWorld: function() { return w; },
+        getX: function() { return x; },
+        getY: function() { return y; },
+        getZ: function() { return z; }
+    };
+    w.players.push(p);
+    return p;
+}
+
+stub("net.minecraft.util.math.BlockPos", function(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+});
+
+// Text that keeps its string, so replies can be read back.
+function PlainText(string) {
+    this.string = string;
+}
+PlainText.prototype = {
+    append: function(text) { this.string += text.string; return this; },
+    formatted: function() { return this; },
+    getString: function() { return this.string; }
+};
+stub("net.minecraft.text.Text", { literal: function(string) { return new PlainText(String(string)); } });
+
+var Worlds = require("entrypoints/helpers/worlds").Worlds;
+
+// Runs /js near as player on a server with everyone online, in any world.
+function near(player, everyone) {
+    var run;
+    require("entrypoints/commands/tools").register({
+        command: function(spec, options) { if (spec === "near") run = options.run; }
+    });
+    var replies = [];
+    run({
+        player: player,
+        world: player.getEntityWorld(),
+        server: {
+            getPlayerManager: function() {
+                return {
+                    getPlayerList: function() {
+                        return { size: function() { return everyone.length; }, get: function(i) { return everyone[i]; } };
+                    }
+                };
+            }
+        },
+        args: {},
+        reply: function(text) { replies.push(text.getString()); }
+    });
+    return replies;
+}
+
+describe("Worlds.distance", function() {
+    it("measures straight-line distance", function() {
+        var overworld = world("minecraft:overworld");
+        expect(Worlds.distance(player("a", overworld, 0, 64, 0), player("b", overworld, 3, 68, 0))).toBe(5);
+    });
+
+    it("is null across dimensions", function() {
+        var a = player("a", world("minecraft:overworld"), 0, 64, 0);
+        var b = player("b", world("minecraft:the_nether"), 0, 64, 0);
+        expect(Worlds.distance(a, b)).toBeNull();
+    });
+});
+
+describe("Worlds.nearby", function() {
+    it("lists the other players in the world, nearest first", function() {
+        var overworld = world("minecraft:overworld");
+        var me = player("me", overworld, 0, 64, 0);
+        player("far", overworld, 100, 64, 0);
+        player("near", overworld, 0, 64, 5);
+        player("middle", overworld, -20, 64, 0);
+
+        var names = Worlds.nearby(me).map(function(entry) { return entry.player.name; });
+        expect(names).toEqual(["near", "middle", "far"]);
+        expect(Worlds.nearby(me)[0].distance).toBe(5);
+    });
+});
+
+describe("/js near", function() {
+    it("lists the players in the caller's dimension with their distance", function() {
+        var nether = world("minecraft:the_nether");
+        var me = player("Steve", nether, 0, 64, 0);
+        var alex = player("Alex", nether, 3, 64, 4);
+        var overworldPlayer = player("Notch", world("minecraft:overworld"), 0, 64, 1);
+
+        expect(near(me, [me, overworldPlayer, alex])).toEqual(["\uD83D\uDCE1 Nearby players:", "  Alex \u2014 5m away"]);
+    });
+
+    it("leaves out players in other dimensions, even right next to the caller", function() {
+        var me = player("Steve", world("minecraft:the_nether"), 0, 64, 0);
+        var overworldPlayer = player("Notch", world("minecraft:overworld"), 0, 64, 1);
+
+        expect(near(me, [me, overworldPlayer])).toEqual(["No other players in the_nether!"]);
+    });
+});
+
+describe("Worlds.surfaceY", function() {
+    it("stands on the highest block", function() {
+        var flat = world("minecraft:overworld", { solid: function(y) { return y <= 64; } });
+        expect(Worlds.surfaceY(flat, 0, 0)).toBe(65);
+    });
+
+    it("stays under the roof in worlds with a ceiling", function() {
+        var nether = world("minecraft:the_nether", {
+            ceiling: true,
+            solid: function(y) { return y <= 1 || (y >= 30 && y <= 40) || (y >= 123 && y <= 127); }
+        });
+        expect(Worlds.surfaceY(nether, 0, 0)).toBe(41);
+    });
+
+    it("is null over the void", function() {
+        var empty = world("minecraft:the_end", { solid: function() { return false; } });
+        expect(Worlds.surfaceY(empty, 0, 0)).toBeNull();
+    });
+});